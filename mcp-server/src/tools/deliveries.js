@@ -6,7 +6,7 @@ export function registerDeliveryTools(server, client) {
     'List webhook delivery attempts in HookCats',
     {
       limit: z.number().optional().describe('Maximum number of deliveries (default 50)'),
-      status: z.enum(['pending', 'sent', 'failed']).optional().describe('Filter by delivery status')
+      status: z.enum(['pending', 'sent', 'failed', 'retry']).optional().describe('Filter by delivery status')
     },
     async ({ limit, status }) => {
       const params = [];
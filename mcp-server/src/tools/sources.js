@@ -18,7 +18,7 @@ export function registerSourceTools(server, client) {
     'Create a new webhook source in HookCats',
     {
       name: z.string().describe('Name for the webhook source'),
-      type: z.enum(['synology', 'proxmox', 'proxmox_backup', 'gitlab', 'docker_updater', 'media-webhook', 'uptime-kuma', 'generic'])
+      type: z.enum(['synology', 'proxmox', 'proxmox_backup', 'gitlab', 'github', 'gitea', 'docker_updater', 'media-webhook', 'uptime-kuma', 'alertmanager', 'home-assistant', 'generic'])
         .describe('Source type (determines how incoming webhooks are parsed)'),
       secret_key: z.string().optional().describe('Custom secret key for the webhook URL (auto-generated if omitted)'),
       webhook_secret: z.string().optional().describe('HMAC secret for webhook signature validation')
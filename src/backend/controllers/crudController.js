@@ -1,6 +1,10 @@
 const { body, param, validationResult } = require('express-validator');
 const database = require('../config/database');
 const { asyncHandler, CustomError } = require('../middleware/errorHandler');
+const routeFilter = require('../services/routeFilter');
+const templateEngine = require('../services/templateEngine');
+const sourceAliases = require('../services/sourceAliases');
+const { sourceFieldValidation } = require('../middleware/sourceValidation');
 
 /**
  * Generic CRUD controller for sources, targets, and routes
@@ -8,19 +12,7 @@ const { asyncHandler, CustomError } = require('../middleware/errorHandler');
 
 // Validation rules for sources
 const sourceValidation = [
-  body('name')
-    .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Name must be between 1 and 100 characters'),
-
-  body('type')
-    .isIn(['synology', 'proxmox', 'proxmox_backup', 'gitlab', 'docker_updater', 'media-webhook', 'uptime-kuma', 'generic'])
-    .withMessage('Type must be one of: synology, proxmox, proxmox_backup, gitlab, docker_updater, media-webhook, uptime-kuma, generic'),
-
-  body('secret_key')
-    .optional()
-    .isLength({ min: 8, max: 255 })
-    .withMessage('Secret key must be between 8 and 255 characters'),
+  ...sourceFieldValidation,
 
   body('visibility')
     .optional()
@@ -48,6 +40,11 @@ const targetValidation = [
     .isURL()
     .withMessage('Webhook URL must be a valid URL'),
 
+  body('retry_max_age')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Retry max age must be a non-negative integer (seconds)'),
+
   body('visibility')
     .optional()
     .isIn(['personal', 'team'])
@@ -72,7 +69,25 @@ const routeValidation = [
   body('message_template')
     .optional()
     .isLength({ max: 2000 })
-    .withMessage('Message template must not exceed 2000 characters'),
+    .withMessage('Message template must not exceed 2000 characters')
+    .custom(value => {
+      // Reject templates with syntax errors (throws TemplateError)
+      if (value) {
+        templateEngine.parse(value);
+      }
+      return true;
+    }),
+
+  body('filter_rules')
+    .optional({ nullable: true })
+    .custom(value => {
+      const error = routeFilter.validateRules(value);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    })
+    .customSanitizer(value => (value === null || typeof value === 'string') ? value : JSON.stringify(value)),
 
   body('visibility')
     .optional()
@@ -101,7 +116,7 @@ const getSources = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
   const sources = await database.query(
-    `SELECT s.id, s.name, s.type, s.secret_key, s.webhook_secret, s.visibility, s.team_id, s.created_by_user_id, s.created_at
+    `SELECT s.id, s.name, s.type, s.secret_key, s.webhook_secret, s.signature_scheme, s.signature_tolerance, s.allowed_ips, s.allowed_methods, s.handshake, s.rate_limit_max, s.rate_limit_window, s.rate_limit_burst, s.rate_limit_action, s.max_body_size, s.response_status, s.response_content_type, s.response_body, s.wait_for_deliveries, s.capture_requests, s.visibility, s.team_id, s.created_by_user_id, s.created_at
      FROM sources s
      WHERE s.created_by_user_id = ?
         OR (s.visibility = 'team' AND s.team_id IN (
@@ -132,7 +147,7 @@ const getSource = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
   const sources = await database.query(
-    `SELECT id, name, type, secret_key, webhook_secret, visibility, team_id, created_by_user_id, created_at
+    `SELECT id, name, type, secret_key, webhook_secret, signature_scheme, signature_tolerance, allowed_ips, allowed_methods, handshake, rate_limit_max, rate_limit_window, rate_limit_burst, rate_limit_action, max_body_size, response_status, response_content_type, response_body, wait_for_deliveries, capture_requests, visibility, team_id, created_by_user_id, created_at
      FROM sources
      WHERE id = ? AND (created_by_user_id = ? OR (visibility = 'team' AND team_id IN (
        SELECT tm.team_id FROM team_members tm WHERE tm.user_id = ? AND tm.is_active = TRUE
@@ -161,20 +176,24 @@ const createSource = asyncHandler(async (req, res) => {
     });
   }
 
-  const { name, type, secret_key, webhook_secret, visibility = 'personal', team_id } = req.body;
+  const { name, type, secret_key, webhook_secret, signature_scheme, signature_tolerance, allowed_ips, allowed_methods, handshake, rate_limit_max, rate_limit_window, rate_limit_burst, rate_limit_action, max_body_size, response_status, response_content_type, response_body, wait_for_deliveries, capture_requests, visibility = 'personal', team_id } = req.body;
   const userId = req.user.id;
 
+  if (secret_key && await sourceAliases.isTaken(secret_key)) {
+    throw new CustomError('Secret key is already used by a webhook URL', 409);
+  }
+
   // Generate secret key if not provided
   const finalSecretKey = secret_key || require('crypto').randomBytes(32).toString('hex');
 
   const result = await database.query(
-    `INSERT INTO sources (name, type, secret_key, webhook_secret, visibility, team_id, created_by_user_id, created_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
-    [name, type, finalSecretKey, webhook_secret || null, visibility, team_id || null, userId]
+    `INSERT INTO sources (name, type, secret_key, webhook_secret, signature_scheme, signature_tolerance, allowed_ips, allowed_methods, handshake, rate_limit_max, rate_limit_window, rate_limit_burst, rate_limit_action, max_body_size, response_status, response_content_type, response_body, wait_for_deliveries, capture_requests, visibility, team_id, created_by_user_id, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [name, type, finalSecretKey, webhook_secret || null, signature_scheme || 'default', signature_tolerance ?? null, allowed_ips || null, allowed_methods || 'POST', handshake || 'none', rate_limit_max ?? null, rate_limit_window || 60, rate_limit_burst ?? null, rate_limit_action || 'reject', max_body_size ?? null, response_status ?? null, response_content_type || null, response_body || null, !!wait_for_deliveries, !!capture_requests, visibility, team_id || null, userId]
   );
 
   const createdSource = await database.query(
-    'SELECT id, name, type, secret_key, webhook_secret, visibility, team_id, created_by_user_id, created_at FROM sources WHERE id = ?',
+    'SELECT id, name, type, secret_key, webhook_secret, signature_scheme, signature_tolerance, allowed_ips, allowed_methods, handshake, rate_limit_max, rate_limit_window, rate_limit_burst, rate_limit_action, max_body_size, response_status, response_content_type, response_body, wait_for_deliveries, capture_requests, visibility, team_id, created_by_user_id, created_at FROM sources WHERE id = ?',
     [result.insertId]
   );
 
@@ -184,6 +203,46 @@ const createSource = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Build the SET clause of a partial update from the submitted fields
+ * Only columns present in the request body are written, an omitted field keeps its stored value
+ * @param {Object} columns - Column name -> function storing the submitted value
+ * @param {Object} data - Request body
+ * @returns {{assignments: string, values: Array}}
+ */
+const buildPartialUpdate = (columns, data) => {
+  const names = Object.keys(columns).filter(name => data[name] !== undefined);
+  return {
+    assignments: names.map(name => `${name} = ?`).join(', '),
+    values: names.map(name => columns[name](data[name]))
+  };
+};
+
+// Updatable source columns and how a submitted value is stored
+const SOURCE_UPDATE_COLUMNS = {
+  name: value => value,
+  type: value => value,
+  secret_key: value => value,
+  webhook_secret: value => value || null,
+  signature_scheme: value => value || 'default',
+  signature_tolerance: value => value ?? null,
+  allowed_ips: value => value || null,
+  allowed_methods: value => value || 'POST',
+  handshake: value => value || 'none',
+  rate_limit_max: value => value ?? null,
+  rate_limit_window: value => value || 60,
+  rate_limit_burst: value => value ?? null,
+  rate_limit_action: value => value || 'reject',
+  max_body_size: value => value ?? null,
+  response_status: value => value ?? null,
+  response_content_type: value => value || null,
+  response_body: value => value || null,
+  wait_for_deliveries: value => !!value,
+  capture_requests: value => !!value,
+  visibility: value => value || 'personal',
+  team_id: value => value || null
+};
+
 // PUT /api/sources/:id
 const updateSource = asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -196,7 +255,6 @@ const updateSource = asyncHandler(async (req, res) => {
   }
 
   const { id } = req.params;
-  const { name, type, secret_key, webhook_secret, visibility, team_id } = req.body;
   const userId = req.user.id;
 
   // Check if source exists and user has permission
@@ -209,15 +267,24 @@ const updateSource = asyncHandler(async (req, res) => {
     throw new CustomError('Source not found or access denied', 404);
   }
 
+  // A new secret key must not match an alias or another source's key
+  if (req.body.secret_key !== undefined && await sourceAliases.isTaken(req.body.secret_key, sources[0].id)) {
+    throw new CustomError('Secret key is already used by a webhook URL', 409);
+  }
+
+  // A personal source belongs to no team
+  const data = req.body.visibility === 'personal' ? { ...req.body, team_id: null } : req.body;
+  const { assignments, values } = buildPartialUpdate(SOURCE_UPDATE_COLUMNS, data);
+
   await database.query(
     `UPDATE sources
-     SET name = ?, type = ?, secret_key = ?, webhook_secret = ?, visibility = ?, team_id = ?
+     SET ${assignments}
      WHERE id = ?`,
-    [name, type, secret_key, webhook_secret || null, visibility || 'personal', team_id || null, id]
+    [...values, id]
   );
 
   const updatedSource = await database.query(
-    'SELECT id, name, type, secret_key, webhook_secret, visibility, team_id, created_by_user_id, created_at FROM sources WHERE id = ?',
+    'SELECT id, name, type, secret_key, webhook_secret, signature_scheme, signature_tolerance, allowed_ips, allowed_methods, handshake, rate_limit_max, rate_limit_window, rate_limit_burst, rate_limit_action, max_body_size, response_status, response_content_type, response_body, wait_for_deliveries, capture_requests, visibility, team_id, created_by_user_id, created_at FROM sources WHERE id = ?',
     [id]
   );
 
@@ -333,7 +400,7 @@ const getTargets = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
   const targets = await database.query(
-    `SELECT id, name, type, webhook_url, visibility, team_id, created_by_user_id, created_at
+    `SELECT id, name, type, webhook_url, retry_max_age, visibility, team_id, created_by_user_id, created_at
      FROM targets
      WHERE created_by_user_id = ?
         OR (visibility = 'team' AND team_id IN (
@@ -364,7 +431,7 @@ const getTarget = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
   const targets = await database.query(
-    `SELECT id, name, type, webhook_url, visibility, team_id, created_by_user_id, created_at
+    `SELECT id, name, type, webhook_url, retry_max_age, visibility, team_id, created_by_user_id, created_at
      FROM targets
      WHERE id = ? AND (created_by_user_id = ? OR (visibility = 'team' AND team_id IN (
        SELECT tm.team_id FROM team_members tm WHERE tm.user_id = ? AND tm.is_active = TRUE
@@ -393,17 +460,17 @@ const createTarget = asyncHandler(async (req, res) => {
     });
   }
 
-  const { name, type, webhook_url, visibility = 'personal', team_id } = req.body;
+  const { name, type, webhook_url, retry_max_age, visibility = 'personal', team_id } = req.body;
   const userId = req.user.id;
 
   const result = await database.query(
-    `INSERT INTO targets (name, type, webhook_url, visibility, team_id, created_by_user_id, created_at)
-     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
-    [name, type, webhook_url, visibility, team_id || null, userId]
+    `INSERT INTO targets (name, type, webhook_url, retry_max_age, visibility, team_id, created_by_user_id, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [name, type, webhook_url, retry_max_age ?? null, visibility, team_id || null, userId]
   );
 
   const createdTarget = await database.query(
-    'SELECT id, name, type, webhook_url, visibility, team_id, created_by_user_id, created_at FROM targets WHERE id = ?',
+    'SELECT id, name, type, webhook_url, retry_max_age, visibility, team_id, created_by_user_id, created_at FROM targets WHERE id = ?',
     [result.insertId]
   );
 
@@ -413,6 +480,16 @@ const createTarget = asyncHandler(async (req, res) => {
   });
 });
 
+// Updatable target columns and how a submitted value is stored
+const TARGET_UPDATE_COLUMNS = {
+  name: value => value,
+  type: value => value,
+  webhook_url: value => value,
+  retry_max_age: value => value ?? null,
+  visibility: value => value || 'personal',
+  team_id: value => value || null
+};
+
 // PUT /api/targets/:id
 const updateTarget = asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -425,7 +502,6 @@ const updateTarget = asyncHandler(async (req, res) => {
   }
 
   const { id } = req.params;
-  const { name, type, webhook_url, visibility, team_id } = req.body;
   const userId = req.user.id;
 
   // Check if target exists and user has permission
@@ -438,15 +514,19 @@ const updateTarget = asyncHandler(async (req, res) => {
     throw new CustomError('Target not found or access denied', 404);
   }
 
+  // A personal target belongs to no team
+  const data = req.body.visibility === 'personal' ? { ...req.body, team_id: null } : req.body;
+  const { assignments, values } = buildPartialUpdate(TARGET_UPDATE_COLUMNS, data);
+
   await database.query(
     `UPDATE targets
-     SET name = ?, type = ?, webhook_url = ?, visibility = ?, team_id = ?
+     SET ${assignments}
      WHERE id = ?`,
-    [name, type, webhook_url, visibility || 'personal', team_id || null, id]
+    [...values, id]
   );
 
   const updatedTarget = await database.query(
-    'SELECT id, name, type, webhook_url, visibility, team_id, created_by_user_id, created_at FROM targets WHERE id = ?',
+    'SELECT id, name, type, webhook_url, retry_max_age, visibility, team_id, created_by_user_id, created_at FROM targets WHERE id = ?',
     [id]
   );
 
@@ -507,7 +587,7 @@ const getRoutes = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
   const routes = await database.query(
-    `SELECT r.id, r.source_id, r.target_id, r.message_template, r.visibility, r.team_id,
+    `SELECT r.id, r.source_id, r.target_id, r.message_template, r.filter_rules, r.visibility, r.team_id,
             r.created_by_user_id, r.created_at,
             s.name as source_name, s.type as source_type,
             t.name as target_name, t.type as target_type
@@ -543,7 +623,7 @@ const getRoute = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
   const routes = await database.query(
-    `SELECT r.id, r.source_id, r.target_id, r.message_template, r.visibility, r.team_id,
+    `SELECT r.id, r.source_id, r.target_id, r.message_template, r.filter_rules, r.visibility, r.team_id,
             r.created_by_user_id, r.created_at,
             s.name as source_name, s.type as source_type,
             t.name as target_name, t.type as target_type
@@ -577,7 +657,7 @@ const createRoute = asyncHandler(async (req, res) => {
     });
   }
 
-  const { source_id, target_id, message_template, visibility = 'personal', team_id } = req.body;
+  const { source_id, target_id, message_template, filter_rules, visibility = 'personal', team_id } = req.body;
   const userId = req.user.id;
 
   // Verify source and target exist and user has access
@@ -604,13 +684,13 @@ const createRoute = asyncHandler(async (req, res) => {
   }
 
   const result = await database.query(
-    `INSERT INTO routes (source_id, target_id, message_template, visibility, team_id, created_by_user_id, created_at)
-     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
-    [source_id, target_id, message_template || null, visibility, team_id || null, userId]
+    `INSERT INTO routes (source_id, target_id, message_template, filter_rules, visibility, team_id, created_by_user_id, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [source_id, target_id, message_template || null, filter_rules || null, visibility, team_id || null, userId]
   );
 
   const createdRoute = await database.query(
-    `SELECT r.id, r.source_id, r.target_id, r.message_template, r.visibility, r.team_id,
+    `SELECT r.id, r.source_id, r.target_id, r.message_template, r.filter_rules, r.visibility, r.team_id,
             r.created_by_user_id, r.created_at,
             s.name as source_name, s.type as source_type,
             t.name as target_name, t.type as target_type
@@ -627,6 +707,16 @@ const createRoute = asyncHandler(async (req, res) => {
   });
 });
 
+// Updatable route columns and how a submitted value is stored
+const ROUTE_UPDATE_COLUMNS = {
+  source_id: value => value,
+  target_id: value => value,
+  message_template: value => value || null,
+  filter_rules: value => value || null,
+  visibility: value => value || 'personal',
+  team_id: value => value || null
+};
+
 // PUT /api/routes/:id
 const updateRoute = asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -639,7 +729,7 @@ const updateRoute = asyncHandler(async (req, res) => {
   }
 
   const { id } = req.params;
-  const { source_id, target_id, message_template, visibility, team_id } = req.body;
+  const { source_id, target_id } = req.body;
   const userId = req.user.id;
 
   // Check if route exists and user has permission
@@ -675,15 +765,19 @@ const updateRoute = asyncHandler(async (req, res) => {
     throw new CustomError('Target not found or access denied', 400);
   }
 
+  // A personal route belongs to no team
+  const data = req.body.visibility === 'personal' ? { ...req.body, team_id: null } : req.body;
+  const { assignments, values } = buildPartialUpdate(ROUTE_UPDATE_COLUMNS, data);
+
   await database.query(
     `UPDATE routes
-     SET source_id = ?, target_id = ?, message_template = ?, visibility = ?, team_id = ?
+     SET ${assignments}
      WHERE id = ?`,
-    [source_id, target_id, message_template || null, visibility || 'personal', team_id || null, id]
+    [...values, id]
   );
 
   const updatedRoute = await database.query(
-    `SELECT r.id, r.source_id, r.target_id, r.message_template, r.visibility, r.team_id,
+    `SELECT r.id, r.source_id, r.target_id, r.message_template, r.filter_rules, r.visibility, r.team_id,
             r.created_by_user_id, r.created_at,
             s.name as source_name, s.type as source_type,
             t.name as target_name, t.type as target_type
@@ -1,6 +1,21 @@
 const { body, param, query, validationResult } = require('express-validator');
 const database = require('../config/database');
 const { asyncHandler, CustomError } = require('../middleware/errorHandler');
+const EventProcessor = require('../services/eventProcessor');
+const routeFilter = require('../services/routeFilter');
+const templateEngine = require('../services/templateEngine');
+const { webhookController } = require('./webhookController');
+const deliveryQueue = require('../services/deliveryQueue');
+const requestCapture = require('../services/requestCapture');
+const eventAttachments = require('../services/eventAttachments');
+const webhookRejections = require('../services/webhookRejections');
+const sourceAliases = require('../services/sourceAliases');
+const { sourceFieldValidation } = require('../middleware/sourceValidation');
+
+const eventProcessor = new EventProcessor();
+
+// How long a rotated URL key or webhook secret keeps working unless the request says otherwise
+const SECRET_ROTATION_GRACE_PERIOD = parseInt(process.env.SECRET_ROTATION_GRACE_PERIOD) || 86400; // seconds
 
 /**
  * Scope-aware CRUD controller for sources, targets, routes, events, and deliveries
@@ -39,38 +54,13 @@ const scopeValidation = [
 
 // Validation rules for sources (without scope validation)
 const sourceValidation = [
-  body('name')
-    .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Name must be between 1 and 100 characters'),
-
-  body('type')
-    .isIn(['synology', 'proxmox', 'proxmox_backup', 'gitlab', 'docker_updater', 'media-webhook', 'uptime-kuma', 'generic'])
-    .withMessage('Type must be synology, proxmox, proxmox_backup, gitlab, docker_updater, media-webhook, uptime-kuma or generic'),
-
-  body('secret_key')
-    .optional()
-    .isLength({ min: 8, max: 255 })
-    .withMessage('Secret key must be between 8 and 255 characters'),
-
+  ...sourceFieldValidation,
   ...scopeValidation
 ];
 
 // Validation rules for sources (without scope - for team/personal endpoints)
 const sourceValidationNoScope = [
-  body('name')
-    .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Name must be between 1 and 100 characters'),
-
-  body('type')
-    .isIn(['synology', 'proxmox', 'proxmox_backup', 'gitlab', 'docker_updater', 'media-webhook', 'uptime-kuma', 'generic'])
-    .withMessage('Type must be synology, proxmox, proxmox_backup, gitlab, docker_updater, media-webhook, uptime-kuma or generic'),
-
-  body('secret_key')
-    .optional()
-    .isLength({ min: 8, max: 255 })
-    .withMessage('Secret key must be between 8 and 255 characters')
+  ...sourceFieldValidation
 ];
 
 // Validation rules for targets (without scope validation)
@@ -88,6 +78,11 @@ const targetValidation = [
     .isURL()
     .withMessage('Webhook URL format is invalid'),
 
+  body('retry_max_age')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Retry max age must be a non-negative integer (seconds)'),
+
   ...scopeValidation
 ];
 
@@ -104,7 +99,12 @@ const targetValidationNoScope = [
 
   body('webhook_url')
     .isURL()
-    .withMessage('Webhook URL format is invalid')
+    .withMessage('Webhook URL format is invalid'),
+
+  body('retry_max_age')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Retry max age must be a non-negative integer (seconds)')
 ];
 
 // Validation rules for routes (without scope validation)
@@ -120,7 +120,25 @@ const routeValidation = [
   body('message_template')
     .optional()
     .isLength({ max: 2000 })
-    .withMessage('Message template can be maximum 2000 characters'),
+    .withMessage('Message template can be maximum 2000 characters')
+    .custom(value => {
+      // Reject templates with syntax errors (throws TemplateError)
+      if (value) {
+        templateEngine.parse(value);
+      }
+      return true;
+    }),
+
+  body('filter_rules')
+    .optional({ nullable: true })
+    .custom(value => {
+      const error = routeFilter.validateRules(value);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    })
+    .customSanitizer(value => (value === null || typeof value === 'string') ? value : JSON.stringify(value)),
 
   ...scopeValidation
 ];
@@ -139,6 +157,41 @@ const routeValidationNoScope = [
     .optional()
     .isLength({ max: 2000 })
     .withMessage('Message template can be maximum 2000 characters')
+    .custom(value => {
+      // Reject templates with syntax errors (throws TemplateError)
+      if (value) {
+        templateEngine.parse(value);
+      }
+      return true;
+    }),
+
+  body('filter_rules')
+    .optional({ nullable: true })
+    .custom(value => {
+      const error = routeFilter.validateRules(value);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    })
+    .customSanitizer(value => (value === null || typeof value === 'string') ? value : JSON.stringify(value))
+];
+
+// Validation rules for route preview (dry-run)
+const routePreviewValidation = [
+  body('route_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Route ID must be a positive integer'),
+  body('source_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Source ID must be a positive integer'),
+  body('target_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Target ID must be a positive integer'),
+  body('event_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Event ID must be a positive integer'),
+  body('target_type')
+    .optional({ nullable: true })
+    .isIn(['mattermost', 'rocketchat', 'slack', 'discord', 'teams', 'webhook'])
+    .withMessage('Invalid target type'),
+  body('event_type').optional({ nullable: true }).isLength({ max: 100 }).withMessage('Event type can be maximum 100 characters'),
+  body('message_template')
+    .optional({ nullable: true })
+    .isLength({ max: 2000 })
+    .withMessage('Message template can be maximum 2000 characters')
 ];
 
 // Validation rules for events (without scope - for team/personal endpoints)
@@ -153,10 +206,35 @@ const eventValidationNoScope = [
 const deliveryValidationNoScope = [
   query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000'),
   query('offset').optional().isInt({ min: 0 }).withMessage('Offset cannot be negative'),
-  query('status').optional().isIn(['pending', 'sent', 'failed']).withMessage('Status must be pending, sent or failed'),
+  query('status').optional().isIn(['pending', 'sent', 'failed', 'retry']).withMessage('Status must be pending, sent, failed or retry'),
   query('target_id').optional().isInt({ min: 1 }).withMessage('Target ID must be a positive integer')
 ];
 
+// Validation rules for source secret rotation
+const secretRotationValidation = [
+  body('field')
+    .isIn(['secret_key', 'webhook_secret'])
+    .withMessage('Field must be secret_key or webhook_secret'),
+  body('grace_period')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 2592000 })
+    .withMessage('Grace period must be between 0 and 2592000 seconds')
+    .toInt()
+];
+
+// Validation rules for source aliases
+const aliasValidation = [
+  body('alias')
+    .customSanitizer(value => sourceAliases.normalize(value))
+    .custom(value => {
+      const error = sourceAliases.validate(value);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    })
+];
+
 // ID parameter validation
 const idValidation = [
   param('id')
@@ -164,6 +242,20 @@ const idValidation = [
     .withMessage('ID must be a positive integer')
 ];
 
+// Attachment ID parameter validation
+const attachmentIdValidation = [
+  param('attachmentId')
+    .isInt({ min: 1 })
+    .withMessage('Attachment ID must be a positive integer')
+];
+
+// Alias ID parameter validation
+const aliasIdValidation = [
+  param('aliasId')
+    .isInt({ min: 1 })
+    .withMessage('Alias ID must be a positive integer')
+];
+
 /**
  * Build WHERE clause for scope-based queries
  * @param {string} scope - 'personal' or 'team'
@@ -201,7 +293,17 @@ const getPersonalSources = asyncHandler(async (req, res) => {
   const { whereClause, params } = buildScopeWhereClause('personal', userId);
 
   const sources = await database.query(
-    `SELECT id, name, type, secret_key, webhook_secret, visibility, team_id, created_by_user_id, created_at
+    `SELECT id, name, type, secret_key, webhook_secret, signature_scheme, signature_tolerance, allowed_ips, allowed_methods, handshake, rate_limit_max, rate_limit_window, rate_limit_burst, rate_limit_action, max_body_size, response_status, response_content_type, response_body, wait_for_deliveries, capture_requests, visibility, team_id, created_by_user_id, created_at,
+            (SELECT COUNT(*) FROM webhook_rejections wr
+             WHERE wr.source_id = sources.id AND wr.created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)) as rejections_24h,
+            IF(previous_secret_key_expires_at > NOW(), previous_secret_key_expires_at, NULL) as previous_secret_key_expires_at,
+            IF(previous_webhook_secret_expires_at > NOW(), previous_webhook_secret_expires_at, NULL) as previous_webhook_secret_expires_at,
+            (SELECT MAX(e.received_at) FROM events e
+             WHERE e.source_id = sources.id AND e.secret_key_used = 'previous') as previous_key_last_used,
+            (SELECT MAX(e.received_at) FROM events e
+             WHERE e.source_id = sources.id AND e.webhook_secret_used = 'previous') as previous_secret_last_used,
+            (SELECT GROUP_CONCAT(sa.alias ORDER BY sa.alias SEPARATOR ' ') FROM source_aliases sa
+             WHERE sa.source_id = sources.id) as aliases
      FROM sources
      WHERE ${whereClause}
      ORDER BY created_at DESC`,
@@ -225,7 +327,7 @@ const getPersonalTargets = asyncHandler(async (req, res) => {
   const { whereClause, params } = buildScopeWhereClause('personal', userId);
 
   const targets = await database.query(
-    `SELECT id, name, type, webhook_url, visibility, team_id, created_by_user_id, created_at
+    `SELECT id, name, type, webhook_url, retry_max_age, visibility, team_id, created_by_user_id, created_at
      FROM targets
      WHERE ${whereClause}
      ORDER BY created_at DESC`,
@@ -249,7 +351,7 @@ const getPersonalRoutes = asyncHandler(async (req, res) => {
   const { whereClause, params } = buildScopeWhereClause('personal', userId, null, 'r');
 
   const routes = await database.query(
-    `SELECT r.id, r.source_id, r.target_id, r.message_template, r.visibility, r.team_id,
+    `SELECT r.id, r.source_id, r.target_id, r.message_template, r.filter_rules, r.visibility, r.team_id,
             r.created_by_user_id, r.created_at,
             s.name as source_name, s.type as source_type,
             t.name as target_name, t.type as target_type
@@ -289,7 +391,7 @@ const getPersonalEvents = asyncHandler(async (req, res) => {
 
   const events = await database.query(
     `SELECT e.id, e.source_id, e.event_type, e.payload_json, e.visibility, e.team_id,
-            e.created_by_user_id, e.received_at, e.processed_at,
+            e.created_by_user_id, e.received_at, e.processed_at, e.duplicate_of, e.secret_key_used, e.webhook_secret_used, e.rate_limited,
             s.name as source_name, s.type as source_type
      FROM events e
      LEFT JOIN sources s ON e.source_id = s.id
@@ -322,13 +424,13 @@ const getPersonalDeliveries = asyncHandler(async (req, res) => {
   const { whereClause: baseWhereD, params } = buildScopeWhereClause('personal', userId, null, 'd');
   let whereClause = baseWhereD;
 
-  if (status && ['pending', 'sent', 'failed'].includes(status)) {
+  if (status && ['pending', 'sent', 'failed', 'retry'].includes(status)) {
     whereClause += ' AND d.status = ?';
     params.push(status);
   }
 
   const deliveries = await database.query(
-    `SELECT d.id, d.event_id, d.target_id, d.status, d.attempts, d.last_error,
+    `SELECT d.id, d.event_id, d.target_id, d.status, d.attempts, d.next_attempt_at, d.last_error, d.is_replay,
             d.visibility, d.team_id, d.created_by_user_id, d.sent_at, d.created_at,
             t.name as target_name, t.type as target_type,
             e.event_type, s.name as source_name
@@ -365,7 +467,17 @@ const getTeamSources = asyncHandler(async (req, res) => {
   const { whereClause, params } = buildScopeWhereClause('team', null, teamId);
 
   const sources = await database.query(
-    `SELECT id, name, type, secret_key, webhook_secret, visibility, team_id, created_by_user_id, created_at
+    `SELECT id, name, type, secret_key, webhook_secret, signature_scheme, signature_tolerance, allowed_ips, allowed_methods, handshake, rate_limit_max, rate_limit_window, rate_limit_burst, rate_limit_action, max_body_size, response_status, response_content_type, response_body, wait_for_deliveries, capture_requests, visibility, team_id, created_by_user_id, created_at,
+            (SELECT COUNT(*) FROM webhook_rejections wr
+             WHERE wr.source_id = sources.id AND wr.created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)) as rejections_24h,
+            IF(previous_secret_key_expires_at > NOW(), previous_secret_key_expires_at, NULL) as previous_secret_key_expires_at,
+            IF(previous_webhook_secret_expires_at > NOW(), previous_webhook_secret_expires_at, NULL) as previous_webhook_secret_expires_at,
+            (SELECT MAX(e.received_at) FROM events e
+             WHERE e.source_id = sources.id AND e.secret_key_used = 'previous') as previous_key_last_used,
+            (SELECT MAX(e.received_at) FROM events e
+             WHERE e.source_id = sources.id AND e.webhook_secret_used = 'previous') as previous_secret_last_used,
+            (SELECT GROUP_CONCAT(sa.alias ORDER BY sa.alias SEPARATOR ' ') FROM source_aliases sa
+             WHERE sa.source_id = sources.id) as aliases
      FROM sources
      WHERE ${whereClause}
      ORDER BY created_at DESC`,
@@ -390,7 +502,7 @@ const getTeamTargets = asyncHandler(async (req, res) => {
   const { whereClause, params } = buildScopeWhereClause('team', null, teamId);
 
   const targets = await database.query(
-    `SELECT id, name, type, webhook_url, visibility, team_id, created_by_user_id, created_at
+    `SELECT id, name, type, webhook_url, retry_max_age, visibility, team_id, created_by_user_id, created_at
      FROM targets
      WHERE ${whereClause}
      ORDER BY created_at DESC`,
@@ -415,7 +527,7 @@ const getTeamRoutes = asyncHandler(async (req, res) => {
   const { whereClause, params } = buildScopeWhereClause('team', null, teamId, 'r');
 
   const routes = await database.query(
-    `SELECT r.id, r.source_id, r.target_id, r.message_template, r.visibility, r.team_id,
+    `SELECT r.id, r.source_id, r.target_id, r.message_template, r.filter_rules, r.visibility, r.team_id,
             r.created_by_user_id, r.created_at,
             s.name as source_name, s.type as source_type,
             t.name as target_name, t.type as target_type
@@ -456,7 +568,7 @@ const getTeamEvents = asyncHandler(async (req, res) => {
 
   const events = await database.query(
     `SELECT e.id, e.source_id, e.event_type, e.payload_json, e.visibility, e.team_id,
-            e.created_by_user_id, e.received_at, e.processed_at,
+            e.created_by_user_id, e.received_at, e.processed_at, e.duplicate_of, e.secret_key_used, e.webhook_secret_used, e.rate_limited,
             s.name as source_name, s.type as source_type
      FROM events e
      LEFT JOIN sources s ON e.source_id = s.id
@@ -490,13 +602,13 @@ const getTeamDeliveries = asyncHandler(async (req, res) => {
   const { whereClause: baseWhereTD, params } = buildScopeWhereClause('team', null, teamId, 'd');
   let whereClause = baseWhereTD;
 
-  if (status && ['pending', 'sent', 'failed'].includes(status)) {
+  if (status && ['pending', 'sent', 'failed', 'retry'].includes(status)) {
     whereClause += ' AND d.status = ?';
     params.push(status);
   }
 
   const deliveries = await database.query(
-    `SELECT d.id, d.event_id, d.target_id, d.status, d.attempts, d.last_error,
+    `SELECT d.id, d.event_id, d.target_id, d.status, d.attempts, d.next_attempt_at, d.last_error, d.is_replay,
             d.visibility, d.team_id, d.created_by_user_id, d.sent_at, d.created_at,
             t.name as target_name, t.type as target_type,
             e.event_type, s.name as source_name
@@ -559,6 +671,11 @@ const createScopedResource = (resourceType) => {
       created_by_user_id: userId
     };
 
+    // A chosen secret key must not match an alias or another source's key
+    if (resourceType === 'sources' && insertData.secret_key && await sourceAliases.isTaken(insertData.secret_key)) {
+      throw new CustomError(req.t('sources.secret_key_taken'), 409);
+    }
+
     // Generate secret key for sources if not provided
     if (resourceType === 'sources' && !insertData.secret_key) {
       insertData.secret_key = require('crypto').randomBytes(32).toString('hex');
@@ -673,6 +790,13 @@ const getScopedResource = (resourceType) => {
       throw new CustomError(req.t('scope.resource_not_found_or_no_access'), 404);
     }
 
+    // Events of sources with request capture carry the full inbound request,
+    // multipart events list their file attachments
+    if (resourceType === 'events') {
+      resources[0].request_capture = await requestCapture.load(resources[0].id);
+      resources[0].attachments = await eventAttachments.list(resources[0].id);
+    }
+
     res.json({
       success: true,
       data: resources[0]
@@ -723,6 +847,11 @@ const updateScopedResource = (resourceType) => {
       throw new CustomError(req.t('scope.only_owner_can_modify'), 403);
     }
 
+    if (resourceType === 'sources' && resourceData.secret_key !== undefined &&
+        await sourceAliases.isTaken(resourceData.secret_key, resource.id)) {
+      throw new CustomError(req.t('sources.secret_key_taken'), 409);
+    }
+
     const updateData = {
       ...resourceData,
       visibility: scope,
@@ -819,7 +948,515 @@ const deleteScopedResource = (resourceType) => {
   });
 };
 
+// PREVIEW route rendering without sending (dry-run)
+const previewScopedRoute = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: req.t('validation.failed'),
+      details: errors.array()
+    });
+  }
+
+  const userId = req.user.id;
+  const isTeamScope = req.route.path.includes('/team/:teamId/');
+  const teamId = isTeamScope ? parseInt(req.params.teamId) : null;
+  const { whereClause, params } = buildScopeWhereClause(isTeamScope ? 'team' : 'personal', userId, teamId);
+
+  // Load a resource of the current scope, 404 when it is not accessible
+  const loadScoped = async (table, id, columns) => {
+    const rows = await database.query(
+      `SELECT ${columns} FROM ${table} WHERE id = ? AND ${whereClause}`,
+      [id, ...params]
+    );
+    if (rows.length === 0) {
+      throw new CustomError(req.t('scope.resource_not_found_or_no_access'), 404);
+    }
+    return rows[0];
+  };
+
+  const { route_id, event_id } = req.body;
+
+  const route = route_id
+    ? await loadScoped('routes', route_id, 'id, source_id, target_id, message_template, filter_rules')
+    : null;
+  const event = event_id
+    ? await loadScoped('events', event_id, 'id, source_id, event_type, payload_json')
+    : null;
+
+  const sourceId = req.body.source_id || route?.source_id || event?.source_id;
+  const source = sourceId ? await loadScoped('sources', sourceId, 'id, name, type') : null;
+
+  const targetId = req.body.target_id || route?.target_id;
+  const target = targetId ? await loadScoped('targets', targetId, 'id, name, type') : null;
+  const targetType = req.body.target_type || target?.type || 'webhook';
+
+  // Payload: stored event or pasted sample
+  let payload = event ? event.payload_json : req.body.payload;
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload);
+    } catch (_e) {
+      if (!event) {
+        throw new CustomError(req.t('routes.preview_invalid_payload'), 400);
+      }
+      payload = { text: payload };
+    }
+  }
+  if (payload === undefined || payload === null) {
+    throw new CustomError(req.t('routes.preview_payload_required'), 400);
+  }
+
+  const eventType = req.body.event_type || event?.event_type ||
+    webhookController.determineEventType(payload, source?.type || 'generic');
+
+  // Unsaved values from the modal win over the stored route
+  const template = req.body.message_template !== undefined ? req.body.message_template : route?.message_template;
+  const filterRules = req.body.filter_rules !== undefined ? req.body.filter_rules : route?.filter_rules;
+
+  const filterError = filterRules ? routeFilter.validateRules(filterRules) : null;
+  const matchesFilter = filterError ? false : routeFilter.matches(filterRules, eventType, payload);
+
+  const preview = eventProcessor.previewDelivery({
+    payload,
+    eventType,
+    template,
+    sourceType: source?.type || null,
+    sourceName: source?.name || null,
+    targetType
+  });
+
+  res.json({
+    success: true,
+    data: {
+      event_type: eventType,
+      source_type: source?.type || null,
+      target_type: targetType,
+      matches_filter: matchesFilter,
+      filter_error: filterError,
+      template_error: preview.templateError,
+      uses_formatter: preview.usesFormatter,
+      message: preview.message,
+      body: preview.body
+    }
+  });
+});
+
+// REPROCESS event with scope validation
+const reprocessScopedEvent = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: req.t('validation.failed'),
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const userId = req.user.id;
+  const isTeamScope = req.route.path.includes('/team/:teamId/');
+  const teamId = isTeamScope ? parseInt(req.params.teamId) : null;
+
+  let whereClause, params;
+
+  if (isTeamScope && teamId) {
+    whereClause = 'WHERE id = ? AND team_id = ? AND visibility = "team"';
+    params = [id, teamId];
+  } else {
+    whereClause = 'WHERE id = ? AND created_by_user_id = ? AND visibility = "personal"';
+    params = [id, userId];
+  }
+
+  const events = await database.query(
+    `SELECT id, source_id, event_type, payload_json FROM events ${whereClause}`,
+    params
+  );
+
+  if (events.length === 0) {
+    throw new CustomError(req.t('events.not_found_or_no_access'), 404);
+  }
+
+  const deliveries = await eventProcessor.reprocessEvent(events[0]);
+
+  res.json({
+    success: true,
+    data: {
+      message: req.t('events.reprocessed', { count: deliveries.length }),
+      id: parseInt(id),
+      deliveries
+    }
+  });
+});
+
+// GET recent webhook rejections of a source with scope validation
+const getScopedSourceRejections = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: req.t('validation.failed'),
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const userId = req.user.id;
+  const isTeamScope = req.route.path.includes('/team/:teamId/');
+  const teamId = isTeamScope ? parseInt(req.params.teamId) : null;
+
+  let whereClause, params;
+
+  if (isTeamScope && teamId) {
+    whereClause = 'WHERE id = ? AND team_id = ? AND visibility = "team"';
+    params = [id, teamId];
+  } else {
+    whereClause = 'WHERE id = ? AND created_by_user_id = ? AND visibility = "personal"';
+    params = [id, userId];
+  }
+
+  const sources = await database.query(`SELECT id FROM sources ${whereClause}`, params);
+
+  if (sources.length === 0) {
+    throw new CustomError(req.t('scope.resource_not_found_or_no_access'), 404);
+  }
+
+  const rejections = await webhookRejections.list(id);
+
+  res.json({
+    success: true,
+    data: rejections
+  });
+});
+
+// GET download an event attachment with scope validation
+const getScopedEventAttachment = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: req.t('validation.failed'),
+      details: errors.array()
+    });
+  }
+
+  const { id, attachmentId } = req.params;
+  const userId = req.user.id;
+  const isTeamScope = req.route.path.includes('/team/:teamId/');
+  const teamId = isTeamScope ? parseInt(req.params.teamId) : null;
+
+  let whereClause, params;
+
+  if (isTeamScope && teamId) {
+    whereClause = 'WHERE id = ? AND team_id = ? AND visibility = "team"';
+    params = [id, teamId];
+  } else {
+    whereClause = 'WHERE id = ? AND created_by_user_id = ? AND visibility = "personal"';
+    params = [id, userId];
+  }
+
+  const events = await database.query(`SELECT id FROM events ${whereClause}`, params);
+
+  if (events.length === 0) {
+    throw new CustomError(req.t('events.not_found_or_no_access'), 404);
+  }
+
+  const attachment = await eventAttachments.load(id, attachmentId);
+
+  if (!attachment) {
+    throw new CustomError(req.t('events.attachment_not_found'), 404);
+  }
+
+  // Always a download, never rendered inline in the admin origin
+  res.attachment(attachment.filename);
+  res.type(attachment.content_type || 'application/octet-stream');
+  res.send(attachment.data);
+});
+
+// POST rotate the URL key or webhook secret of a source with scope validation
+// The replaced value stays valid until the grace period ends
+const rotateScopedSourceSecret = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: req.t('validation.failed'),
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const userId = req.user.id;
+  const isTeamScope = req.route.path.includes('/team/:teamId/');
+  const teamId = isTeamScope ? parseInt(req.params.teamId) : null;
+  const field = req.body.field;
+  const gracePeriod = req.body.grace_period ?? SECRET_ROTATION_GRACE_PERIOD;
+
+  let whereClause, params;
+
+  if (isTeamScope && teamId) {
+    whereClause = 'WHERE id = ? AND team_id = ? AND visibility = "team"';
+    params = [id, teamId];
+  } else {
+    whereClause = 'WHERE id = ? AND created_by_user_id = ? AND visibility = "personal"';
+    params = [id, userId];
+  }
+
+  const sources = await database.query(`SELECT id, name, webhook_secret, created_by_user_id FROM sources ${whereClause}`, params);
+
+  if (sources.length === 0) {
+    throw new CustomError(req.t('scope.resource_not_found_or_no_access'), 404);
+  }
+
+  const source = sources[0];
+
+  // Only owner can rotate (or admin), same as updating the source
+  if (req.user.role !== 'admin' && source.created_by_user_id !== userId) {
+    throw new CustomError(req.t('scope.only_owner_can_modify'), 403);
+  }
+
+  if (field === 'webhook_secret' && !source.webhook_secret) {
+    throw new CustomError(req.t('sources.no_webhook_secret'), 400);
+  }
+
+  // field is validated against a whitelist above
+  const previousField = `previous_${field}`;
+  let newValue = require('crypto').randomBytes(32).toString('hex');
+
+  // A new URL key must not match an alias or another source's key
+  while (field === 'secret_key' && await sourceAliases.isTaken(newValue, source.id)) {
+    newValue = require('crypto').randomBytes(32).toString('hex');
+  }
+
+  if (gracePeriod > 0) {
+    await database.query(
+      `UPDATE sources
+       SET ${previousField} = ${field}, ${previousField}_expires_at = DATE_ADD(NOW(), INTERVAL ${parseInt(gracePeriod)} SECOND), ${field} = ?
+       WHERE id = ?`,
+      [newValue, id]
+    );
+  } else {
+    await database.query(
+      `UPDATE sources SET ${previousField} = NULL, ${previousField}_expires_at = NULL, ${field} = ? WHERE id = ?`,
+      [newValue, id]
+    );
+  }
+
+  const updated = await database.query(
+    `SELECT ${field} as value, ${previousField}_expires_at as previous_expires_at FROM sources WHERE id = ?`,
+    [id]
+  );
+
+  res.json({
+    success: true,
+    data: {
+      id: parseInt(id),
+      field,
+      value: updated[0].value,
+      previous_expires_at: updated[0].previous_expires_at
+    }
+  });
+});
+
+// GET aliases (readable webhook paths) of a source with scope validation
+const getScopedSourceAliases = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: req.t('validation.failed'),
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const userId = req.user.id;
+  const isTeamScope = req.route.path.includes('/team/:teamId/');
+  const teamId = isTeamScope ? parseInt(req.params.teamId) : null;
+
+  let whereClause, params;
+
+  if (isTeamScope && teamId) {
+    whereClause = 'WHERE id = ? AND team_id = ? AND visibility = "team"';
+    params = [id, teamId];
+  } else {
+    whereClause = 'WHERE id = ? AND created_by_user_id = ? AND visibility = "personal"';
+    params = [id, userId];
+  }
+
+  const sources = await database.query(`SELECT id FROM sources ${whereClause}`, params);
+
+  if (sources.length === 0) {
+    throw new CustomError(req.t('scope.resource_not_found_or_no_access'), 404);
+  }
+
+  const aliases = await sourceAliases.list(id);
+
+  res.json({
+    success: true,
+    data: aliases
+  });
+});
+
+// POST add an alias to a source with scope validation
+const addScopedSourceAlias = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: req.t('validation.failed'),
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const userId = req.user.id;
+  const isTeamScope = req.route.path.includes('/team/:teamId/');
+  const teamId = isTeamScope ? parseInt(req.params.teamId) : null;
+  const alias = req.body.alias;
+
+  let whereClause, params;
+
+  if (isTeamScope && teamId) {
+    whereClause = 'WHERE id = ? AND team_id = ? AND visibility = "team"';
+    params = [id, teamId];
+  } else {
+    whereClause = 'WHERE id = ? AND created_by_user_id = ? AND visibility = "personal"';
+    params = [id, userId];
+  }
+
+  const sources = await database.query(`SELECT id, created_by_user_id FROM sources ${whereClause}`, params);
+
+  if (sources.length === 0) {
+    throw new CustomError(req.t('scope.resource_not_found_or_no_access'), 404);
+  }
+
+  // Only owner can add aliases (or admin), same as updating the source
+  if (req.user.role !== 'admin' && sources[0].created_by_user_id !== userId) {
+    throw new CustomError(req.t('scope.only_owner_can_modify'), 403);
+  }
+
+  if (await sourceAliases.isTaken(alias)) {
+    throw new CustomError(req.t('sources.alias_taken'), 409);
+  }
+
+  const aliasId = await sourceAliases.add(id, alias);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      id: aliasId,
+      source_id: parseInt(id),
+      alias
+    }
+  });
+});
+
+// DELETE remove an alias of a source with scope validation
+const deleteScopedSourceAlias = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: req.t('validation.failed'),
+      details: errors.array()
+    });
+  }
+
+  const { id, aliasId } = req.params;
+  const userId = req.user.id;
+  const isTeamScope = req.route.path.includes('/team/:teamId/');
+  const teamId = isTeamScope ? parseInt(req.params.teamId) : null;
+
+  let whereClause, params;
+
+  if (isTeamScope && teamId) {
+    whereClause = 'WHERE id = ? AND team_id = ? AND visibility = "team"';
+    params = [id, teamId];
+  } else {
+    whereClause = 'WHERE id = ? AND created_by_user_id = ? AND visibility = "personal"';
+    params = [id, userId];
+  }
+
+  const sources = await database.query(`SELECT id, created_by_user_id FROM sources ${whereClause}`, params);
+
+  if (sources.length === 0) {
+    throw new CustomError(req.t('scope.resource_not_found_or_no_access'), 404);
+  }
+
+  if (req.user.role !== 'admin' && sources[0].created_by_user_id !== userId) {
+    throw new CustomError(req.t('scope.only_owner_can_modify'), 403);
+  }
+
+  if (!await sourceAliases.remove(id, aliasId)) {
+    throw new CustomError(req.t('sources.alias_not_found'), 404);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      id: parseInt(aliasId),
+      source_id: parseInt(id)
+    }
+  });
+});
+
+// GET delivery attempt history with scope validation
+const getScopedDeliveryAttempts = asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: req.t('validation.failed'),
+      details: errors.array()
+    });
+  }
+
+  const { id } = req.params;
+  const userId = req.user.id;
+  const isTeamScope = req.route.path.includes('/team/:teamId/');
+  const teamId = isTeamScope ? parseInt(req.params.teamId) : null;
+
+  let whereClause, params;
+
+  if (isTeamScope && teamId) {
+    whereClause = 'WHERE id = ? AND team_id = ? AND visibility = "team"';
+    params = [id, teamId];
+  } else {
+    whereClause = 'WHERE id = ? AND created_by_user_id = ? AND visibility = "personal"';
+    params = [id, userId];
+  }
+
+  const deliveries = await database.query(`SELECT id FROM deliveries ${whereClause}`, params);
+
+  if (deliveries.length === 0) {
+    throw new CustomError(req.t('deliveries.not_found_or_no_access'), 404);
+  }
+
+  const attempts = await database.query(`
+    SELECT id, attempt_number, response_status, duration_ms, response_headers, response_body,
+           error_class, error_message, attempted_at
+    FROM delivery_attempts
+    WHERE delivery_id = ?
+    ORDER BY attempt_number, id
+  `, [id]);
+
+  for (const attempt of attempts) {
+    if (attempt.response_headers) {
+      try { attempt.response_headers = JSON.parse(attempt.response_headers); } catch (_e) { /* keep as string */ }
+    }
+  }
+
+  res.json({
+    success: true,
+    data: attempts
+  });
+});
+
 // RETRY delivery with scope validation
+// Re-sends through the same pipeline as the original attempt (route template,
+// source formatter, target formatting) and reports what was sent
 const retryScopedDelivery = asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -847,10 +1484,9 @@ const retryScopedDelivery = asyncHandler(async (req, res) => {
   }
 
   const deliveries = await database.query(`
-    SELECT d.*, t.webhook_url, t.type as target_type, e.payload_json, e.event_type
+    SELECT d.id, d.status, t.name as target_name, t.type as target_type
     FROM deliveries d
     JOIN targets t ON d.target_id = t.id
-    JOIN events e ON d.event_id = e.id
     ${whereClause}
   `, params);
 
@@ -865,83 +1501,41 @@ const retryScopedDelivery = asyncHandler(async (req, res) => {
     throw new CustomError(req.t('deliveries.cannot_retry_sent'), 400);
   }
 
-  if (delivery.attempts >= 3) {
-    throw new CustomError(req.t('deliveries.max_retries_reached'), 400);
-  }
-
-  try {
-    const axios = require('axios');
-    let payload;
-
-    // Parse original payload
-    try {
-      payload = JSON.parse(delivery.payload_json);
-    } catch (_e) {
-      payload = { message: delivery.payload_json };
-    }
-
-    // Format payload based on target type
-    if (delivery.target_type === 'mattermost') {
-      payload = {
-        text: payload.message || JSON.stringify(payload),
-        username: 'HookCats Bot'
-      };
-    } else if (delivery.target_type === 'rocketchat') {
-      payload = {
-        text: payload.message || JSON.stringify(payload),
-        alias: 'HookCats Bot'
-      };
-    }
-
-    // Attempt delivery
-    const response = await axios.post(delivery.webhook_url, payload, {
-      timeout: 10000,
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'HookCats/1.0'
-      }
-    });
+  const result = await deliveryQueue.runNow(parseInt(id));
 
-    // Update delivery status - successful
-    await database.query(`
-      UPDATE deliveries
-      SET status = 'sent', attempts = attempts + 1, last_error = NULL, sent_at = NOW()
-      WHERE id = ?
-    `, [id]);
+  if (!result) {
+    throw new CustomError(req.t('deliveries.in_progress'), 409);
+  }
 
-    res.json({
+  const updated = await database.query('SELECT attempts FROM deliveries WHERE id = ?', [id]);
+  const details = {
+    id: parseInt(id),
+    status: result.status,
+    attempts: updated.length > 0 ? updated[0].attempts : null,
+    target_name: delivery.target_name,
+    target_type: delivery.target_type,
+    response_status: result.responseStatus,
+    sent_body: result.body
+  };
+
+  if (result.success) {
+    return res.json({
       success: true,
       data: {
         message: req.t('deliveries.resent'),
-        id: parseInt(id),
-        status: 'sent',
-        attempts: delivery.attempts + 1,
-        response_status: response.status
-      }
-    });
-
-  } catch (error) {
-    // Update delivery status - failed
-    const errorMessage = error.response?.data?.message || error.message || 'Unknown error';
-
-    await database.query(`
-      UPDATE deliveries
-      SET status = 'failed', attempts = attempts + 1, last_error = ?, sent_at = NOW()
-      WHERE id = ?
-    `, [errorMessage, id]);
-
-    res.status(400).json({
-      success: false,
-      error: req.t('deliveries.resend_failed'),
-      details: {
-        id: parseInt(id),
-        status: 'failed',
-        attempts: delivery.attempts + 1,
-        error: errorMessage,
-        response_status: error.response?.status
+        ...details
       }
     });
   }
+
+  res.status(400).json({
+    success: false,
+    error: req.t('deliveries.resend_failed'),
+    details: {
+      ...details,
+      error: result.error
+    }
+  });
 });
 
 module.exports = {
@@ -964,6 +1558,15 @@ module.exports = {
   getScopedResource,
   updateScopedResource,
   deleteScopedResource,
+  previewScopedRoute,
+  reprocessScopedEvent,
+  getScopedEventAttachment,
+  getScopedSourceRejections,
+  rotateScopedSourceSecret,
+  getScopedSourceAliases,
+  addScopedSourceAlias,
+  deleteScopedSourceAlias,
+  getScopedDeliveryAttempts,
   retryScopedDelivery,
 
   // Validation rules
@@ -973,9 +1576,14 @@ module.exports = {
   sourceValidationNoScope,
   targetValidationNoScope,
   routeValidationNoScope,
+  routePreviewValidation,
+  secretRotationValidation,
+  aliasValidation,
+  aliasIdValidation,
   eventValidationNoScope,
   deliveryValidationNoScope,
   idValidation,
+  attachmentIdValidation,
   scopeValidation,
 
   // Utility functions
@@ -2,6 +2,14 @@ const { body, validationResult } = require('express-validator');
 const database = require('../config/database');
 const { asyncHandler, CustomError } = require('../middleware/errorHandler');
 const EventProcessor = require('../services/eventProcessor');
+const requestCapture = require('../services/requestCapture');
+const eventAttachments = require('../services/eventAttachments');
+const eventDeduplicator = require('../services/eventDeduplicator');
+const sourceRateLimiter = require('../services/sourceRateLimiter');
+const webhookRejections = require('../services/webhookRejections');
+const deliveryQueue = require('../services/deliveryQueue');
+const templateEngine = require('../services/templateEngine');
+const { RESPONSE_CONTENT_TYPE } = require('../middleware/sourceValidation');
 
 /**
  * Webhook Controller
@@ -10,6 +18,8 @@ const EventProcessor = require('../services/eventProcessor');
 class WebhookController {
   constructor() {
     this.eventProcessor = new EventProcessor();
+    // Upper bound for sources answering after their deliveries (keep it below the senders' timeouts)
+    this.responseWaitTimeout = parseInt(process.env.WEBHOOK_RESPONSE_WAIT_TIMEOUT) || 15000; // ms
   }
 
   /**
@@ -27,28 +37,146 @@ class WebhookController {
     const payload = this.extractPayload(req);
 
     // Determine event type based on source type and payload
-    const eventType = this.determineEventType(payload, source.type);
+    const eventType = this.determineEventType(payload, source.type, req.headers);
+
+    // Senders retrying a delivery must not be routed twice
+    const dedup = eventDeduplicator.getKey(req, payload);
+    const originalEventId = await eventDeduplicator.findOriginal(source.id, dedup);
 
     // Save event to database
-    const eventId = await this.saveDynamicEvent(source, eventType, payload);
+    const eventId = await this.saveDynamicEvent(source, eventType, payload, {
+      dedupKey: dedup ? dedup.key : null,
+      duplicateOf: originalEventId,
+      secretKeyUsed: req.webhookKeyUsed || 'current',
+      webhookSecretUsed: req.webhookSecretUsed || null,
+      rateLimited: req.rateLimited === true
+    });
 
-    // Process the event (forward to targets)
-    await this.eventProcessor.processEvent(eventId, source, eventType, payload);
+    // Store the full request for the event inspector (opt-in per source)
+    if (source.capture_requests) {
+      await requestCapture.save(eventId, req);
+    }
 
-    return res.status(200).json({
-      success: true,
-      data: {
+    // File parts of multipart webhooks
+    if (req.webhookAttachments && req.webhookAttachments.length > 0) {
+      await eventAttachments.save(eventId, req.webhookAttachments);
+    }
+
+    if (originalEventId) {
+      console.log(`[WEBHOOK] Duplicate of event ${originalEventId} (${dedup.key}), not routing event ${eventId}`);
+      return this.sendAccepted(res, source, {
+        eventId,
+        duplicate: true,
+        duplicateOf: originalEventId,
+        sourceId: source.id,
+        sourceName: source.name,
+        sourceType: source.type,
+        eventType,
+        message: 'Duplicate webhook acknowledged, not forwarded again',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (req.rateLimited) {
+      console.log(`[WEBHOOK] Source "${source.name}" is over its rate limit, not routing event ${eventId}`);
+      return this.sendAccepted(res, source, {
         eventId,
+        rateLimited: true,
         sourceId: source.id,
         sourceName: source.name,
         sourceType: source.type,
         eventType,
-        message: 'Webhook processed and forwarded successfully',
+        message: 'Rate limit exceeded, webhook stored but not forwarded',
         timestamp: new Date().toISOString()
+      });
+    }
+
+    // Process the event (forward to targets)
+    // Sources waiting for their deliveries send them inline instead of through the worker
+    const waitForDeliveries = !!source.wait_for_deliveries;
+    const deliveries = await this.eventProcessor.processEvent(eventId, source, eventType, payload, { inline: waitForDeliveries });
+
+    if (waitForDeliveries && deliveries.length > 0) {
+      const deliveryIds = deliveries.map(delivery => delivery.deliveryId);
+      const outcomes = await deliveryQueue.waitForDeliveries(deliveryIds, this.responseWaitTimeout);
+
+      if (outcomes.every(outcome => outcome === false)) {
+        await this.handBackToSender(eventId, deliveryIds);
+        return res.status(502).json({
+          success: false,
+          error: 'Every route failed to deliver the webhook',
+          data: {
+            eventId,
+            sourceId: source.id,
+            eventType,
+            deliveries: deliveryIds.length
+          }
+        });
       }
+    }
+
+    return this.sendAccepted(res, source, {
+      eventId,
+      sourceId: source.id,
+      sourceName: source.name,
+      sourceType: source.type,
+      eventType,
+      deliveries: deliveries.length,
+      message: 'Webhook processed and forwarded successfully',
+      timestamp: new Date().toISOString()
     });
   });
 
+  /**
+   * Send the success response of a source
+   * Without a body template the JSON envelope is sent, with the source's status code.
+   * Templates are only sent as text/plain or application/json (types stored before that
+   * restriction fall back to text/plain), so payload text is never served as markup
+   * @param {Object} res - Express response object
+   * @param {Object} source - Source record (response_status, response_content_type, response_body)
+   * @param {Object} data - Envelope data, also the template context ({{eventId}}, {{eventType}}, ...)
+   */
+  sendAccepted(res, source, data) {
+    const status = source.response_status || 200;
+
+    if (status === 204) {
+      return res.status(204).end();
+    }
+
+    if (source.response_body) {
+      try {
+        const body = templateEngine.render(source.response_body, data);
+        const contentType = RESPONSE_CONTENT_TYPE.test(source.response_content_type || '') ? source.response_content_type : 'text/plain';
+        return res.status(status).type(contentType).send(body);
+      } catch (error) {
+        console.error(`[WEBHOOK] Response template of source ${source.id} failed, sending the default response:`, error.message);
+      }
+    }
+
+    return res.status(status).json({
+      success: true,
+      data
+    });
+  }
+
+  /**
+   * Leave retrying to the sender after every route failed
+   * Scheduled retries are cancelled and the event no longer counts for deduplication,
+   * so the sender's retry is routed as a new event instead of being sent twice
+   * @param {number} eventId - Event ID
+   * @param {Array<number>} deliveryIds - Failed delivery IDs
+   */
+  async handBackToSender(eventId, deliveryIds) {
+    await database.query(
+      `UPDATE deliveries SET status = 'failed', next_attempt_at = NULL
+       WHERE status = 'retry' AND id IN (${deliveryIds.map(() => '?').join(', ')})`,
+      deliveryIds
+    );
+    await database.query('UPDATE events SET dedup_key = NULL WHERE id = ?', [eventId]);
+
+    console.log(`[WEBHOOK] Every delivery of event ${eventId} failed, answering 502 so the sender retries`);
+  }
+
   /**
    * Find source by secret key (database lookup)
    * @param {string} secretKey - Source secret key
@@ -72,14 +200,23 @@ class WebhookController {
    * @param {Object} source - Source database record
    * @param {string} eventType - Event type
    * @param {Object} payload - Event payload
+   * @param {Object} options - Deduplication and secret rotation data
+   * @param {string|null} options.dedupKey - Delivery ID or body hash key
+   * @param {number|null} options.duplicateOf - Original event when this is a suppressed duplicate
+   * @param {string} options.secretKeyUsed - 'current' or 'previous' URL key
+   * @param {string|null} options.webhookSecretUsed - 'current', 'previous' or null when no secret is configured
+   * @param {boolean} options.rateLimited - Accepted over the source rate limit, not routed
    * @returns {number} - Event ID
    */
-  async saveDynamicEvent(source, eventType, payload) {
+  async saveDynamicEvent(source, eventType, payload, options = {}) {
+    const { dedupKey = null, duplicateOf = null, secretKeyUsed = 'current', webhookSecretUsed = null, rateLimited = false } = options;
+
     try {
+      // Duplicates and rate limited events are not routed, they count as processed right away
       const result = await database.query(
-        `INSERT INTO events (source_id, event_type, payload_json, visibility, team_id, created_by_user_id, received_at)
-         VALUES (?, ?, ?, ?, ?, ?, NOW())`,
-        [source.id, eventType, JSON.stringify(payload), source.visibility, source.team_id, source.created_by_user_id]
+        `INSERT INTO events (source_id, event_type, payload_json, dedup_key, duplicate_of, secret_key_used, webhook_secret_used, rate_limited, visibility, team_id, created_by_user_id, received_at, processed_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ${duplicateOf || rateLimited ? 'NOW()' : 'NULL'})`,
+        [source.id, eventType, JSON.stringify(payload), dedupKey, duplicateOf, secretKeyUsed, webhookSecretUsed, rateLimited, source.visibility, source.team_id, source.created_by_user_id]
       );
       return result.insertId;
     } catch (error) {
@@ -125,9 +262,10 @@ class WebhookController {
    * Determine event type from payload
    * @param {Object} payload - Webhook payload
    * @param {string} sourceType - Source type
+   * @param {Object} headers - Request headers (event name headers, e.g. X-GitHub-Event, X-Gitea-Event)
    * @returns {string} - Event type
    */
-  determineEventType(payload, sourceType) {
+  determineEventType(payload, sourceType, headers = {}) {
     // Ensure payload is valid object
     if (!payload || typeof payload !== 'object') {
       return `${sourceType}_unknown`;
@@ -141,6 +279,8 @@ class WebhookController {
       return 'synology_event';
     } else if (sourceType === 'proxmox') {
       if (payload.type) return payload.type;
+      // PVE 8 notification webhooks carry the type in the metadata fields
+      if (payload.fields && payload.fields.type) return payload.fields.type;
       if (payload.event) return payload.event;
       if (payload.status) return `status_${payload.status}`;
       return 'proxmox_event';
@@ -153,12 +293,43 @@ class WebhookController {
       if (payload.event_name) return payload.event_name;
       if (payload.event_type) return payload.event_type;
       return 'gitlab_event';
+    } else if (sourceType === 'github') {
+      if (headers['x-github-event']) return headers['x-github-event'];
+      // Without the header (previews, replays of hand-made payloads) guess from the payload
+      if (payload.zen && payload.hook_id) return 'ping';
+      if (payload.workflow_run) return 'workflow_run';
+      if (payload.check_suite) return 'check_suite';
+      if (payload.pull_request) return 'pull_request';
+      if (payload.release) return 'release';
+      if (payload.issue) return 'issues';
+      if (payload.commits || payload.pusher) return 'push';
+      return 'github_event';
+    } else if (sourceType === 'gitea') {
+      const event = headers['x-gitea-event'] || headers['x-forgejo-event'] || headers['x-gogs-event'];
+      if (event) return event;
+      if (payload.workflow_run) return 'workflow_run';
+      if (payload.run) return 'action_run';
+      if (payload.pull_request) return 'pull_request';
+      if (payload.release) return 'release';
+      if (payload.issue) return 'issues';
+      if (payload.commits || payload.pusher) return 'push';
+      return 'gitea_event';
     } else if (sourceType === 'uptime-kuma') {
       if (payload.heartbeat && payload.heartbeat.status !== undefined) {
         return payload.heartbeat.status === 1 ? 'monitor_up' : 'monitor_down';
       }
       if (payload.msg) return 'uptime_alert';
       return 'uptime_event';
+    } else if (sourceType === 'alertmanager') {
+      // Alertmanager and Grafana both send the group status (firing/resolved)
+      if (payload.status) return `alert_${payload.status}`;
+      if (payload.state) return `alert_${payload.state}`;
+      return 'alertmanager_event';
+    } else if (sourceType === 'home-assistant') {
+      if (payload.event_type) return payload.event_type;
+      if (payload.entity_id && (payload.new_state !== undefined || payload.state !== undefined)) return 'state_changed';
+      if (payload.message) return 'notification';
+      return 'home_assistant_event';
     } else if (sourceType === 'docker_updater') {
       if (payload.text) return 'container_update';
       if (payload.title) return 'container_update';
@@ -237,6 +408,56 @@ class WebhookController {
     }
     next();
   };
+
+  /**
+   * Apply the source's rate limit (runs after secret validation, so requests
+   * with a wrong secret do not use up the limit of the real sender)
+   * Over the limit the request is rejected with 429, or with rate_limit_action
+   * 'suppress' it is stored but not routed (req.rateLimited)
+   */
+  enforceRateLimit = async (req, res, next) => {
+    try {
+      const source = req.webhookSource;
+      const result = sourceRateLimiter.consume(source);
+
+      if (result.allowed) {
+        return next();
+      }
+
+      const { max, window } = result.limits;
+      const reason = `Rate limit exceeded (${max} requests / ${window}s)`;
+
+      if (result.floodStarted) {
+        // Only the first request of a flood is logged, a flood must not flood the rejection log either
+        if (source.rate_limit_action !== 'suppress') {
+          await webhookRejections.record(source, req, reason, 429);
+        }
+
+        this.eventProcessor.sendSourceNotice(
+          source,
+          `⚠️ Source "${source.name}" is flooding`,
+          `More than ${max} webhooks in ${window} seconds. ` +
+            (source.rate_limit_action === 'suppress'
+              ? 'Further webhooks are stored but not forwarded until the rate drops.'
+              : 'Further webhooks are rejected until the rate drops.')
+        );
+      }
+
+      if (source.rate_limit_action === 'suppress') {
+        req.rateLimited = true;
+        return next();
+      }
+
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: reason,
+        retryAfter: result.retryAfter
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
 }
 
 // Create singleton instance
@@ -246,5 +467,6 @@ module.exports = {
   webhookController,
   handleDynamicWebhook: webhookController.handleDynamicWebhook,
   validateWebhookRequest: webhookController.validateRequest,
+  enforceRateLimit: webhookController.enforceRateLimit,
   getWebhookValidationRules: webhookController.getValidationRules.bind(webhookController)
 };
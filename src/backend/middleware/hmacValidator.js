@@ -1,5 +1,7 @@
 const crypto = require('crypto');
 const { CustomError } = require('./errorHandler');
+const signatureVerifier = require('../services/signatureVerifier');
+const webhookRejections = require('../services/webhookRejections');
 
 /**
  * Webhook Secret Validation Middleware
@@ -58,14 +60,61 @@ class WebhookSecretValidator {
     }
   }
 
+  /**
+   * Constant-time comparison of a received secret
+   * @param {string} received - Secret from the request header
+   * @param {string} expected - Configured secret
+   * @returns {boolean}
+   */
+  secretsMatch(received, expected) {
+    const expectedBuf = Buffer.from(expected);
+    const receivedBuf = Buffer.from(received);
+
+    if (expectedBuf.length !== receivedBuf.length) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(expectedBuf, receivedBuf);
+  }
+
+  /**
+   * Record the rejection for the source and build the error to pass on
+   * @param {Object} req - Express request object
+   * @param {string} reason - Rejection reason (also returned to the sender)
+   * @param {number} statusCode - HTTP status
+   * @returns {CustomError}
+   */
+  async reject(req, reason, statusCode = 401) {
+    await webhookRejections.record(req.webhookSource, req, reason, statusCode);
+    return new CustomError(reason, statusCode);
+  }
+
+  /**
+   * Signature scheme a source is verified with
+   * GitHub and Gitea/Forgejo sources with a webhook secret always use their own signature header
+   * (they can't send X-Webhook-Secret)
+   * @param {Object} source - Source record
+   * @returns {string} - Scheme name, 'default' for the X-Webhook-Secret check
+   */
+  schemeFor(source) {
+    if (source.signature_scheme && source.signature_scheme !== 'default') {
+      return source.signature_scheme;
+    }
+    if (source.webhook_secret && ['github', 'gitea'].includes(source.type)) {
+      return source.type;
+    }
+    return 'default';
+  }
+
   /**
    * Middleware function to validate webhook secret
-   * Checks X-Webhook-Secret header against source.webhook_secret
+   * Sources with a signature scheme are verified by that scheme, the others
+   * check the X-Webhook-Secret header against source.webhook_secret
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    * @param {Function} next - Express next function
    */
-  validateWebhookSecret = (req, res, next) => {
+  validateWebhookSecret = async (req, res, next) => {
     try {
       const source = req.webhookSource; // Set by previous middleware
 
@@ -74,6 +123,27 @@ class WebhookSecretValidator {
         throw new CustomError('Internal error: source not found', 500);
       }
 
+      const scheme = this.schemeFor(source);
+      if (scheme !== 'default') {
+        const signed = { ...source, signature_scheme: scheme };
+        const reason = signatureVerifier.verify(signed, req);
+        req.webhookSecretUsed = 'current';
+
+        // During a rotation grace period senders may still sign with the previous secret
+        if (reason && source.previous_webhook_secret) {
+          if (signatureVerifier.verify(signed, req, source.previous_webhook_secret) === null) {
+            req.webhookSecretUsed = 'previous';
+          } else {
+            throw await this.reject(req, reason);
+          }
+        } else if (reason) {
+          throw await this.reject(req, reason);
+        }
+
+        console.log(`[WEBHOOK SECRET] Valid ${scheme} signature (${req.webhookSecretUsed} secret) for source "${source.name}"`);
+        return next();
+      }
+
       // If source has webhook_secret configured, validate it
       if (source.webhook_secret) {
         // GitLab uses X-Gitlab-Token, others use X-Webhook-Secret
@@ -88,26 +158,20 @@ class WebhookSecretValidator {
 
         if (!receivedSecret) {
           console.log(`[WEBHOOK SECRET] Source "${source.name}" requires ${headerName} header, but none provided`);
-          throw new CustomError(`${headerName} header required for this source`, 401);
-        }
-
-        // Use constant-time comparison to prevent timing attacks
-        const expectedBuf = Buffer.from(source.webhook_secret);
-        const receivedBuf = Buffer.from(receivedSecret);
-
-        if (expectedBuf.length !== receivedBuf.length) {
-          console.log(`[WEBHOOK SECRET] Invalid ${headerName} for source "${source.name}" (length mismatch)`);
-          throw new CustomError(`Invalid ${headerName}`, 401);
+          throw await this.reject(req, `${headerName} header required for this source`);
         }
 
-        const secretMatch = crypto.timingSafeEqual(expectedBuf, receivedBuf);
-
-        if (!secretMatch) {
+        if (this.secretsMatch(receivedSecret, source.webhook_secret)) {
+          req.webhookSecretUsed = 'current';
+        } else if (source.previous_webhook_secret && this.secretsMatch(receivedSecret, source.previous_webhook_secret)) {
+          // Rotated secret, still accepted during its grace period
+          req.webhookSecretUsed = 'previous';
+        } else {
           console.log(`[WEBHOOK SECRET] Invalid ${headerName} for source "${source.name}"`);
-          throw new CustomError(`Invalid ${headerName}`, 401);
+          throw await this.reject(req, `Invalid ${headerName}`);
         }
 
-        console.log(`[WEBHOOK SECRET] Valid ${headerName} for source "${source.name}"`);
+        console.log(`[WEBHOOK SECRET] Valid ${headerName} (${req.webhookSecretUsed} secret) for source "${source.name}"`);
       } else {
         console.log(`[WEBHOOK SECRET] Source "${source.name}" has no webhook_secret configured - skipping validation`);
       }
@@ -121,9 +185,14 @@ class WebhookSecretValidator {
   /**
    * Legacy HMAC validation middleware (kept for backward compatibility)
    * OPTIONAL: If no signature present, skip validation
+   * Sources with a signature scheme were already verified by validateWebhookSecret
    */
-  validateSignature = (req, res, next) => {
+  validateSignature = async (req, res, next) => {
     try {
+      if (req.webhookSource && this.schemeFor(req.webhookSource) !== 'default') {
+        return next();
+      }
+
       // Get signature from headers (support multiple formats)
       const signature = req.get('X-Signature') ||
                        req.get('X-Hub-Signature-256') ||
@@ -136,7 +205,7 @@ class WebhookSecretValidator {
       }
 
       // Get raw body for signature verification
-      const payload = req.rawBody || JSON.stringify(req.body);
+      const payload = req.rawBody && req.rawBody.length > 0 ? req.rawBody : JSON.stringify(req.body);
 
       // Use global secret or source-specific secret
       const secret = req.webhookSource?.webhook_secret || this.globalWebhookSecret;
@@ -146,9 +215,13 @@ class WebhookSecretValidator {
         return next();
       }
 
-      if (!this.verifyHMACSignature(signature, payload, secret)) {
+      const previousSecret = req.webhookSource?.previous_webhook_secret;
+      if (!this.verifyHMACSignature(signature, payload, secret) &&
+          !(previousSecret && this.verifyHMACSignature(signature, payload, previousSecret))) {
         console.log('[HMAC] Signature validation FAILED');
-        throw new CustomError('Invalid webhook signature', 401);
+        throw req.webhookSource
+          ? await this.reject(req, 'Invalid webhook signature')
+          : new CustomError('Invalid webhook signature', 401);
       }
 
       console.log('[HMAC] Signature validation SUCCESS');
@@ -0,0 +1,146 @@
+const { body } = require('express-validator');
+const templateEngine = require('../services/templateEngine');
+const signatureVerifier = require('../services/signatureVerifier');
+const ipAllowlist = require('../services/ipAllowlist');
+const webhookHandshake = require('../services/webhookHandshake');
+
+/**
+ * Source field validation
+ * Validation rules for the fields of a source, shared by the CRUD and the
+ * scoped (personal/team) controllers. Each controller appends its own
+ * visibility/scope rules.
+ */
+
+// Content types a response_body template may be sent as; an HTML or XML type would let
+// payload text interpolated into the template run as markup in a browser
+const RESPONSE_CONTENT_TYPE = /^(text\/plain|application\/json)(\s*;\s*charset=[\w.:-]+)?$/i;
+
+// Accepted sources.type values (sources.type ENUM)
+const SOURCE_TYPES = ['synology', 'proxmox', 'proxmox_backup', 'gitlab', 'github', 'gitea', 'docker_updater', 'media-webhook', 'uptime-kuma', 'alertmanager', 'home-assistant', 'generic'];
+
+const sourceFieldValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+
+  body('type')
+    .isIn(SOURCE_TYPES)
+    .withMessage(`Type must be one of: ${SOURCE_TYPES.join(', ')}`),
+
+  body('secret_key')
+    .optional()
+    .isLength({ min: 8, max: 255 })
+    .withMessage('Secret key must be between 8 and 255 characters'),
+
+  body('allowed_ips')
+    .optional({ nullable: true })
+    .custom(value => {
+      const error = ipAllowlist.validate(value);
+      if (error) {
+        throw new Error(error);
+      }
+      return true;
+    })
+    .customSanitizer(value => ipAllowlist.normalize(value)),
+
+  body('allowed_methods')
+    .optional()
+    .customSanitizer(value => [].concat(value).join(',').toUpperCase().replace(/\s+/g, ''))
+    .matches(/^(POST|GET|PUT)(,(POST|GET|PUT))*$/)
+    .withMessage('Allowed methods must be a list of POST, GET and PUT'),
+
+  body('handshake')
+    .optional()
+    .isIn(webhookHandshake.getNames())
+    .withMessage(`Handshake must be one of: ${webhookHandshake.getNames().join(', ')}`),
+
+  body('capture_requests')
+    .optional()
+    .isBoolean()
+    .withMessage('Capture requests must be a boolean')
+    .toBoolean(),
+
+  body('signature_scheme')
+    .optional()
+    .isIn(signatureVerifier.getSchemeNames())
+    .withMessage(`Signature scheme must be one of: ${signatureVerifier.getSchemeNames().join(', ')}`),
+
+  body('signature_tolerance')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 86400 })
+    .withMessage('Signature tolerance must be between 0 and 86400 seconds')
+    .toInt()
+    .custom((value, { req }) => {
+      // Only a signed timestamp can be checked against a replay window
+      if (req.body.signature_scheme !== undefined && !signatureVerifier.isTimestamped(req.body.signature_scheme)) {
+        throw new Error(`Signature tolerance only applies to timestamped signature schemes: ${signatureVerifier.getTimestampedSchemeNames().join(', ')}`);
+      }
+      return true;
+    }),
+
+  body('rate_limit_max')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Rate limit must be between 1 and 100000 requests')
+    .toInt(),
+
+  body('rate_limit_window')
+    .optional()
+    .isInt({ min: 1, max: 86400 })
+    .withMessage('Rate limit window must be between 1 and 86400 seconds')
+    .toInt(),
+
+  body('rate_limit_burst')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Rate limit burst must be between 1 and 100000 requests')
+    .toInt(),
+
+  body('rate_limit_action')
+    .optional()
+    .isIn(['reject', 'suppress'])
+    .withMessage('Rate limit action must be reject or suppress'),
+
+  body('max_body_size')
+    .optional({ nullable: true })
+    .isInt({ min: 1024, max: 52428800 })
+    .withMessage('Maximum body size must be between 1024 and 52428800 bytes')
+    .toInt(),
+
+  body('response_status')
+    .optional({ nullable: true })
+    .isInt({ min: 200, max: 299 })
+    .withMessage('Response status must be between 200 and 299')
+    .toInt(),
+
+  body('response_content_type')
+    .optional({ nullable: true })
+    .isLength({ max: 100 })
+    .matches(RESPONSE_CONTENT_TYPE)
+    .withMessage('Response content type must be text/plain or application/json'),
+
+  body('response_body')
+    .optional({ nullable: true })
+    .isLength({ max: 2000 })
+    .withMessage('Response body can be maximum 2000 characters')
+    .custom(value => {
+      // Reject templates with syntax errors (throws TemplateError)
+      if (value) {
+        templateEngine.parse(value);
+      }
+      return true;
+    }),
+
+  body('wait_for_deliveries')
+    .optional()
+    .isBoolean()
+    .withMessage('Wait for deliveries must be a boolean')
+    .toBoolean()
+];
+
+module.exports = {
+  RESPONSE_CONTENT_TYPE,
+  SOURCE_TYPES,
+  sourceFieldValidation
+};
@@ -1,6 +1,6 @@
 -- Webhook Server Database Schema (Consolidated)
 -- MySQL 8.0 compatible
--- All migrations 001-014 are included in this baseline schema
+-- All migrations 001-036 are included in this baseline schema
 
 -- Create database if not exists
 CREATE DATABASE IF NOT EXISTS webhook_db;
@@ -56,9 +56,28 @@ CREATE TABLE IF NOT EXISTS team_members (
 CREATE TABLE IF NOT EXISTS sources (
     id INT AUTO_INCREMENT PRIMARY KEY,
     name VARCHAR(100) NOT NULL,
-    type ENUM('synology', 'proxmox', 'proxmox_backup', 'gitlab', 'docker_updater', 'media-webhook', 'uptime-kuma', 'generic') NOT NULL,
+    type ENUM('synology', 'proxmox', 'proxmox_backup', 'gitlab', 'github', 'gitea', 'docker_updater', 'media-webhook', 'uptime-kuma', 'alertmanager', 'home-assistant', 'generic') NOT NULL,
     secret_key VARCHAR(255) NOT NULL,
+    previous_secret_key VARCHAR(255) NULL COMMENT 'Rotated URL key, valid until previous_secret_key_expires_at',
+    previous_secret_key_expires_at TIMESTAMP NULL,
     webhook_secret VARCHAR(255) NULL COMMENT 'Optional X-Webhook-Secret header validation',
+    previous_webhook_secret VARCHAR(255) NULL COMMENT 'Rotated webhook secret, valid until previous_webhook_secret_expires_at',
+    previous_webhook_secret_expires_at TIMESTAMP NULL,
+    signature_scheme VARCHAR(32) NOT NULL DEFAULT 'default' COMMENT 'How webhook_secret is verified (default, github, gitea, slack, stripe, hmac_sha1_base64, hmac_sha512_base64)',
+    signature_tolerance INT NULL COMMENT 'Replay window in seconds for timestamped signatures (NULL = default)',
+    allowed_ips TEXT NULL COMMENT 'Allowed client IPs/CIDR ranges, one per line (NULL = any)',
+    allowed_methods SET('POST', 'GET', 'PUT') NOT NULL DEFAULT 'POST' COMMENT 'HTTP methods accepted on the webhook URL',
+    handshake VARCHAR(32) NOT NULL DEFAULT 'none' COMMENT 'Verification challenge answered for the sender (none, slack, ms_graph, websub, dropbox)',
+    rate_limit_max INT NULL COMMENT 'Requests per rate_limit_window (NULL = unlimited)',
+    rate_limit_window INT NOT NULL DEFAULT 60 COMMENT 'Rate limit window in seconds',
+    rate_limit_burst INT NULL COMMENT 'Requests accepted at once before the rate applies (NULL = rate_limit_max)',
+    rate_limit_action ENUM('reject', 'suppress') NOT NULL DEFAULT 'reject' COMMENT 'reject = 429, suppress = store the event without routing',
+    max_body_size INT NULL COMMENT 'Maximum webhook body size in bytes (NULL = WEBHOOK_MAX_BODY_SIZE)',
+    response_status SMALLINT NULL COMMENT 'HTTP status of the success response (NULL = 200)',
+    response_content_type VARCHAR(100) NULL COMMENT 'Content-Type of response_body (NULL = text/plain)',
+    response_body TEXT NULL COMMENT 'Success response body template, e.g. {{eventId}} (NULL = JSON envelope)',
+    wait_for_deliveries BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Respond after the first delivery attempts, 502 when every route failed',
+    capture_requests BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Store headers, query, client IP and raw body of inbound requests',
     visibility ENUM('personal', 'team') NOT NULL DEFAULT 'personal',
     team_id INT NULL,
     created_by_user_id INT NOT NULL,
@@ -69,12 +88,24 @@ CREATE TABLE IF NOT EXISTS sources (
     FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Readable webhook paths (aliases) of sources
+CREATE TABLE IF NOT EXISTS source_aliases (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    source_id INT NOT NULL,
+    alias VARCHAR(255) NOT NULL COMMENT 'Path after /webhook/, lower-case segments separated by /',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (source_id) REFERENCES sources(id) ON DELETE CASCADE,
+    UNIQUE KEY uk_alias (alias),
+    INDEX idx_source_id (source_id)
+);
+
 -- Targets table for destination services
 CREATE TABLE IF NOT EXISTS targets (
     id INT AUTO_INCREMENT PRIMARY KEY,
     name VARCHAR(100) NOT NULL,
     type ENUM('mattermost', 'rocketchat', 'slack', 'discord', 'webhook') NOT NULL,
     webhook_url VARCHAR(500) NOT NULL,
+    retry_max_age INT NULL COMMENT 'Seconds a failing delivery keeps being retried (NULL = default, 0 = no retries)',
     visibility ENUM('personal', 'team') NOT NULL DEFAULT 'personal',
     team_id INT NULL,
     created_by_user_id INT NOT NULL,
@@ -91,6 +122,7 @@ CREATE TABLE IF NOT EXISTS routes (
     source_id INT NOT NULL,
     target_id INT NOT NULL,
     message_template TEXT,
+    filter_rules JSON NULL COMMENT 'Event type and payload field conditions (NULL = match every event)',
     is_active BOOLEAN NOT NULL DEFAULT TRUE,
     visibility ENUM('personal', 'team') NOT NULL DEFAULT 'personal',
     team_id INT NULL,
@@ -108,39 +140,110 @@ CREATE TABLE IF NOT EXISTS events (
     source_id INT NOT NULL,
     event_type VARCHAR(100),
     payload_json JSON NOT NULL,
+    dedup_key VARCHAR(255) NULL COMMENT 'Sender delivery ID or raw body hash',
+    duplicate_of INT NULL COMMENT 'Original event of a suppressed duplicate',
+    secret_key_used ENUM('current', 'previous') NULL COMMENT 'URL key the sender used',
+    webhook_secret_used ENUM('current', 'previous') NULL COMMENT 'Webhook secret that verified the request (NULL = none configured)',
+    rate_limited BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Accepted over the source rate limit, not routed',
     visibility ENUM('personal', 'team') NOT NULL DEFAULT 'personal',
     team_id INT NULL,
     created_by_user_id INT NOT NULL,
     received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     processed_at TIMESTAMP NULL,
+    replay_count INT NOT NULL DEFAULT 0 COMMENT 'How many times the event was reprocessed',
+    last_replayed_at TIMESTAMP NULL,
     FOREIGN KEY (source_id) REFERENCES sources(id) ON DELETE CASCADE,
     FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE SET NULL,
     FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT fk_events_duplicate_of FOREIGN KEY (duplicate_of) REFERENCES events(id) ON DELETE SET NULL,
     INDEX idx_source_received (source_id, received_at),
+    INDEX idx_source_dedup (source_id, dedup_key, received_at),
     INDEX idx_processed (processed_at)
 );
 
+-- Captured inbound requests (sources with capture_requests enabled)
+CREATE TABLE IF NOT EXISTS event_requests (
+    event_id INT PRIMARY KEY,
+    method VARCHAR(10) NOT NULL,
+    content_type VARCHAR(255) NULL,
+    client_ip VARCHAR(45) NULL,
+    query_json TEXT NULL COMMENT 'Query string parameters (secrets redacted)',
+    headers_json TEXT NULL COMMENT 'Request headers (secrets redacted)',
+    raw_body MEDIUMTEXT NULL COMMENT 'Raw request body, truncated',
+    body_size INT NOT NULL DEFAULT 0 COMMENT 'Size of the untruncated body in bytes',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+);
+
+-- File parts of multipart/form-data webhooks
+CREATE TABLE IF NOT EXISTS event_attachments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    event_id INT NOT NULL,
+    field_name VARCHAR(255) NOT NULL COMMENT 'Multipart field the file was sent in',
+    filename VARCHAR(255) NOT NULL,
+    content_type VARCHAR(255) NULL,
+    size INT NOT NULL DEFAULT 0 COMMENT 'Size in bytes',
+    data LONGBLOB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+    INDEX idx_event_id (event_id)
+);
+
+-- Rejected webhook requests (bad secret or signature), shown per source
+CREATE TABLE IF NOT EXISTS webhook_rejections (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    source_id INT NOT NULL,
+    reason VARCHAR(255) NOT NULL,
+    status_code INT NOT NULL,
+    client_ip VARCHAR(45) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (source_id) REFERENCES sources(id) ON DELETE CASCADE,
+    INDEX idx_webhook_rejections_source (source_id, created_at)
+);
+
 -- Deliveries table for tracking message delivery status
 CREATE TABLE IF NOT EXISTS deliveries (
     id INT AUTO_INCREMENT PRIMARY KEY,
     event_id INT NOT NULL,
     target_id INT NOT NULL,
+    route_id INT NULL,
+    is_replay BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Created by reprocessing a stored event',
     status ENUM('pending', 'sent', 'failed', 'retry') NOT NULL DEFAULT 'pending',
     attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NULL COMMENT 'When a delivery in retry status becomes due',
     last_error TEXT NULL,
     visibility ENUM('personal', 'team') NOT NULL DEFAULT 'personal',
     team_id INT NULL,
     created_by_user_id INT NOT NULL,
     sent_at TIMESTAMP NULL,
+    locked_by VARCHAR(64) NULL COMMENT 'Queue worker claim token',
+    locked_at TIMESTAMP NULL COMMENT 'When the claim was taken (stale claims are reclaimed)',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
     FOREIGN KEY (target_id) REFERENCES targets(id) ON DELETE CASCADE,
+    CONSTRAINT fk_deliveries_route FOREIGN KEY (route_id) REFERENCES routes(id) ON DELETE SET NULL,
     FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE SET NULL,
     FOREIGN KEY (created_by_user_id) REFERENCES users(id) ON DELETE CASCADE,
     INDEX idx_status_attempts (status, attempts),
     INDEX idx_event_target (event_id, target_id)
 );
 
+-- Delivery attempts table (one row per send, with the target's response)
+CREATE TABLE IF NOT EXISTS delivery_attempts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    delivery_id INT NOT NULL,
+    attempt_number INT NOT NULL,
+    response_status INT NULL COMMENT 'HTTP status returned by the target, NULL when no response was received',
+    duration_ms INT NULL COMMENT 'Time until the target responded or the request failed',
+    response_headers TEXT NULL COMMENT 'JSON object of response headers',
+    response_body TEXT NULL COMMENT 'Response body, truncated',
+    error_class VARCHAR(32) NULL COMMENT 'timeout, connection, rate_limited, client_error, server_error, unknown',
+    error_message TEXT NULL,
+    attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (delivery_id) REFERENCES deliveries(id) ON DELETE CASCADE,
+    INDEX idx_delivery_attempts_delivery (delivery_id, attempt_number)
+);
+
 -- System settings table
 CREATE TABLE IF NOT EXISTS system_settings (
     id INT PRIMARY KEY AUTO_INCREMENT,
@@ -232,6 +335,7 @@ CREATE INDEX idx_targets_type ON targets(type);
 CREATE INDEX idx_routes_active ON routes(is_active);
 CREATE INDEX idx_events_type ON events(event_type);
 CREATE INDEX idx_deliveries_status ON deliveries(status);
+CREATE INDEX idx_deliveries_queue ON deliveries(status, locked_at);
 CREATE INDEX idx_setting_key ON system_settings(setting_key);
 CREATE INDEX idx_setting_type ON system_settings(setting_type);
 CREATE INDEX idx_sso_provider_user ON users(sso_provider, sso_subject);
@@ -0,0 +1,19 @@
+-- Persistent delivery queue: deliveries remember their route and can be claimed by a worker
+-- Use procedure to handle IF NOT EXISTS for MySQL 5.7 compatibility
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'deliveries' AND COLUMN_NAME = 'route_id');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE deliveries ADD COLUMN route_id INT NULL AFTER target_id, ADD CONSTRAINT fk_deliveries_route FOREIGN KEY (route_id) REFERENCES routes(id) ON DELETE SET NULL', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'deliveries' AND COLUMN_NAME = 'locked_by');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE deliveries ADD COLUMN locked_by VARCHAR(64) NULL COMMENT ''Queue worker claim token'', ADD COLUMN locked_at TIMESTAMP NULL COMMENT ''When the claim was taken (stale claims are reclaimed)''', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @index_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'deliveries' AND INDEX_NAME = 'idx_deliveries_queue');
+SET @sql = IF(@index_exists = 0, 'CREATE INDEX idx_deliveries_queue ON deliveries(status, locked_at)', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
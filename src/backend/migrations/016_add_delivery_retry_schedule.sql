@@ -0,0 +1,13 @@
+-- Scheduled delivery retries: next attempt timestamp and per-target retry max age
+-- Use procedure to handle IF NOT EXISTS for MySQL 5.7 compatibility
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'deliveries' AND COLUMN_NAME = 'next_attempt_at');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE deliveries ADD COLUMN next_attempt_at TIMESTAMP NULL COMMENT ''When a delivery in retry status becomes due'' AFTER attempts', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'targets' AND COLUMN_NAME = 'retry_max_age');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE targets ADD COLUMN retry_max_age INT NULL COMMENT ''Seconds a failing delivery keeps being retried (NULL = default, 0 = no retries)'' AFTER webhook_url', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
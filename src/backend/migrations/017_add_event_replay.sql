@@ -0,0 +1,13 @@
+-- Event replay: deliveries created by a reprocess are flagged, events keep a replay counter
+-- Use procedure to handle IF NOT EXISTS for MySQL 5.7 compatibility
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'deliveries' AND COLUMN_NAME = 'is_replay');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE deliveries ADD COLUMN is_replay BOOLEAN NOT NULL DEFAULT FALSE COMMENT ''Created by reprocessing a stored event'' AFTER route_id', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'events' AND COLUMN_NAME = 'replay_count');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE events ADD COLUMN replay_count INT NOT NULL DEFAULT 0 COMMENT ''How many times the event was reprocessed'', ADD COLUMN last_replayed_at TIMESTAMP NULL', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
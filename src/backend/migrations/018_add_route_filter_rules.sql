@@ -0,0 +1,7 @@
+-- Conditional routing: routes can carry event type and payload field filters
+-- Use procedure to handle IF NOT EXISTS for MySQL 5.7 compatibility
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'routes' AND COLUMN_NAME = 'filter_rules');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE routes ADD COLUMN filter_rules JSON NULL COMMENT ''Event type and payload field conditions (NULL = match every event)'' AFTER message_template', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
@@ -0,0 +1,15 @@
+-- Per-attempt delivery history: every send to a target is recorded with its outcome
+CREATE TABLE IF NOT EXISTS delivery_attempts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    delivery_id INT NOT NULL,
+    attempt_number INT NOT NULL,
+    response_status INT NULL COMMENT 'HTTP status returned by the target, NULL when no response was received',
+    duration_ms INT NULL COMMENT 'Time until the target responded or the request failed',
+    response_headers TEXT NULL COMMENT 'JSON object of response headers',
+    response_body TEXT NULL COMMENT 'Response body, truncated',
+    error_class VARCHAR(32) NULL COMMENT 'timeout, connection, rate_limited, client_error, server_error, unknown',
+    error_message TEXT NULL,
+    attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (delivery_id) REFERENCES deliveries(id) ON DELETE CASCADE,
+    INDEX idx_delivery_attempts_delivery (delivery_id, attempt_number)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,20 @@
+-- Request capture: sources can opt in to storing the full inbound request of every event
+-- Use procedure to handle IF NOT EXISTS for MySQL 5.7 compatibility
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'sources' AND COLUMN_NAME = 'capture_requests');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE sources ADD COLUMN capture_requests BOOLEAN NOT NULL DEFAULT FALSE COMMENT ''Store headers, query, client IP and raw body of inbound requests'' AFTER webhook_secret', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+CREATE TABLE IF NOT EXISTS event_requests (
+    event_id INT PRIMARY KEY,
+    method VARCHAR(10) NOT NULL,
+    content_type VARCHAR(255) NULL,
+    client_ip VARCHAR(45) NULL,
+    query_json TEXT NULL COMMENT 'Query string parameters (secrets redacted)',
+    headers_json TEXT NULL COMMENT 'Request headers (secrets redacted)',
+    raw_body MEDIUMTEXT NULL COMMENT 'Raw request body, truncated',
+    body_size INT NOT NULL DEFAULT 0 COMMENT 'Size of the untruncated body in bytes',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,19 @@
+-- Idempotent ingestion: events keep the key they were deduplicated on, duplicates link to the original
+-- Use procedure to handle IF NOT EXISTS for MySQL 5.7 compatibility
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'events' AND COLUMN_NAME = 'dedup_key');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE events ADD COLUMN dedup_key VARCHAR(255) NULL COMMENT ''Sender delivery ID or raw body hash'' AFTER payload_json, ADD COLUMN duplicate_of INT NULL COMMENT ''Original event of a suppressed duplicate'' AFTER dedup_key', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @index_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'events' AND INDEX_NAME = 'idx_source_dedup');
+SET @sql = IF(@index_exists = 0, 'ALTER TABLE events ADD INDEX idx_source_dedup (source_id, dedup_key, received_at)', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @fk_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'events' AND CONSTRAINT_NAME = 'fk_events_duplicate_of');
+SET @sql = IF(@fk_exists = 0, 'ALTER TABLE events ADD CONSTRAINT fk_events_duplicate_of FOREIGN KEY (duplicate_of) REFERENCES events(id) ON DELETE SET NULL', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
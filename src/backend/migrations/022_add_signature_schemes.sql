@@ -0,0 +1,18 @@
+-- Signature verification schemes per source and a log of rejected webhook requests
+-- Use procedure to handle IF NOT EXISTS for MySQL 5.7 compatibility
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'sources' AND COLUMN_NAME = 'signature_scheme');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE sources ADD COLUMN signature_scheme VARCHAR(32) NOT NULL DEFAULT ''default'' COMMENT ''How webhook_secret is verified (default, github, gitea, slack, stripe, hmac_sha1_base64, hmac_sha512_base64)'' AFTER webhook_secret, ADD COLUMN signature_tolerance INT NULL COMMENT ''Replay window in seconds for timestamped signatures (NULL = default)'' AFTER signature_scheme', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+CREATE TABLE IF NOT EXISTS webhook_rejections (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    source_id INT NOT NULL,
+    reason VARCHAR(255) NOT NULL,
+    status_code INT NOT NULL,
+    client_ip VARCHAR(45) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (source_id) REFERENCES sources(id) ON DELETE CASCADE,
+    INDEX idx_webhook_rejections_source (source_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,7 @@
+-- Per-source IP/CIDR allowlist for the webhook endpoint
+-- Use procedure to handle IF NOT EXISTS for MySQL 5.7 compatibility
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'sources' AND COLUMN_NAME = 'allowed_ips');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE sources ADD COLUMN allowed_ips TEXT NULL COMMENT ''Allowed client IPs/CIDR ranges, one per line (NULL = any)'' AFTER signature_tolerance', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
@@ -0,0 +1,20 @@
+-- Secret rotation: the previous URL key and webhook secret stay valid until their grace period ends,
+-- events record which one the sender used
+-- Use procedure to handle IF NOT EXISTS for MySQL 5.7 compatibility
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'sources' AND COLUMN_NAME = 'previous_secret_key');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE sources ADD COLUMN previous_secret_key VARCHAR(255) NULL COMMENT ''Rotated URL key, valid until previous_secret_key_expires_at'' AFTER secret_key, ADD COLUMN previous_secret_key_expires_at TIMESTAMP NULL AFTER previous_secret_key', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'sources' AND COLUMN_NAME = 'previous_webhook_secret');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE sources ADD COLUMN previous_webhook_secret VARCHAR(255) NULL COMMENT ''Rotated webhook secret, valid until previous_webhook_secret_expires_at'' AFTER webhook_secret, ADD COLUMN previous_webhook_secret_expires_at TIMESTAMP NULL AFTER previous_webhook_secret', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'events' AND COLUMN_NAME = 'secret_key_used');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE events ADD COLUMN secret_key_used ENUM(''current'', ''previous'') NULL COMMENT ''URL key the sender used'' AFTER duplicate_of, ADD COLUMN webhook_secret_used ENUM(''current'', ''previous'') NULL COMMENT ''Webhook secret that verified the request (NULL = none configured)'' AFTER secret_key_used', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
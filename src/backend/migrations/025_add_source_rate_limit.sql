@@ -0,0 +1,14 @@
+-- Per-source inbound rate limiting: requests per window with a burst allowance,
+-- over-limit requests are rejected (429) or accepted without routing
+-- Use procedure to handle IF NOT EXISTS for MySQL 5.7 compatibility
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'sources' AND COLUMN_NAME = 'rate_limit_max');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE sources ADD COLUMN rate_limit_max INT NULL COMMENT ''Requests per rate_limit_window (NULL = unlimited)'' AFTER allowed_ips, ADD COLUMN rate_limit_window INT NOT NULL DEFAULT 60 COMMENT ''Rate limit window in seconds'' AFTER rate_limit_max, ADD COLUMN rate_limit_burst INT NULL COMMENT ''Requests accepted at once before the rate applies (NULL = rate_limit_max)'' AFTER rate_limit_window, ADD COLUMN rate_limit_action ENUM(''reject'', ''suppress'') NOT NULL DEFAULT ''reject'' COMMENT ''reject = 429, suppress = store the event without routing'' AFTER rate_limit_burst', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
+
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'events' AND COLUMN_NAME = 'rate_limited');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE events ADD COLUMN rate_limited BOOLEAN NOT NULL DEFAULT FALSE COMMENT ''Accepted over the source rate limit, not routed'' AFTER webhook_secret_used', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
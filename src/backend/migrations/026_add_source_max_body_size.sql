@@ -0,0 +1,7 @@
+-- Per-source webhook body size limit (413 above it)
+-- Use procedure to handle IF NOT EXISTS for MySQL 5.7 compatibility
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'sources' AND COLUMN_NAME = 'max_body_size');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE sources ADD COLUMN max_body_size INT NULL COMMENT ''Maximum webhook body size in bytes (NULL = WEBHOOK_MAX_BODY_SIZE)'' AFTER rate_limit_action', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
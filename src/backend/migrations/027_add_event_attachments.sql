@@ -0,0 +1,13 @@
+-- File parts of multipart/form-data webhooks (e.g. Plex thumbnails), stored per event
+CREATE TABLE IF NOT EXISTS event_attachments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    event_id INT NOT NULL,
+    field_name VARCHAR(255) NOT NULL COMMENT 'Multipart field the file was sent in',
+    filename VARCHAR(255) NOT NULL,
+    content_type VARCHAR(255) NULL,
+    size INT NOT NULL DEFAULT 0 COMMENT 'Size in bytes',
+    data MEDIUMBLOB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+    INDEX idx_event_id (event_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,7 @@
+-- Per-source allowed HTTP methods (GET/PUT for devices that cannot POST)
+-- Use procedure to handle IF NOT EXISTS for MySQL 5.7 compatibility
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'sources' AND COLUMN_NAME = 'allowed_methods');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE sources ADD COLUMN allowed_methods SET(''POST'', ''GET'', ''PUT'') NOT NULL DEFAULT ''POST'' COMMENT ''HTTP methods accepted on the webhook URL'' AFTER allowed_ips', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
@@ -0,0 +1,18 @@
+-- Readable webhook paths per source (/webhook/nas-main/synology), resolved next to the secret key
+CREATE TABLE IF NOT EXISTS source_aliases (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    source_id INT NOT NULL,
+    alias VARCHAR(255) NOT NULL COMMENT 'Path after /webhook/, lower-case segments separated by /',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (source_id) REFERENCES sources(id) ON DELETE CASCADE,
+    UNIQUE KEY uk_alias (alias),
+    INDEX idx_source_id (source_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- The removed hard-coded endpoints (/webhook/h7k9m2x/synology, /webhook/n4p8w6z/proxmox)
+-- resolved the source with that secret key, keep them working as aliases
+INSERT IGNORE INTO source_aliases (source_id, alias)
+SELECT id, 'h7k9m2x/synology' FROM sources WHERE secret_key = 'h7k9m2x';
+
+INSERT IGNORE INTO source_aliases (source_id, alias)
+SELECT id, 'n4p8w6z/proxmox' FROM sources WHERE secret_key = 'n4p8w6z';
@@ -0,0 +1,7 @@
+-- Per-source verification handshake (Slack url_verification, Microsoft Graph validationToken, WebSub, Dropbox)
+-- Use procedure to handle IF NOT EXISTS for MySQL 5.7 compatibility
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'sources' AND COLUMN_NAME = 'handshake');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE sources ADD COLUMN handshake VARCHAR(32) NOT NULL DEFAULT ''none'' COMMENT ''Verification challenge answered for the sender (none, slack, ms_graph, websub, dropbox)'' AFTER allowed_methods', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
@@ -0,0 +1,7 @@
+-- Per-source success response (status, content type, body template) and wait-for-deliveries mode
+-- Use procedure to handle IF NOT EXISTS for MySQL 5.7 compatibility
+SET @column_exists = (SELECT COUNT(*) FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'sources' AND COLUMN_NAME = 'response_status');
+SET @sql = IF(@column_exists = 0, 'ALTER TABLE sources ADD COLUMN response_status SMALLINT NULL COMMENT ''HTTP status of the success response (NULL = 200)'' AFTER max_body_size, ADD COLUMN response_content_type VARCHAR(100) NULL COMMENT ''Content-Type of response_body (NULL = text/plain)'' AFTER response_status, ADD COLUMN response_body TEXT NULL COMMENT ''Success response body template, e.g. {{eventId}} (NULL = JSON envelope)'' AFTER response_content_type, ADD COLUMN wait_for_deliveries BOOLEAN NOT NULL DEFAULT FALSE COMMENT ''Respond after the first delivery attempts, 502 when every route failed'' AFTER response_body', 'SELECT 1');
+PREPARE stmt FROM @sql;
+EXECUTE stmt;
+DEALLOCATE PREPARE stmt;
@@ -0,0 +1,3 @@
+-- GitHub source type (X-GitHub-Event detection, X-Hub-Signature-256, dedicated formatter)
+-- MODIFY COLUMN is idempotent, re-running keeps the same enum
+ALTER TABLE sources MODIFY COLUMN type ENUM('synology', 'proxmox', 'proxmox_backup', 'gitlab', 'github', 'docker_updater', 'media-webhook', 'uptime-kuma', 'generic') NOT NULL;
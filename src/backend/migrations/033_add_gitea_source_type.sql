@@ -0,0 +1,3 @@
+-- Gitea / Forgejo source type (X-Gitea-Event / X-Forgejo-Event detection, X-Gitea-Signature, dedicated formatter)
+-- MODIFY COLUMN is idempotent, re-running keeps the same enum
+ALTER TABLE sources MODIFY COLUMN type ENUM('synology', 'proxmox', 'proxmox_backup', 'gitlab', 'github', 'gitea', 'docker_updater', 'media-webhook', 'uptime-kuma', 'generic') NOT NULL;
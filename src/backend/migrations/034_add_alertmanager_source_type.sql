@@ -0,0 +1,3 @@
+-- Prometheus Alertmanager / Grafana alerting source type (grouped alerts[] payloads, dedicated formatter)
+-- MODIFY COLUMN is idempotent, re-running keeps the same enum
+ALTER TABLE sources MODIFY COLUMN type ENUM('synology', 'proxmox', 'proxmox_backup', 'gitlab', 'github', 'gitea', 'docker_updater', 'media-webhook', 'uptime-kuma', 'alertmanager', 'generic') NOT NULL;
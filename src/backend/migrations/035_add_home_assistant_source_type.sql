@@ -0,0 +1,3 @@
+-- Home Assistant source type (state-change and notification payloads, dedicated formatter)
+-- MODIFY COLUMN is idempotent, re-running keeps the same enum
+ALTER TABLE sources MODIFY COLUMN type ENUM('synology', 'proxmox', 'proxmox_backup', 'gitlab', 'github', 'gitea', 'docker_updater', 'media-webhook', 'uptime-kuma', 'alertmanager', 'home-assistant', 'generic') NOT NULL;
@@ -0,0 +1,3 @@
+-- Attachments up to the largest max_body_size (50 MB), MEDIUMBLOB stopped at 16 MB
+-- MODIFY COLUMN is idempotent, re-running keeps LONGBLOB
+ALTER TABLE event_attachments MODIFY COLUMN data LONGBLOB NOT NULL;
@@ -8,7 +8,7 @@ const database = require('../../config/database');
 router.get('/deliveries', [
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
-  query('status').optional().isIn(['pending', 'sent', 'failed']).withMessage('Status must be pending, sent, or failed')
+  query('status').optional().isIn(['pending', 'sent', 'failed', 'retry']).withMessage('Status must be pending, sent, failed, or retry')
 ], async (req, res, next) => {
   try {
     const { limit = 50, offset = 0, status } = req.query;
@@ -26,7 +26,7 @@ router.get('/deliveries', [
     }
 
     const deliveries = await database.query(
-      `SELECT d.id, d.event_id, d.target_id, d.status, d.attempts, d.last_error,
+      `SELECT d.id, d.event_id, d.target_id, d.status, d.attempts, d.next_attempt_at, d.last_error, d.is_replay,
               d.visibility, d.team_id, d.created_by_user_id, d.sent_at,
               t.name as target_name, t.type as target_type,
               e.event_type, s.name as source_name
@@ -113,7 +113,7 @@ router.get('/deliveries/:id', [
     const userId = req.user.id;
 
     const deliveries = await database.query(`
-      SELECT d.id, d.event_id, d.target_id, d.status, d.attempts, d.last_error,
+      SELECT d.id, d.event_id, d.target_id, d.status, d.attempts, d.next_attempt_at, d.last_error, d.is_replay,
              d.visibility, d.team_id, d.created_by_user_id, d.sent_at, d.created_at,
              t.name as target_name, t.type as target_type, t.webhook_url,
              e.event_type, e.payload_json, s.name as source_name
@@ -137,6 +137,43 @@ router.get('/deliveries/:id', [
   }
 });
 
+// GET /api/deliveries/:id/attempts
+router.get('/deliveries/:id/attempts', [
+  param('id').isInt({ min: 1 }).withMessage('Delivery ID must be a positive integer')
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const deliveries = await database.query(
+      'SELECT id FROM deliveries WHERE id = ? AND created_by_user_id = ?',
+      [id, userId]
+    );
+
+    if (deliveries.length === 0) {
+      return res.status(404).json({ success: false, error: 'Delivery not found or access denied' });
+    }
+
+    const attempts = await database.query(`
+      SELECT id, attempt_number, response_status, duration_ms, response_headers, response_body,
+             error_class, error_message, attempted_at
+      FROM delivery_attempts
+      WHERE delivery_id = ?
+      ORDER BY attempt_number, id
+    `, [id]);
+
+    for (const attempt of attempts) {
+      if (attempt.response_headers) {
+        try { attempt.response_headers = JSON.parse(attempt.response_headers); } catch (_e) { /* keep as string */ }
+      }
+    }
+
+    res.json({ success: true, data: attempts });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // DELETE /api/deliveries/:id
 router.delete('/deliveries/:id', [
   param('id').isInt({ min: 1 }).withMessage('Delivery ID must be a positive integer')
@@ -3,6 +3,11 @@ const router = express.Router();
 
 const { query, param } = require('express-validator');
 const database = require('../../config/database');
+const EventProcessor = require('../../services/eventProcessor');
+const requestCapture = require('../../services/requestCapture');
+const eventAttachments = require('../../services/eventAttachments');
+
+const eventProcessor = new EventProcessor();
 
 // GET /api/events
 router.get('/events', [
@@ -27,7 +32,7 @@ router.get('/events', [
 
     const events = await database.query(
       `SELECT e.id, e.source_id, e.event_type, e.payload_json, e.visibility, e.team_id,
-              e.created_by_user_id, e.received_at, e.processed_at,
+              e.created_by_user_id, e.received_at, e.processed_at, e.duplicate_of, e.secret_key_used, e.webhook_secret_used, e.rate_limited,
               s.name as source_name, s.type as source_type
        FROM events e
        LEFT JOIN sources s ON e.source_id = s.id
@@ -114,7 +119,7 @@ router.get('/events/:id', [
 
     const events = await database.query(`
       SELECT e.id, e.source_id, e.event_type, e.payload_json, e.visibility, e.team_id,
-             e.created_by_user_id, e.received_at, e.processed_at,
+             e.created_by_user_id, e.received_at, e.processed_at, e.duplicate_of, e.secret_key_used, e.webhook_secret_used, e.rate_limited,
              s.name as source_name, s.type as source_type
       FROM events e
       LEFT JOIN sources s ON e.source_id = s.id
@@ -127,6 +132,8 @@ router.get('/events/:id', [
 
     const event = events[0];
     try { event.payload_json = JSON.parse(event.payload_json); } catch (_e) { /* keep as string */ }
+    event.request_capture = await requestCapture.load(event.id);
+    event.attachments = await eventAttachments.list(event.id);
 
     res.json({ success: true, data: event });
   } catch (error) {
@@ -134,6 +141,41 @@ router.get('/events/:id', [
   }
 });
 
+// POST /api/events/:id/reprocess
+// Personal events of the user and team events of the user's active teams
+router.post('/events/:id/reprocess', [
+  param('id').isInt({ min: 1 }).withMessage('Event ID must be a positive integer')
+], async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const events = await database.query(`
+      SELECT e.id, e.source_id, e.event_type, e.payload_json
+      FROM events e
+      WHERE e.id = ? AND (
+        (e.visibility = 'personal' AND e.created_by_user_id = ?) OR
+        (e.visibility = 'team' AND e.team_id IN (
+          SELECT team_id FROM team_members WHERE user_id = ? AND is_active = TRUE
+        ))
+      )
+    `, [id, userId, userId]);
+
+    if (events.length === 0) {
+      return res.status(404).json({ success: false, error: 'Event not found or access denied' });
+    }
+
+    const deliveries = await eventProcessor.reprocessEvent(events[0]);
+
+    res.json({
+      success: true,
+      data: { message: 'Event reprocessed successfully', id: parseInt(id), deliveries }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // DELETE /api/events/:id
 router.delete('/events/:id', [
   param('id').isInt({ min: 1 }).withMessage('Event ID must be a positive integer')
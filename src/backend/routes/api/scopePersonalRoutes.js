@@ -11,6 +11,11 @@ router.get('/personal/sources/:id', [requireUser(), requirePersonalAccess(), ...
 router.post('/personal/sources', [requireUser(), requirePersonalAccess(), ...scopeController.sourceValidationNoScope, auditLog('create_personal_source', 'sources')], scopeController.createScopedResource('sources'));
 router.put('/personal/sources/:id', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation, ...scopeController.sourceValidationNoScope, auditLog('update_personal_source', 'sources')], scopeController.updateScopedResource('sources'));
 router.get('/personal/sources/:id/delete-check', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation], crudController.checkSourceDeletion);
+router.get('/personal/sources/:id/rejections', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation], scopeController.getScopedSourceRejections);
+router.post('/personal/sources/:id/rotate', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation, ...scopeController.secretRotationValidation, auditLog('rotate_personal_source_secret', 'sources')], scopeController.rotateScopedSourceSecret);
+router.get('/personal/sources/:id/aliases', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation], scopeController.getScopedSourceAliases);
+router.post('/personal/sources/:id/aliases', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation, ...scopeController.aliasValidation, auditLog('add_personal_source_alias', 'sources')], scopeController.addScopedSourceAlias);
+router.delete('/personal/sources/:id/aliases/:aliasId', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation, ...scopeController.aliasIdValidation, auditLog('delete_personal_source_alias', 'sources')], scopeController.deleteScopedSourceAlias);
 router.delete('/personal/sources/:id', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation, auditLog('delete_personal_source', 'sources')], scopeController.deleteScopedResource('sources'));
 
 // Targets - Personal
@@ -24,17 +29,21 @@ router.delete('/personal/targets/:id', [requireUser(), requirePersonalAccess(),
 router.get('/personal/routes', [requireUser(), requirePersonalAccess()], scopeController.getPersonalRoutes);
 router.get('/personal/routes/:id', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation], scopeController.getScopedResource('routes'));
 router.post('/personal/routes', [requireUser(), requirePersonalAccess(), ...scopeController.routeValidationNoScope, auditLog('create_personal_route', 'routes')], scopeController.createScopedResource('routes'));
+router.post('/personal/routes/preview', [requireUser(), requirePersonalAccess(), ...scopeController.routePreviewValidation], scopeController.previewScopedRoute);
 router.put('/personal/routes/:id', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation, ...scopeController.routeValidationNoScope, auditLog('update_personal_route', 'routes')], scopeController.updateScopedResource('routes'));
 router.delete('/personal/routes/:id', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation, auditLog('delete_personal_route', 'routes')], scopeController.deleteScopedResource('routes'));
 
 // Events - Personal
 router.get('/personal/events', [requireUser(), requirePersonalAccess(), ...scopeController.eventValidationNoScope], scopeController.getPersonalEvents);
 router.get('/personal/events/:id', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation], scopeController.getScopedResource('events'));
+router.get('/personal/events/:id/attachments/:attachmentId', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation, ...scopeController.attachmentIdValidation], scopeController.getScopedEventAttachment);
 router.delete('/personal/events/:id', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation, auditLog('delete_personal_event', 'events')], scopeController.deleteScopedResource('events'));
+router.post('/personal/events/:id/reprocess', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation, auditLog('reprocess_personal_event', 'events')], scopeController.reprocessScopedEvent);
 
 // Deliveries - Personal
 router.get('/personal/deliveries', [requireUser(), requirePersonalAccess(), ...scopeController.deliveryValidationNoScope], scopeController.getPersonalDeliveries);
 router.get('/personal/deliveries/:id', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation], scopeController.getScopedResource('deliveries'));
+router.get('/personal/deliveries/:id/attempts', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation], scopeController.getScopedDeliveryAttempts);
 router.post('/personal/deliveries/:id/retry', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation, auditLog('retry_personal_delivery', 'deliveries')], scopeController.retryScopedDelivery);
 router.delete('/personal/deliveries/:id', [requireUser(), requirePersonalAccess(), ...scopeController.idValidation, auditLog('delete_personal_delivery', 'deliveries')], scopeController.deleteScopedResource('deliveries'));
 
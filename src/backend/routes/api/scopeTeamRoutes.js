@@ -11,6 +11,11 @@ router.get('/team/:teamId/sources/:id', [requireUser(), requireScopeTeamAccess('
 router.post('/team/:teamId/sources', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.sourceValidationNoScope, auditLog('create_team_source', 'sources')], scopeController.createScopedResource('sources'));
 router.put('/team/:teamId/sources/:id', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation, ...scopeController.sourceValidationNoScope, auditLog('update_team_source', 'sources')], scopeController.updateScopedResource('sources'));
 router.get('/team/:teamId/sources/:id/delete-check', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation], crudController.checkSourceDeletion);
+router.get('/team/:teamId/sources/:id/rejections', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation], scopeController.getScopedSourceRejections);
+router.post('/team/:teamId/sources/:id/rotate', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation, ...scopeController.secretRotationValidation, auditLog('rotate_team_source_secret', 'sources')], scopeController.rotateScopedSourceSecret);
+router.get('/team/:teamId/sources/:id/aliases', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation], scopeController.getScopedSourceAliases);
+router.post('/team/:teamId/sources/:id/aliases', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation, ...scopeController.aliasValidation, auditLog('add_team_source_alias', 'sources')], scopeController.addScopedSourceAlias);
+router.delete('/team/:teamId/sources/:id/aliases/:aliasId', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation, ...scopeController.aliasIdValidation, auditLog('delete_team_source_alias', 'sources')], scopeController.deleteScopedSourceAlias);
 router.delete('/team/:teamId/sources/:id', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation, auditLog('delete_team_source', 'sources')], scopeController.deleteScopedResource('sources'));
 
 // Targets - Team
@@ -24,17 +29,21 @@ router.delete('/team/:teamId/targets/:id', [requireUser(), requireScopeTeamAcces
 router.get('/team/:teamId/routes', [requireUser(), requireScopeTeamAccess('member')], scopeController.getTeamRoutes);
 router.get('/team/:teamId/routes/:id', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation], scopeController.getScopedResource('routes'));
 router.post('/team/:teamId/routes', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.routeValidationNoScope, auditLog('create_team_route', 'routes')], scopeController.createScopedResource('routes'));
+router.post('/team/:teamId/routes/preview', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.routePreviewValidation], scopeController.previewScopedRoute);
 router.put('/team/:teamId/routes/:id', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation, ...scopeController.routeValidationNoScope, auditLog('update_team_route', 'routes')], scopeController.updateScopedResource('routes'));
 router.delete('/team/:teamId/routes/:id', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation, auditLog('delete_team_route', 'routes')], scopeController.deleteScopedResource('routes'));
 
 // Events - Team
 router.get('/team/:teamId/events', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.eventValidationNoScope], scopeController.getTeamEvents);
 router.get('/team/:teamId/events/:id', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation], scopeController.getScopedResource('events'));
+router.get('/team/:teamId/events/:id/attachments/:attachmentId', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation, ...scopeController.attachmentIdValidation], scopeController.getScopedEventAttachment);
 router.delete('/team/:teamId/events/:id', [requireUser(), requireScopeTeamAccess('admin'), ...scopeController.idValidation, auditLog('delete_team_event', 'events')], scopeController.deleteScopedResource('events'));
+router.post('/team/:teamId/events/:id/reprocess', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation, auditLog('reprocess_team_event', 'events')], scopeController.reprocessScopedEvent);
 
 // Deliveries - Team
 router.get('/team/:teamId/deliveries', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.deliveryValidationNoScope], scopeController.getTeamDeliveries);
 router.get('/team/:teamId/deliveries/:id', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation], scopeController.getScopedResource('deliveries'));
+router.get('/team/:teamId/deliveries/:id/attempts', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation], scopeController.getScopedDeliveryAttempts);
 router.post('/team/:teamId/deliveries/:id/retry', [requireUser(), requireScopeTeamAccess('member'), ...scopeController.idValidation, auditLog('retry_team_delivery', 'deliveries')], scopeController.retryScopedDelivery);
 router.delete('/team/:teamId/deliveries/:id', [requireUser(), requireScopeTeamAccess('admin'), ...scopeController.idValidation, auditLog('delete_team_delivery', 'deliveries')], scopeController.deleteScopedResource('deliveries'));
 
@@ -5,68 +5,165 @@ const router = express.Router();
 const { validateSignature, validateWebhookSecret } = require('../middleware/hmacValidator');
 const {
   validateWebhookRequest,
-  getWebhookValidationRules
+  getWebhookValidationRules,
+  enforceRateLimit
 } = require('../controllers/webhookController');
 const database = require('../config/database');
+const ipAllowlist = require('../services/ipAllowlist');
+const webhookRejections = require('../services/webhookRejections');
+const requestBody = require('../services/requestBody');
+const multipartParser = require('../services/multipartParser');
+const xmlParser = require('../services/xmlParser');
+const sourceAliases = require('../services/sourceAliases');
+const webhookHandshake = require('../services/webhookHandshake');
 
 /**
  * Webhook Routes
  * Handles incoming webhooks from various sources with HMAC validation
  */
 
-// Raw body capture middleware for HMAC validation
-// This captures the raw body before JSON parsing
-const captureRawBody = (req, res, next) => {
-  let data = '';
-  req.setEncoding('utf8');
-
-  req.on('data', chunk => {
-    data += chunk;
-  });
+/**
+ * Parse the decoded body based on content type
+ * JSON, multipart/form-data, XML, urlencoded and text bodies become objects
+ * @param {Object} req - Express request object (req.rawBody is set)
+ * @param {string} data - Decoded body text
+ */
+const parseBody = (req, data) => {
+  const contentType = req.get('Content-Type') || '';
 
-  req.on('end', () => {
-    req.rawBody = data;
-    // Parse based on content type
-    const contentType = req.get('Content-Type') || '';
-    
-    if (contentType.includes('application/json')) {
-      // Only try to parse if data looks like JSON (starts with { or [)
-      const trimmedData = data.trim();
-      if (trimmedData.startsWith('{') || trimmedData.startsWith('[')) {
-        try {
-          req.body = data ? JSON.parse(data) : {};
-        } catch (error) {
-          console.log('[WEBHOOK] JSON parse error:', error.message);
-          req.body = {};
-        }
-      } else if (trimmedData.length > 0) {
-        // Content-Type is JSON but data is not - treat as text
-        console.log('[WEBHOOK] Content-Type is application/json but body is not valid JSON, treating as text');
-        req.body = { text: data, _contentType: 'text' };
-      } else {
-        // Empty JSON body
+  if (contentType.includes('application/json')) {
+    // Only try to parse if data looks like JSON (starts with { or [)
+    const trimmedData = data.trim();
+    if (trimmedData.startsWith('{') || trimmedData.startsWith('[')) {
+      try {
+        req.body = data ? JSON.parse(data) : {};
+      } catch (error) {
+        console.log('[WEBHOOK] JSON parse error:', error.message);
         req.body = {};
       }
-    } else if (contentType.includes('application/x-www-form-urlencoded')) {
-      // Parse form data
-      const querystring = require('querystring');
-      req.body = querystring.parse(data);
-    } else if (contentType.includes('text/plain')) {
-      // Watchtower/Shoutrrr sends text/plain - wrap in object for validation
-      req.body = { text: data || '', _contentType: 'text/plain' };
+    } else if (trimmedData.length > 0) {
+      // Content-Type is JSON but data is not - treat as text
+      console.log('[WEBHOOK] Content-Type is application/json but body is not valid JSON, treating as text');
+      req.body = { text: data, _contentType: 'text' };
     } else {
-      // Unknown content type - try to parse as JSON, fallback to text wrapper
-      if (data) {
-        try {
-          req.body = JSON.parse(data);
-        } catch (_error) {
-          // Not JSON, wrap as text
-          req.body = { text: data, _contentType: contentType };
-        }
-      } else {
-        req.body = {};
+      // Empty JSON body
+      req.body = {};
+    }
+  } else if (multipartParser.isMultipart(contentType)) {
+    // Text fields become the payload, file parts are stored as attachments by the controller
+    try {
+      const { payload, files } = multipartParser.parse(req.rawBody, contentType);
+      req.body = payload;
+      req.webhookAttachments = files;
+      if (files.length > 0) {
+        req.body._attachments = files.map(file => ({
+          name: file.fieldName,
+          filename: file.filename,
+          contentType: file.contentType,
+          size: file.data.length
+        }));
+      }
+    } catch (error) {
+      console.log('[WEBHOOK] Multipart parse error:', error.message);
+      req.body = {};
+    }
+  } else if (xmlParser.isXml(contentType)) {
+    // Without a charset parameter the XML declaration names the encoding
+    const declaredEncoding = !/charset=/i.test(contentType) && xmlParser.getDeclaredEncoding(req.rawBody);
+    const xml = declaredEncoding ? requestBody.decode(req.rawBody, `text/xml; charset=${declaredEncoding}`) : data;
+
+    try {
+      req.body = xml.trim() ? xmlParser.parse(xml) : {};
+    } catch (error) {
+      console.log('[WEBHOOK] XML parse error:', error.message);
+      req.body = { text: xml, _contentType: contentType };
+    }
+  } else if (contentType.includes('application/x-www-form-urlencoded')) {
+    // Parse form data
+    const querystring = require('querystring');
+    req.body = querystring.parse(data);
+  } else if (contentType.includes('text/plain')) {
+    // Watchtower/Shoutrrr sends text/plain - wrap in object for validation
+    req.body = { text: data || '', _contentType: 'text/plain' };
+  } else {
+    // Unknown content type - try to parse as JSON, fallback to text wrapper
+    if (data) {
+      try {
+        req.body = JSON.parse(data);
+      } catch (_error) {
+        // Not JSON, wrap as text
+        req.body = { text: data, _contentType: contentType };
       }
+    } else {
+      req.body = {};
     }
+  }
+};
+
+/**
+ * Answer 413 for a body over the limit
+ * Reading stops right away and the connection is closed once the answer is sent
+ * (Connection: close), so the rest of the upload is neither buffered nor received
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} limit - Body size limit in bytes
+ */
+const rejectTooLarge = async (req, res, limit) => {
+  const reason = `Payload too large (limit ${limit} bytes)`;
+
+  req.pause();
+
+  if (req.webhookSource) {
+    await webhookRejections.record(req.webhookSource, req, reason, 413);
+  } else {
+    console.log(`[WEBHOOK] ${reason}`);
+  }
+
+  res.set('Connection', 'close');
+  res.status(413).json({
+    success: false,
+    error: reason
+  });
+};
+
+// Raw body capture middleware for HMAC validation
+// Buffers the body as received (req.rawBody, a Buffer, so signatures cover the exact bytes)
+// up to the source's size limit, then parses the charset-decoded text (req.rawBodyText)
+const captureRawBody = (req, res, next) => {
+  const limit = requestBody.getLimit(req.webhookSource);
+
+  // Senders announcing an oversized body are refused before reading it
+  const declaredLength = parseInt(req.get('Content-Length'));
+  if (declaredLength > limit) {
+    return rejectTooLarge(req, res, limit).catch(next);
+  }
+
+  const chunks = [];
+  let received = 0;
+  let tooLarge = false;
+
+  const onData = chunk => {
+    received += chunk.length;
+    if (received > limit) {
+      // Chunked or mis-declared bodies are cut off while streaming
+      tooLarge = true;
+      chunks.length = 0;
+      req.removeListener('data', onData);
+      rejectTooLarge(req, res, limit).catch(next);
+      return;
+    }
+
+    chunks.push(chunk);
+  };
+
+  req.on('data', onData);
+
+  req.on('end', () => {
+    if (tooLarge) return;
+
+    req.rawBody = Buffer.concat(chunks, received);
+    req.rawBodyText = requestBody.decode(req.rawBody, req.get('Content-Type'));
+    parseBody(req, req.rawBodyText);
     next();
   });
 
@@ -76,50 +173,98 @@ const captureRawBody = (req, res, next) => {
   });
 };
 
-// Apply raw body capture to all webhook routes
-// CRITICAL: This is required for HMAC signature validation
-router.use(captureRawBody);
-console.log('[WEBHOOK] Raw body capture middleware enabled for HMAC validation');
+/**
+ * Answer a sender's verification challenge (sources.handshake) without creating an event
+ * Runs before the method check, so GET challenges work on POST-only sources
+ */
+const answerHandshake = (req, res, next) => {
+  const response = webhookHandshake.answer(req.webhookSource, req);
+  if (!response) {
+    return next();
+  }
+
+  console.log(`[HANDSHAKE] Answered ${req.webhookSource.handshake} challenge for source "${req.webhookSource.name}" (ID: ${req.webhookSource.id})`);
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.status(200).type(response.contentType).send(response.body);
+};
+
+/**
+ * Refuse methods the source does not accept (405)
+ * Devices that can only issue GET (or PUT) requests need it enabled on the source
+ */
+const checkMethod = async (req, res, next) => {
+  const allowedMethods = String(req.webhookSource.allowed_methods || 'POST').split(',');
+  if (allowedMethods.includes(req.method)) {
+    return next();
+  }
+
+  try {
+    await webhookRejections.record(req.webhookSource, req, `Method ${req.method} is not allowed for this source`, 405);
+    res.set('Allow', allowedMethods.join(', '));
+    res.status(405).json({
+      success: false,
+      error: `Method ${req.method} not allowed for this source`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Health check endpoint for webhook service
+ * GET /webhook/health
+ * Registered before the dynamic endpoint, which also answers GET
+ */
+router.get('/health', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      service: 'webhook',
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      endpoints: [
+        '/webhook/{secret_key} (dinamikus)',
+        '/webhook/{alias} (alias)'
+      ]
+    }
+  });
+});
 
 /**
  * Dynamic Webhook Endpoint
- * POST /webhook/:secretKey
+ * POST /webhook/:secretKey (GET and PUT when enabled on the source)
+ * POST /webhook/:alias (readable paths like /webhook/nas-main/synology, see sourceAliases)
  *
- * Receives webhooks from any configured source using their unique secret key
+ * Receives webhooks from any configured source using their unique secret key or one of its aliases
  * The secret key is used to identify the source from the database
  * Validates HMAC signature and processes events based on source type
+ * Every method runs the same chain, GET requests carry their payload in the query string
  */
-router.post('/:secretKey',
-  // Debug middleware
-  (req, res, next) => {
-    console.log('[WEBHOOK ROUTE] Request received:', {
-      method: req.method,
-      url: req.url,
-      params: req.params,
-      query: req.query,
-      headers: Object.keys(req.headers),
-      contentType: req.get('Content-Type'),
-      contentLength: req.get('Content-Length'),
-      hasRawBody: !!req.rawBody,
-      rawBodyLength: req.rawBody?.length,
-      body: req.body
-    });
-    next();
-  },
-
+router.all('/:webhookPath([^]+)',
   // Source lookup middleware - MUST run before webhook secret validation
   async (req, res, next) => {
     try {
-      const { secretKey } = req.params;
-      console.log(`[WEBHOOK ROUTE] Looking up source with secret_key: ${secretKey}`);
+      const webhookPath = req.params.webhookPath.replace(/\/+$/, '');
+      console.log(`[WEBHOOK ROUTE] Looking up source with secret_key or alias: ${webhookPath}`);
 
+      // A rotated key keeps working until its grace period ends
       const sources = await database.query(
-        'SELECT id, name, type, secret_key, webhook_secret, visibility, team_id, created_by_user_id FROM sources WHERE secret_key = ? AND is_active = TRUE',
-        [secretKey]
+        `SELECT id, name, type, secret_key, webhook_secret, signature_scheme, signature_tolerance, allowed_ips, allowed_methods, handshake, rate_limit_max, rate_limit_window, rate_limit_burst, rate_limit_action, max_body_size, response_status, response_content_type, response_body, wait_for_deliveries, capture_requests, visibility, team_id, created_by_user_id,
+                IF(previous_webhook_secret_expires_at > NOW(), previous_webhook_secret, NULL) as previous_webhook_secret,
+                (secret_key = ?) as matched_current_key,
+                (previous_secret_key = ? AND previous_secret_key_expires_at > NOW()) as matched_previous_key
+         FROM sources
+         WHERE (secret_key = ?
+                OR (previous_secret_key = ? AND previous_secret_key_expires_at > NOW())
+                OR id IN (SELECT source_id FROM source_aliases WHERE alias = ?))
+           AND is_active = TRUE
+         ORDER BY matched_current_key DESC
+         LIMIT 1`,
+        [webhookPath, webhookPath, webhookPath, webhookPath, sourceAliases.normalize(webhookPath)]
       );
 
       if (sources.length === 0) {
-        console.log(`[WEBHOOK ROUTE] Source not found for secret_key: ${secretKey}`);
+        console.log(`[WEBHOOK ROUTE] Source not found for secret_key or alias: ${webhookPath}`);
         return res.status(404).json({
           success: false,
           error: 'Invalid webhook secret key'
@@ -127,8 +272,21 @@ router.post('/:secretKey',
       }
 
       // Attach source to request for later middleware
+      // An alias counts as the current URL, only a rotated key is 'previous'
       req.webhookSource = sources[0];
-      console.log(`[WEBHOOK ROUTE] Source found: ${req.webhookSource.name} (ID: ${req.webhookSource.id})`);
+      req.webhookKeyUsed = !sources[0].matched_current_key && sources[0].matched_previous_key ? 'previous' : 'current';
+      const matchedVia = sources[0].matched_current_key ? '' : req.webhookKeyUsed === 'previous' ? ' via its previous key' : ` via alias ${webhookPath}`;
+      console.log(`[WEBHOOK ROUTE] Source found: ${req.webhookSource.name} (ID: ${req.webhookSource.id})${matchedVia}`);
+
+      // req.ip honours the trusted proxy setting (X-Forwarded-For from nginx)
+      if (!ipAllowlist.isAllowed(req.webhookSource.allowed_ips, req.ip)) {
+        await webhookRejections.record(req.webhookSource, req, `Client IP ${req.ip} is not in the source allowlist`, 403);
+        return res.status(403).json({
+          success: false,
+          error: 'Client IP not allowed for this source'
+        });
+      }
+
       next();
     } catch (error) {
       console.error('[WEBHOOK ROUTE] Error looking up source:', error);
@@ -136,6 +294,33 @@ router.post('/:secretKey',
     }
   },
 
+  // Read the body within the source's size limit (413 above it)
+  // CRITICAL: This is required for HMAC signature validation
+  captureRawBody,
+
+  // Debug middleware
+  (req, res, next) => {
+    console.log('[WEBHOOK ROUTE] Request received:', {
+      method: req.method,
+      url: req.url,
+      params: req.params,
+      query: req.query,
+      headers: Object.keys(req.headers),
+      contentType: req.get('Content-Type'),
+      contentLength: req.get('Content-Length'),
+      rawBodyLength: req.rawBody.length,
+      charset: requestBody.getCharset(req.get('Content-Type')),
+      body: req.body
+    });
+    next();
+  },
+
+  // Verification challenges (Slack, Microsoft Graph, WebSub, Dropbox) are answered here
+  answerHandshake,
+
+  // Per-source allowed methods (405 for the rest)
+  checkMethod,
+
   // Validation middleware
   getWebhookValidationRules(),
   validateWebhookRequest,
@@ -148,53 +333,13 @@ router.post('/:secretKey',
   // OPTIONAL: If no signature present, skip validation
   validateSignature,
 
+  // Per-source rate limit (429 or store without routing)
+  enforceRateLimit,
+
   // Process webhook dynamically
   require('../controllers/webhookController').handleDynamicWebhook
 );
 
-// Legacy endpoints removed - use dynamic /webhook/:secretKey instead
-
-/**
- * Legacy Static Webhook Endpoints (for backward compatibility)
- * These redirect to the dynamic endpoint system
- */
-
-// POST /webhook/h7k9m2x/synology - Legacy Synology webhook endpoint
-router.post('/h7k9m2x/synology', (req, res, next) => {
-  console.log('[WEBHOOK LEGACY] Synology legacy endpoint called - redirecting to dynamic handler');
-  req.params.secretKey = 'h7k9m2x';
-  req.sourceType = 'synology'; // Hint for the handler
-  require('../controllers/webhookController').handleDynamicWebhook(req, res, next);
-});
-
-// POST /webhook/n4p8w6z/proxmox - Legacy Proxmox webhook endpoint
-router.post('/n4p8w6z/proxmox', (req, res, next) => {
-  console.log('[WEBHOOK LEGACY] Proxmox legacy endpoint called - redirecting to dynamic handler');
-  req.params.secretKey = 'n4p8w6z';
-  req.sourceType = 'proxmox'; // Hint for the handler
-  require('../controllers/webhookController').handleDynamicWebhook(req, res, next);
-});
-
-/**
- * Health check endpoint for webhook service
- * GET /webhook/health
- */
-router.get('/health', (req, res) => {
-  res.status(200).json({
-    success: true,
-    data: {
-      service: 'webhook',
-      status: 'OK',
-      timestamp: new Date().toISOString(),
-      endpoints: [
-        '/webhook/{secret_key} (dinamikus)',
-        '/webhook/h7k9m2x/synology (legacy)',
-        '/webhook/n4p8w6z/proxmox (legacy)'
-      ]
-    }
-  });
-});
-
 /**
  * Test endpoint for webhook validation
  * POST /webhook/test
@@ -203,11 +348,11 @@ router.get('/health', (req, res) => {
  * Should only be enabled in development environments
  */
 if (process.env.NODE_ENV === 'development') {
-  router.post('/test', (req, res) => {
+  router.post('/test', captureRawBody, (req, res) => {
     console.log('[WEBHOOK TEST] Received test webhook:', {
       headers: req.headers,
       body: req.body,
-      rawBody: req.rawBody?.substring(0, 200) + (req.rawBody?.length > 200 ? '...' : ''),
+      rawBody: req.rawBodyText.substring(0, 200) + (req.rawBodyText.length > 200 ? '...' : ''),
       timestamp: new Date().toISOString()
     });
 
@@ -230,7 +375,8 @@ router.use('*', (req, res) => {
     success: false,
     error: 'Webhook endpoint not found',
     availableEndpoints: [
-      '/webhook/{secret_key} (dinamikus)'
+      '/webhook/{secret_key} (dinamikus)',
+      '/webhook/{alias} (alias)'
     ]
   });
 });
@@ -0,0 +1,193 @@
+/**
+ * Prometheus Alertmanager / Grafana Alerting Formatter
+ * Renders a notification group (alerts[] with labels, annotations and firing/resolved status)
+ * with counts, label tables, summary/description annotations and generator links
+ *
+ * Labels shared by the whole group (commonLabels) are shown once, each alert only lists
+ * its own labels. Severity comes from labels.severity (highest of the firing alerts).
+ */
+
+class AlertmanagerFormatter {
+  constructor() {
+    this.maxAlerts = 10;
+    this.maxAnnotationLength = 500;
+    // labels.severity values, most severe first
+    this.severityOrder = ['critical', 'error', 'high', 'warning', 'medium', 'low', 'info', 'none'];
+  }
+
+  /**
+   * Create formatted message from an Alertmanager / Grafana webhook payload
+   * @param {Object} payload - Alertmanager webhook payload (version 4) or Grafana alerting payload
+   * @returns {Object} - Formatted message for chat platforms
+   */
+  createAlertmanagerMessage(payload) {
+    const alerts = Array.isArray(payload.alerts) ? payload.alerts : [];
+    const firing = alerts.filter(alert => alert.status !== 'resolved');
+    const resolved = alerts.filter(alert => alert.status === 'resolved');
+    const status = payload.status || (firing.length > 0 ? 'firing' : 'resolved');
+
+    const commonLabels = payload.commonLabels || {};
+    const commonAnnotations = payload.commonAnnotations || {};
+    const groupLabels = payload.groupLabels || {};
+    const labelSeverity = this._groupSeverity(firing.length > 0 ? firing : alerts);
+
+    const alertName = groupLabels.alertname || commonLabels.alertname || payload.title || 'Riasztás';
+    const icon = status === 'resolved' ? '✅' : this._severityIcon(labelSeverity);
+    const statusText = status === 'resolved' ? 'RESOLVED' : `FIRING:${firing.length}`;
+
+    const messageLines = [`## ${icon} [${statusText}] ${alertName}`, ''];
+
+    const groupText = Object.entries(groupLabels).map(([key, value]) => `${key}=${value}`).join(', ');
+    if (groupText) messageLines.push(`**Csoport:** ${groupText}`);
+    messageLines.push(`**Tüzel:** ${firing.length} · **Megoldva:** ${resolved.length}`);
+    if (labelSeverity) messageLines.push(`**Súlyosság:** ${labelSeverity}`);
+    if (payload.receiver) messageLines.push(`**Fogadó:** ${payload.receiver}`);
+
+    if (commonAnnotations.summary) messageLines.push(`**Összefoglaló:** ${this._truncate(commonAnnotations.summary)}`);
+    if (commonAnnotations.description) messageLines.push(`**Leírás:** ${this._truncate(commonAnnotations.description)}`);
+
+    const sharedLabels = Object.entries(commonLabels).filter(([key]) => !(key in groupLabels));
+    if (sharedLabels.length > 0) {
+      messageLines.push('', '**Közös címkék:**', ...this._labelTable(sharedLabels));
+    }
+
+    // Firing alerts first, they are the ones that need attention
+    const ordered = [...firing, ...resolved];
+    for (const alert of ordered.slice(0, this.maxAlerts)) {
+      messageLines.push('', ...this._formatAlert(alert, commonLabels, commonAnnotations));
+    }
+
+    const hidden = ordered.length - Math.min(ordered.length, this.maxAlerts) + (parseInt(payload.truncatedAlerts) || 0);
+    if (hidden > 0) {
+      messageLines.push('', `_... és még ${hidden} riasztás_`);
+    }
+
+    if (payload.externalURL) {
+      messageLines.push('', `[Alertmanager](${payload.externalURL})`);
+    }
+
+    return {
+      text: messageLines.join('\n'),
+      title: `[${statusText}] ${alertName}`,
+      severity: status === 'resolved' ? 'info' : this._toSeverity(labelSeverity),
+      status: status,
+      alertname: alertName,
+      group_key: payload.groupKey || null,
+      firing_count: firing.length,
+      resolved_count: resolved.length,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Format a single alert of the group
+   * @private
+   */
+  _formatAlert(alert, commonLabels, commonAnnotations) {
+    const labels = alert.labels || {};
+    const annotations = alert.annotations || {};
+    const isResolved = alert.status === 'resolved';
+    const icon = isResolved ? '✅' : this._severityIcon(labels.severity);
+
+    const lines = [`### ${icon} ${labels.alertname || 'Riasztás'} — ${isResolved ? 'resolved' : 'firing'}`];
+
+    if (annotations.summary && annotations.summary !== commonAnnotations.summary) {
+      lines.push(`**Összefoglaló:** ${this._truncate(annotations.summary)}`);
+    }
+    if (annotations.description && annotations.description !== commonAnnotations.description) {
+      lines.push(`**Leírás:** ${this._truncate(annotations.description)}`);
+    }
+    if (alert.valueString) lines.push(`**Érték:** ${this._truncate(alert.valueString)}`);
+
+    const ownLabels = Object.entries(labels).filter(([key, value]) => commonLabels[key] !== value);
+    if (ownLabels.length > 0) {
+      lines.push(...this._labelTable(ownLabels));
+    }
+
+    const startsAt = this._formatTime(alert.startsAt);
+    const endsAt = isResolved ? this._formatTime(alert.endsAt) : null;
+    if (startsAt) lines.push(`**Kezdete:** ${startsAt}${endsAt ? ` · **Vége:** ${endsAt}` : ''}`);
+
+    const links = [
+      alert.generatorURL && `[Forrás](${alert.generatorURL})`,
+      alert.dashboardURL && `[Dashboard](${alert.dashboardURL})`,
+      alert.panelURL && `[Panel](${alert.panelURL})`,
+      !isResolved && alert.silenceURL && `[Némítás](${alert.silenceURL})`,
+      annotations.runbook_url && `[Runbook](${annotations.runbook_url})`
+    ].filter(Boolean);
+    if (links.length > 0) lines.push(links.join(' · '));
+
+    return lines;
+  }
+
+  /**
+   * Markdown table of labels (followed by an empty line, text right below would become a row)
+   * @private
+   */
+  _labelTable(entries) {
+    const escape = value => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    return [
+      '| Címke | Érték |',
+      '|---|---|',
+      ...entries.map(([key, value]) => `| ${escape(key)} | ${escape(value)} |`),
+      ''
+    ];
+  }
+
+  /**
+   * Highest labels.severity of the alerts
+   * @private
+   */
+  _groupSeverity(alerts) {
+    // Unknown values rank right after warning
+    const rank = severity => {
+      const index = this.severityOrder.indexOf(severity);
+      return index === -1 ? this.severityOrder.indexOf('warning') + 0.5 : index;
+    };
+
+    return alerts
+      .map(alert => String(alert.labels?.severity || '').toLowerCase())
+      .filter(Boolean)
+      .reduce((best, severity) => (best === null || rank(severity) < rank(best) ? severity : best), null);
+  }
+
+  /**
+   * Map labels.severity to the formatter severity (info, warning, error)
+   * @private
+   */
+  _toSeverity(severity) {
+    if (['critical', 'error', 'high'].includes(severity)) return 'error';
+    if (['info', 'none', 'low'].includes(severity)) return 'info';
+    return 'warning';
+  }
+
+  /**
+   * Icon for a labels.severity value
+   * @private
+   */
+  _severityIcon(severity) {
+    const icons = { critical: '🚨', error: '🔥', high: '🔥', warning: '⚠️', medium: '⚠️', low: 'ℹ️', info: 'ℹ️', none: 'ℹ️' };
+    return icons[String(severity || '').toLowerCase()] || '🔥';
+  }
+
+  /**
+   * Format an RFC 3339 time, Alertmanager uses 0001-01-01 for "not set"
+   * @private
+   */
+  _formatTime(value) {
+    if (!value || value.startsWith('0001-')) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toLocaleString('hu-HU');
+  }
+
+  /**
+   * Shorten long annotations
+   * @private
+   */
+  _truncate(value) {
+    const text = String(value).trim();
+    return text.length > this.maxAnnotationLength ? `${text.substring(0, this.maxAnnotationLength)}...` : text;
+  }
+}
+
+module.exports = AlertmanagerFormatter;
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const os = require('os');
+const database = require('../config/database');
+const EventProcessor = require('./eventProcessor');
+
+/**
+ * Delivery Queue Worker
+ * Uses the deliveries table as a persistent queue: rows in 'pending' or 'retry'
+ * status are claimed by a worker and executed, so a restart or redeploy only
+ * pauses delivery instead of dropping it.
+ */
+class DeliveryQueue {
+  constructor() {
+    this.pollInterval = parseInt(process.env.DELIVERY_QUEUE_POLL_INTERVAL) || 2000; // ms
+    this.batchSize = parseInt(process.env.DELIVERY_QUEUE_BATCH_SIZE) || 10;
+    this.lockTimeout = parseInt(process.env.DELIVERY_QUEUE_LOCK_TIMEOUT) || 300; // seconds
+
+    // Unique per process, claim tokens are derived from it (must fit locked_by VARCHAR(64))
+    this.workerId = `${os.hostname().substring(0, 24)}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.claimCounter = 0;
+
+    this.eventProcessor = new EventProcessor();
+    this.running = false;
+    this.polling = false;
+    this.wakeRequested = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start the worker and resume outstanding deliveries
+   * Claims left behind by a crashed worker are picked up once they are older than the lock timeout
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const rows = await database.query(
+        "SELECT COUNT(*) as count FROM deliveries WHERE status IN ('pending', 'retry')"
+      );
+      console.log(`✅ Delivery queue started (${rows[0].count} outstanding deliveries)`);
+    } catch (error) {
+      console.error('❌ Delivery queue init error:', error.message);
+    }
+
+    this.schedule(0);
+  }
+
+  /**
+   * Stop the worker and release claims held by this process
+   * Released deliveries are picked up again on the next start (at-least-once delivery)
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    try {
+      const result = await database.query(
+        `UPDATE deliveries SET locked_by = NULL, locked_at = NULL
+         WHERE locked_by LIKE ? AND status IN ('pending', 'retry')`,
+        [`${this.workerId}:%`]
+      );
+      if (result.affectedRows > 0) {
+        console.log(`[QUEUE] Released ${result.affectedRows} claimed deliveries`);
+      }
+    } catch (error) {
+      console.error('[QUEUE] Error releasing claimed deliveries:', error.message);
+    }
+  }
+
+  /**
+   * Ask the worker to poll right away (called after new deliveries are stored)
+   */
+  wake() {
+    if (!this.running) return;
+
+    if (this.polling) {
+      this.wakeRequested = true;
+    } else {
+      this.schedule(0);
+    }
+  }
+
+  /**
+   * Schedule the next poll
+   * @param {number} delay - Delay in milliseconds
+   */
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.poll(), delay);
+  }
+
+  /**
+   * Claim a batch of deliveries and execute them one by one
+   */
+  async poll() {
+    if (!this.running || this.polling) return;
+    this.polling = true;
+    this.wakeRequested = false;
+
+    let claimed = 0;
+    try {
+      const batch = await this.claimBatch();
+      claimed = batch.length;
+
+      for (const row of batch) {
+        if (!this.running) break;
+        await this.processRow(row);
+      }
+    } catch (error) {
+      console.error('[QUEUE] Poll error:', error.message);
+    } finally {
+      this.polling = false;
+    }
+
+    if (this.running) {
+      // A full batch usually means more work is waiting
+      const busy = claimed >= this.batchSize || this.wakeRequested;
+      this.schedule(busy ? 0 : this.pollInterval);
+    }
+  }
+
+  /**
+   * Atomically claim due deliveries for this worker
+   * @returns {Array} - Claimed delivery rows with route, target and event data
+   */
+  async claimBatch() {
+    const token = `${this.workerId}:${++this.claimCounter}`;
+
+    const result = await database.query(`
+      UPDATE deliveries
+      SET locked_by = ?, locked_at = NOW()
+      WHERE status IN ('pending', 'retry')
+        AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
+        AND (locked_at IS NULL OR locked_at < DATE_SUB(NOW(), INTERVAL ${this.lockTimeout} SECOND))
+      ORDER BY id
+      LIMIT ${this.batchSize}
+    `, [token]);
+
+    if (result.affectedRows === 0) {
+      return [];
+    }
+
+    console.log(`[QUEUE] Claimed ${result.affectedRows} deliveries`);
+
+    return this.loadClaimed(token);
+  }
+
+  /**
+   * Send a single delivery right away (manual retry from the UI/API)
+   * Claims the row like the worker does, so it is never sent twice concurrently
+   * @param {number} deliveryId - Delivery ID
+   * @returns {Object|null} - Delivery result, or null when the row is claimed by a worker or already sent
+   */
+  async runNow(deliveryId) {
+    const token = `${this.workerId}:${++this.claimCounter}`;
+
+    const result = await database.query(`
+      UPDATE deliveries
+      SET locked_by = ?, locked_at = NOW()
+      WHERE id = ?
+        AND status IN ('pending', 'retry', 'failed')
+        AND (locked_at IS NULL OR locked_at < DATE_SUB(NOW(), INTERVAL ${this.lockTimeout} SECOND))
+    `, [token, deliveryId]);
+
+    if (result.affectedRows === 0) {
+      return null;
+    }
+
+    const rows = await this.loadClaimed(token);
+    if (rows.length === 0) {
+      return null;
+    }
+
+    console.log(`[QUEUE] Manual retry of delivery ${deliveryId}`);
+    return this.processRow(rows[0]);
+  }
+
+  /**
+   * Send new deliveries right away and wait for their first attempt
+   * Used by sources that answer the sender only after forwarding (wait_for_deliveries).
+   * A delivery the worker claimed first is followed through its status instead.
+   * @param {Array<number>} deliveryIds - Delivery IDs
+   * @param {number} timeoutMs - Maximum time to wait
+   * @returns {Array<boolean|null>} - Per delivery: sent, failed, or null when still undecided at the timeout
+   */
+  async waitForDeliveries(deliveryIds, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    let timer = null;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), timeoutMs);
+    });
+
+    const outcomes = await Promise.all(deliveryIds.map(deliveryId => Promise.race([
+      this.runNow(deliveryId)
+        .then(result => (result ? result.success : this.awaitOutcome(deliveryId, deadline)))
+        .catch(error => {
+          console.error(`[QUEUE] Error sending delivery ${deliveryId} inline:`, error.message);
+          return null;
+        }),
+      timeout
+    ])));
+
+    clearTimeout(timer);
+    return outcomes;
+  }
+
+  /**
+   * Poll a delivery until its first attempt finished
+   * @param {number} deliveryId - Delivery ID
+   * @param {number} deadline - Timestamp (ms) to give up at
+   * @returns {boolean|null} - Sent, failed (including scheduled for retry), or null at the deadline
+   */
+  async awaitOutcome(deliveryId, deadline) {
+    while (Date.now() < deadline) {
+      const rows = await database.query('SELECT status FROM deliveries WHERE id = ?', [deliveryId]);
+      if (rows.length === 0) return null;
+      if (rows[0].status === 'sent') return true;
+      if (rows[0].status === 'failed' || rows[0].status === 'retry') return false;
+
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+    return null;
+  }
+
+  /**
+   * Load claimed deliveries with route, target and event data
+   * @param {string} token - Claim token
+   * @returns {Array} - Delivery rows
+   */
+  async loadClaimed(token) {
+    // Deliveries created before route_id existed fall back to the route matching source + target
+    return database.query(`
+      SELECT
+        d.id as delivery_id,
+        d.event_id,
+        d.target_id,
+        e.event_type,
+        e.payload_json,
+        r.id as route_id,
+        r.message_template,
+        t.name as target_name,
+        t.type as target_type,
+        t.webhook_url
+      FROM deliveries d
+      INNER JOIN events e ON d.event_id = e.id
+      INNER JOIN targets t ON d.target_id = t.id
+      LEFT JOIN routes r ON r.id = COALESCE(d.route_id, (
+        SELECT r2.id FROM routes r2
+        WHERE r2.source_id = e.source_id AND r2.target_id = d.target_id
+        ORDER BY r2.id LIMIT 1
+      ))
+      WHERE d.locked_by = ?
+      ORDER BY d.id
+    `, [token]);
+  }
+
+  /**
+   * Execute a claimed delivery through the EventProcessor
+   * @param {Object} row - Claimed delivery row
+   * @returns {Object} - Delivery result (see EventProcessor.executeDelivery)
+   */
+  async processRow(row) {
+    let payload = row.payload_json;
+    if (typeof payload === 'string') {
+      try { payload = JSON.parse(payload); } catch (_e) { payload = { text: payload }; }
+    }
+
+    return this.eventProcessor.executeDelivery({
+      deliveryId: row.delivery_id,
+      eventId: row.event_id,
+      eventType: row.event_type,
+      payload,
+      route: {
+        route_id: row.route_id,
+        target_id: row.target_id,
+        message_template: row.message_template,
+        target_name: row.target_name,
+        target_type: row.target_type,
+        webhook_url: row.webhook_url
+      }
+    });
+  }
+}
+
+// Singleton instance
+const deliveryQueue = new DeliveryQueue();
+
+module.exports = deliveryQueue;
@@ -0,0 +1,74 @@
+const database = require('../config/database');
+
+/**
+ * Event Attachments Service
+ * Stores the file parts of multipart/form-data webhooks (e.g. the thumbnail Plex
+ * posts next to its JSON payload) so they can be downloaded from the event.
+ */
+class EventAttachments {
+  constructor() {
+    this.maxFilenameLength = 255;
+  }
+
+  /**
+   * Store the files of an event
+   * Failures are logged and never fail the webhook itself
+   * @param {number} eventId - Event ID
+   * @param {Array} files - [{ fieldName, filename, contentType, data }] from the multipart parser
+   */
+  async save(eventId, files) {
+    for (const file of files) {
+      try {
+        await database.query(
+          `INSERT INTO event_attachments (event_id, field_name, filename, content_type, size, data)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            eventId,
+            String(file.fieldName).substring(0, this.maxFilenameLength),
+            String(file.filename).substring(0, this.maxFilenameLength),
+            file.contentType ? String(file.contentType).substring(0, 255) : null,
+            file.data.length,
+            file.data
+          ]
+        );
+      } catch (error) {
+        console.error(`[ATTACHMENT] Error storing "${file.filename}" of event ${eventId}:`, error.message);
+      }
+    }
+
+    console.log(`[ATTACHMENT] Stored ${files.length} attachments of event ${eventId}`);
+  }
+
+  /**
+   * Attachments of an event, without their content
+   * @param {number} eventId - Event ID
+   * @returns {Array}
+   */
+  async list(eventId) {
+    return database.query(
+      `SELECT id, field_name, filename, content_type, size, created_at
+       FROM event_attachments WHERE event_id = ? ORDER BY id`,
+      [eventId]
+    );
+  }
+
+  /**
+   * Load one attachment with its content
+   * @param {number} eventId - Event ID
+   * @param {number} attachmentId - Attachment ID
+   * @returns {Object|null}
+   */
+  async load(eventId, attachmentId) {
+    const rows = await database.query(
+      'SELECT id, filename, content_type, size, data FROM event_attachments WHERE id = ? AND event_id = ?',
+      [attachmentId, eventId]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+  }
+}
+
+// Singleton instance
+const eventAttachments = new EventAttachments();
+
+module.exports = eventAttachments;
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+
+/**
+ * Event Deduplicator
+ * Suppresses webhooks that a sender delivers more than once (e.g. GitLab retrying
+ * after a timeout). Requests are keyed on a well-known delivery ID header when the
+ * sender provides one. Matching on a hash of the raw body is opt-in
+ * (WEBHOOK_DEDUP_HASH_WINDOW), since identical notifications can be legitimate.
+ *
+ * Delivery IDs are unique per sender, so they are matched over a long window.
+ * Rate-limited events were never routed, so they are never treated as the original.
+ */
+class EventDeduplicator {
+  constructor() {
+    this.idWindow = parseInt(process.env.WEBHOOK_DEDUP_ID_WINDOW) || 86400; // seconds
+    // Body hash deduplication is off unless a window is configured
+    this.hashWindow = parseInt(process.env.WEBHOOK_DEDUP_HASH_WINDOW) || 0; // seconds
+
+    // Header -> key prefix, checked in order
+    this.idHeaders = [
+      ['X-Gitlab-Event-UUID', 'gitlab'],
+      ['X-GitHub-Delivery', 'github'],
+      ['X-Gitea-Delivery', 'gitea'],
+      ['X-Forgejo-Delivery', 'gitea'],
+      ['Idempotency-Key', 'idempotency']
+    ];
+    this.maxIdLength = 200;
+  }
+
+  /**
+   * Build the deduplication key of a request
+   * @param {Object} req - Express request object
+   * @param {Object} payload - Parsed payload (hashed when the raw body is empty)
+   * @returns {Object|null} - { key, window } or null when the request is not deduplicated
+   */
+  getKey(req, payload) {
+    for (const [header, prefix] of this.idHeaders) {
+      const value = (req.get(header) || '').trim();
+      if (value) {
+        // Keep the column bounded, overly long IDs are stored as their hash
+        const id = value.length > this.maxIdLength ? this.hash(value) : value;
+        return { key: `id:${prefix}:${id}`, window: this.idWindow };
+      }
+    }
+
+    if (this.hashWindow <= 0) {
+      return null;
+    }
+
+    const raw = req.rawBody && req.rawBody.length > 0 ? req.rawBody : JSON.stringify(payload || {});
+    return { key: `hash:${this.hash(raw)}`, window: this.hashWindow };
+  }
+
+  /**
+   * Find the original event of a duplicate request
+   * @param {number} sourceId - Source ID
+   * @param {Object} dedup - Key from getKey()
+   * @returns {number|null} - Original event ID or null when the request is new
+   */
+  async findOriginal(sourceId, dedup) {
+    if (!dedup) {
+      return null;
+    }
+
+    const rows = await database.query(
+      `SELECT id FROM events
+       WHERE source_id = ? AND dedup_key = ? AND duplicate_of IS NULL AND rate_limited = FALSE
+         AND received_at >= DATE_SUB(NOW(), INTERVAL ${parseInt(dedup.window)} SECOND)
+       ORDER BY id
+       LIMIT 1`,
+      [sourceId, dedup.key]
+    );
+
+    return rows.length > 0 ? rows[0].id : null;
+  }
+
+  /**
+   * SHA-256 hex digest
+   * @param {string|Buffer} value - Value to hash
+   * @returns {string}
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+}
+
+// Singleton instance
+const eventDeduplicator = new EventDeduplicator();
+
+module.exports = eventDeduplicator;
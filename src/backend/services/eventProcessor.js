@@ -2,9 +2,16 @@ const database = require('../config/database');
 const { CustomError } = require('../middleware/errorHandler');
 const axios = require('axios');
 const ProxmoxBackupFormatter = require('./proxmoxBackupFormatter');
+const ProxmoxFormatter = require('./proxmoxFormatter');
 const GitLabFormatter = require('./gitlabFormatter');
+const GitHubFormatter = require('./githubFormatter');
+const GiteaFormatter = require('./giteaFormatter');
 const SynologyFormatter = require('./synologyFormatter');
 const DockerUpdaterFormatter = require('./dockerUpdaterFormatter');
+const AlertmanagerFormatter = require('./alertmanagerFormatter');
+const HomeAssistantFormatter = require('./homeAssistantFormatter');
+const routeFilter = require('./routeFilter');
+const templateEngine = require('./templateEngine');
 
 /**
  * Event Processor Service
@@ -12,13 +19,22 @@ const DockerUpdaterFormatter = require('./dockerUpdaterFormatter');
  */
 class EventProcessor {
   constructor() {
-    // Configure retry settings
-    this.maxRetries = 3;
-    this.retryDelays = [1000, 5000, 15000]; // 1s, 5s, 15s
+    // Scheduled retry settings (exponential backoff with jitter)
+    this.retryBaseDelay = parseInt(process.env.DELIVERY_RETRY_BASE_DELAY) || 30; // seconds
+    this.retryMaxDelay = parseInt(process.env.DELIVERY_RETRY_MAX_DELAY) || 3600; // seconds
+    this.retryJitter = isNaN(parseFloat(process.env.DELIVERY_RETRY_JITTER)) ? 0.2 : parseFloat(process.env.DELIVERY_RETRY_JITTER);
+    this.retryMaxAge = parseInt(process.env.DELIVERY_RETRY_MAX_AGE) || 86400; // seconds, targets.retry_max_age overrides
+    // Attempt history: target response bodies are stored up to this many characters
+    this.attemptBodyLimit = parseInt(process.env.DELIVERY_ATTEMPT_BODY_LIMIT) || 2000;
     this.proxmoxBackupFormatter = new ProxmoxBackupFormatter();
+    this.proxmoxFormatter = new ProxmoxFormatter();
     this.gitlabFormatter = new GitLabFormatter();
+    this.githubFormatter = new GitHubFormatter();
+    this.giteaFormatter = new GiteaFormatter();
     this.synologyFormatter = new SynologyFormatter();
     this.dockerUpdaterFormatter = new DockerUpdaterFormatter();
+    this.alertmanagerFormatter = new AlertmanagerFormatter();
+    this.homeAssistantFormatter = new HomeAssistantFormatter();
   }
 
   /**
@@ -27,8 +43,12 @@ class EventProcessor {
    * @param {Object|number} source - Source object or source ID
    * @param {string} eventType - Event type
    * @param {Object} payload - Event payload
+   * @param {Object} options - Processing options
+   * @param {boolean} options.replay - Deliveries are created by reprocessing a stored event
+   * @param {boolean} options.inline - The caller sends the deliveries itself (deliveryQueue.waitForDeliveries), the worker is not woken
+   * @returns {Array} - Created delivery IDs with their target
    */
-  async processEvent(eventId, source, eventType, payload) {
+  async processEvent(eventId, source, eventType, payload, options = {}) {
     try {
       // Handle both source object and source ID
       const sourceId = typeof source === 'object' ? source.id : source;
@@ -36,19 +56,24 @@ class EventProcessor {
 
       console.log(`[EVENT] Processing event ${eventId} from source ${sourceId}`);
 
-      // Find active routes for this source
-      const routes = await this.findActiveRoutes(sourceId);
+      // Find active routes for this source whose filter rules accept the event
+      const activeRoutes = await this.findActiveRoutes(sourceId);
+      const routes = activeRoutes.filter(route => routeFilter.matches(route.filter_rules, eventType, payload));
+
+      if (routes.length < activeRoutes.length) {
+        console.log(`[EVENT] ${activeRoutes.length - routes.length} routes skipped by filter rules for event ${eventId}`);
+      }
 
       if (routes.length === 0) {
-        console.log(`[EVENT] No active routes found for source ${sourceId}`);
+        console.log(`[EVENT] No matching routes found for source ${sourceId}`);
         await this.markEventProcessed(eventId);
-        return;
+        return [];
       }
 
       // Create delivery entries for each route
       const deliveries = [];
       for (const route of routes) {
-        const deliveryId = await this.createDelivery(eventId, route.target_id, route, createdByUserId);
+        const deliveryId = await this.createDelivery(eventId, route.target_id, route, createdByUserId, options.replay === true);
         deliveries.push({
           deliveryId,
           route,
@@ -58,13 +83,21 @@ class EventProcessor {
         });
       }
 
-      // Process deliveries asynchronously
-      this.processDeliveries(deliveries);
+      // Hand deliveries over to the persistent queue worker
+      if (!options.inline) {
+        this.processDeliveries(deliveries);
+      }
 
       // Mark event as processed
       await this.markEventProcessed(eventId);
 
-      console.log(`[EVENT] Created ${deliveries.length} deliveries for event ${eventId}`);
+      console.log(`[EVENT] Created ${deliveries.length} deliveries for event ${eventId}${options.replay ? ' (replay)' : ''}`);
+
+      return deliveries.map(d => ({
+        deliveryId: d.deliveryId,
+        targetId: d.route.target_id,
+        targetName: d.route.target_name
+      }));
 
     } catch (error) {
       console.error(`[EVENT] Error processing event ${eventId}:`, error);
@@ -72,6 +105,78 @@ class EventProcessor {
     }
   }
 
+  /**
+   * Reprocess a stored event
+   * Re-runs the stored payload against the routes that are active now and
+   * creates fresh deliveries flagged as replays. Existing deliveries are kept.
+   * @param {Object} event - Event row (id, source_id, event_type, payload_json)
+   * @returns {Array} - Created delivery IDs with their target
+   */
+  async reprocessEvent(event) {
+    const sources = await database.query(
+      'SELECT id, name, type, visibility, team_id, created_by_user_id FROM sources WHERE id = ?',
+      [event.source_id]
+    );
+
+    if (sources.length === 0) {
+      throw new CustomError('Source of the event no longer exists', 404);
+    }
+
+    let payload = event.payload_json;
+    if (typeof payload === 'string') {
+      try { payload = JSON.parse(payload); } catch (_e) { payload = { text: payload }; }
+    }
+
+    console.log(`[EVENT] Reprocessing event ${event.id}`);
+
+    const deliveries = await this.processEvent(event.id, sources[0], event.event_type, payload, { replay: true });
+
+    await database.query(
+      'UPDATE events SET replay_count = replay_count + 1, last_replayed_at = NOW() WHERE id = ?',
+      [event.id]
+    );
+
+    return deliveries;
+  }
+
+  /**
+   * Send a system notice about a source to the targets of its active routes
+   * Notices are not events: they bypass route filters, templates and the delivery
+   * queue, a failed notice is only logged
+   * @param {Object} source - Source record
+   * @param {string} title - Notice title
+   * @param {string} message - Notice text
+   */
+  async sendSourceNotice(source, title, message) {
+    try {
+      const routes = await this.findActiveRoutes(source.id);
+      const notified = new Set();
+
+      for (const route of routes) {
+        if (notified.has(route.target_id)) continue;
+        notified.add(route.target_id);
+
+        const body = this.formatPayloadForTarget({ text: `**${title}**\n${message}` }, route.target_type);
+
+        try {
+          await axios.post(route.webhook_url, body, {
+            headers: {
+              'Content-Type': 'application/json',
+              'User-Agent': 'HookCats/1.0'
+            },
+            timeout: 10000
+          });
+        } catch (error) {
+          console.error(`[NOTICE] Failed to notify target "${route.target_name}":`, error.message);
+        }
+      }
+
+      console.log(`[NOTICE] "${title}" sent to ${notified.size} targets of source ${source.id}`);
+    } catch (error) {
+      console.error(`[NOTICE] Error sending notice for source ${source.id}:`, error.message);
+    }
+  }
+
   /**
    * Find active routes for a source with scope-aware logic
    * @param {number} sourceId - Source ID
@@ -121,6 +226,7 @@ class EventProcessor {
           r.id as route_id,
           r.target_id,
           r.message_template,
+          r.filter_rules,
           r.visibility,
           r.team_id,
           t.name as target_name,
@@ -148,9 +254,10 @@ class EventProcessor {
    * @param {number} targetId - Target ID
    * @param {Object} route - Route configuration
    * @param {number} createdByUserId - User ID who created the source
+   * @param {boolean} isReplay - Delivery comes from reprocessing a stored event
    * @returns {number} - Delivery ID
    */
-  async createDelivery(eventId, targetId, _route, _createdByUserId) {
+  async createDelivery(eventId, targetId, route, _createdByUserId, isReplay = false) {
     try {
       // Get event scope information for proper inheritance
       const eventResult = await database.query(
@@ -175,14 +282,16 @@ class EventProcessor {
         INSERT INTO deliveries (
           event_id,
           target_id,
+          route_id,
+          is_replay,
           status,
           attempts,
           visibility,
           team_id,
           created_by_user_id,
           created_at
-        ) VALUES (?, ?, 'pending', 0, ?, ?, ?, NOW())
-      `, [eventId, targetId, deliveryVisibility, deliveryTeamId, deliveryCreatedBy]);
+        ) VALUES (?, ?, ?, ?, 'pending', 0, ?, ?, ?, NOW())
+      `, [eventId, targetId, route?.route_id || null, isReplay, deliveryVisibility, deliveryTeamId, deliveryCreatedBy]);
 
       return result.insertId;
     } catch (error) {
@@ -193,27 +302,25 @@ class EventProcessor {
 
   /**
    * Process deliveries asynchronously
+   * The rows are already stored as 'pending', so the queue worker picks them up
+   * even if this process stops before they are sent
    * @param {Array} deliveries - Array of delivery objects
    */
-  async processDeliveries(deliveries) {
-    // Process deliveries without blocking the webhook response
-    setImmediate(async () => {
-      for (const delivery of deliveries) {
-        try {
-          await this.executeDelivery(delivery);
-        } catch (error) {
-          console.error(`[DELIVERY] Error processing delivery ${delivery.deliveryId}:`, error);
-        }
-      }
-    });
+  processDeliveries(deliveries) {
+    if (deliveries.length === 0) return;
+
+    // Lazy require: the queue itself depends on EventProcessor
+    require('./deliveryQueue').wake();
   }
 
   /**
    * Execute a single delivery
    * @param {Object} delivery - Delivery object
+   * @returns {Object} - { success, status, body, responseStatus, error }
    */
   async executeDelivery(delivery) {
     const { deliveryId, route, eventId, eventType, payload } = delivery;
+    let body = null;
 
     try {
       console.log(`[DELIVERY] Executing delivery ${deliveryId} to ${route.target_name}`);
@@ -229,17 +336,20 @@ class EventProcessor {
       // Transform payload using message template or formatter
       const transformedPayload = this.transformPayload(payload, route.message_template, eventType, sourceType, sourceName);
 
-      // Send to target with retry logic
-      await this.sendToTarget(route, transformedPayload, deliveryId);
+      // Format for the target type and send (a single attempt, failures are rescheduled)
+      body = this.formatPayloadForTarget(transformedPayload, route.target_type);
+      const responseStatus = await this.sendToTarget(route, body, deliveryId);
 
       // Mark delivery as successful
       await this.updateDeliveryStatus(deliveryId, 'sent', null);
 
       console.log(`[DELIVERY] Successfully delivered ${deliveryId}`);
+      return { success: true, status: 'sent', body, responseStatus, error: null };
 
     } catch (error) {
-      console.error(`[DELIVERY] Failed to deliver ${deliveryId}:`, error);
-      await this.handleDeliveryFailure(deliveryId, error.message);
+      console.error(`[DELIVERY] Failed to deliver ${deliveryId}:`, error.message);
+      const status = await this.handleDeliveryFailure(deliveryId, error.message, error);
+      return { success: false, status, body, responseStatus: error.response?.status || null, error: error.message };
     }
   }
 
@@ -272,6 +382,18 @@ class EventProcessor {
         return this.gitlabFormatter.createGitLabMessage(payload);
       }
 
+      // Special handling for GitHub - use dedicated formatter (event name is the event type)
+      if (sourceType === 'github') {
+        console.log('[TRANSFORM] Using GitHub formatter');
+        return this.githubFormatter.createGitHubMessage(payload, eventType);
+      }
+
+      // Special handling for Gitea / Forgejo - use dedicated formatter (event name is the event type)
+      if (sourceType === 'gitea') {
+        console.log('[TRANSFORM] Using Gitea formatter');
+        return this.giteaFormatter.createGiteaMessage(payload, eventType);
+      }
+
       // Special handling for Synology DSM - use dedicated formatter
       if (sourceType === 'synology') {
         console.log('[TRANSFORM] Using Synology formatter');
@@ -296,6 +418,24 @@ class EventProcessor {
         return this.createUptimeKumaMessage(payload, eventType);
       }
 
+      // Special handling for Alertmanager / Grafana alerting - grouped alerts
+      if (sourceType === 'alertmanager') {
+        console.log('[TRANSFORM] Using Alertmanager formatter');
+        return this.alertmanagerFormatter.createAlertmanagerMessage(payload);
+      }
+
+      // Proxmox VE notifications keep route templates working, the formatter replaces the default text
+      if (sourceType === 'proxmox' && !template) {
+        console.log('[TRANSFORM] Using Proxmox VE formatter');
+        return this.proxmoxFormatter.createProxmoxMessage(payload);
+      }
+
+      // Home Assistant payloads are user-defined, a route template (e.g. the preset) wins over the formatter
+      if (sourceType === 'home-assistant' && !template) {
+        console.log('[TRANSFORM] Using Home Assistant formatter');
+        return this.homeAssistantFormatter.createHomeAssistantMessage(payload);
+      }
+
       if (!template) {
         // Default template - pass through with some metadata
         return {
@@ -305,29 +445,7 @@ class EventProcessor {
         };
       }
 
-      // Simple template substitution
-      let message = template;
-
-      // Replace placeholders
-      message = message.replace(/\{\{eventType\}\}/g, eventType);
-      message = message.replace(/\{\{timestamp\}\}/g, new Date().toISOString());
-
-      // Replace payload fields
-      const replacePayloadFields = (text, obj, prefix = '') => {
-        for (const [key, value] of Object.entries(obj)) {
-          const placeholder = `{{${prefix}${key}}}`;
-          if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-            text = replacePayloadFields(text, value, `${prefix}${key}.`);
-          } else {
-            // Escape special regex characters except {}
-            const escapedPlaceholder = placeholder.replace(/[.*+?^$()[\]\\]/g, '\\$&');
-            text = text.replace(new RegExp(escapedPlaceholder, 'g'), String(value || ''));
-          }
-        }
-        return text;
-      };
-
-      message = replacePayloadFields(message, payload);
+      const message = templateEngine.render(template, this.buildTemplateContext(payload, eventType, sourceName));
 
       return {
         text: message,
@@ -344,6 +462,67 @@ class EventProcessor {
     }
   }
 
+  /**
+   * Build the values a route message template can read
+   * Payload fields are at the top level, plus event metadata
+   * (eventType and timestamp take precedence over payload fields, as before)
+   * @param {Object} payload - Event payload
+   * @param {string} eventType - Event type
+   * @param {string} sourceName - Source name
+   * @returns {Object} - Template context
+   */
+  buildTemplateContext(payload, eventType, sourceName = null) {
+    return {
+      event_type: eventType,
+      source_name: sourceName,
+      payload,
+      payload_json: JSON.stringify(payload, null, 2),
+      ...(payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : {}),
+      eventType,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check whether a source type has a dedicated formatter (route templates are not applied)
+   * @param {string} sourceType - Source type
+   * @returns {boolean}
+   */
+  usesDedicatedFormatter(sourceType) {
+    return ['proxmox_backup', 'gitlab', 'github', 'gitea', 'synology', 'docker_updater', 'media-webhook', 'uptime-kuma', 'alertmanager'].includes(sourceType);
+  }
+
+  /**
+   * Render a delivery without sending it (route preview / dry-run)
+   * Runs the same transformPayload + formatPayloadForTarget pipeline as a real delivery
+   * @param {Object} options - Preview input
+   * @param {Object} options.payload - Event payload
+   * @param {string} options.eventType - Event type
+   * @param {string} options.template - Route message template
+   * @param {string} options.sourceType - Source type
+   * @param {string} options.sourceName - Source name
+   * @param {string} options.targetType - Target type
+   * @returns {Object} - { message, body, templateError, usesFormatter }
+   */
+  previewDelivery({ payload, eventType, template, sourceType, sourceName, targetType }) {
+    const usesFormatter = this.usesDedicatedFormatter(sourceType);
+    let templateError = null;
+
+    // transformPayload falls back to a generic message on template errors, report the reason
+    if (template && !usesFormatter) {
+      try {
+        templateEngine.render(template, this.buildTemplateContext(payload, eventType, sourceName));
+      } catch (error) {
+        templateError = error.message;
+      }
+    }
+
+    const message = this.transformPayload(payload, template, eventType, sourceType, sourceName);
+    const body = this.formatPayloadForTarget(message, targetType);
+
+    return { message, body, templateError, usesFormatter };
+  }
+
   /**
    * Format payload for specific target type
    * @param {Object} payload - Transformed payload from formatter
@@ -425,53 +604,106 @@ class EventProcessor {
   }
 
   /**
-   * Send payload to target with retry logic
+   * Send payload to target (single attempt)
+   * Retries are scheduled by handleDeliveryFailure and picked up by the delivery queue
    * @param {Object} route - Route configuration
-   * @param {Object} payload - Transformed payload
+   * @param {Object} formattedPayload - Payload already formatted for the target type
    * @param {number} deliveryId - Delivery ID
+   * @returns {number} - HTTP status of the target response
    */
-  async sendToTarget(route, payload, deliveryId) {
-    let lastError = null;
+  async sendToTarget(route, formattedPayload, deliveryId) {
+    // Increment attempt counter
+    await this.incrementDeliveryAttempt(deliveryId);
 
-    // Format payload for target type
-    const formattedPayload = this.formatPayloadForTarget(payload, route.target_type);
+    const startedAt = Date.now();
 
-    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
-      try {
-        console.log(`[DELIVERY] Attempt ${attempt + 1}/${this.maxRetries} for delivery ${deliveryId}`);
-
-        // Increment attempt counter
-        await this.incrementDeliveryAttempt(deliveryId);
-
-        const response = await axios.post(route.webhook_url, formattedPayload, {
-          headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'HookCats/1.0'
-          },
-          timeout: 10000, // 10 second timeout
-          validateStatus: (status) => status >= 200 && status < 300
-        });
+    try {
+      const response = await axios.post(route.webhook_url, formattedPayload, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'HookCats/1.0'
+        },
+        timeout: 10000, // 10 second timeout
+        validateStatus: (status) => status >= 200 && status < 300
+      });
 
-        // Success - no need to retry
-        console.log(`[DELIVERY] Successfully sent to ${route.webhook_url}, status: ${response.status}`);
-        return;
+      await this.recordAttempt(deliveryId, Date.now() - startedAt, response, null);
 
-      } catch (error) {
-        lastError = error;
-        const errorMsg = error.response
-          ? `HTTP ${error.response.status}: ${error.response.statusText}`
-          : error.message;
-        console.log(`[DELIVERY] Attempt ${attempt + 1} failed for delivery ${deliveryId}:`, errorMsg);
-
-        // Wait before retrying (except on last attempt)
-        if (attempt < this.maxRetries - 1) {
-          await this.sleep(this.retryDelays[attempt]);
+      console.log(`[DELIVERY] Successfully sent to ${route.webhook_url}, status: ${response.status}`);
+      return response.status;
+    } catch (error) {
+      await this.recordAttempt(deliveryId, Date.now() - startedAt, error.response, error);
+
+      const errorMsg = error.response
+        ? `HTTP ${error.response.status}: ${error.response.statusText}`
+        : error.message;
+      console.log(`[DELIVERY] Attempt failed for delivery ${deliveryId}:`, errorMsg);
+      throw error;
+    }
+  }
+
+  /**
+   * Store one row of attempt history for a delivery
+   * @param {number} deliveryId - Delivery ID
+   * @param {number} durationMs - Time until the target responded or the request failed
+   * @param {Object|null} response - Axios response (if the target answered)
+   * @param {Error|null} error - Error of a failed attempt
+   */
+  async recordAttempt(deliveryId, durationMs, response, error) {
+    try {
+      let headers = null;
+      if (response && response.headers) {
+        const plain = typeof response.headers.toJSON === 'function' ? response.headers.toJSON() : { ...response.headers };
+        delete plain['set-cookie'];
+        headers = JSON.stringify(plain);
+      }
+
+      let body = null;
+      if (response && response.data !== undefined && response.data !== '') {
+        body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+        if (body.length > this.attemptBodyLimit) {
+          body = body.substring(0, this.attemptBodyLimit) + '… [truncated]';
         }
       }
+
+      // attempt_number follows the counter incremented right before the send
+      await database.query(`
+        INSERT INTO delivery_attempts
+          (delivery_id, attempt_number, response_status, duration_ms, response_headers, response_body, error_class, error_message)
+        SELECT id, attempts, ?, ?, ?, ?, ?, ?
+        FROM deliveries WHERE id = ?
+      `, [
+        response ? response.status : null,
+        durationMs,
+        headers,
+        body,
+        error ? this.classifyError(error) : null,
+        error ? error.message : null,
+        deliveryId
+      ]);
+    } catch (dbError) {
+      console.error('[DELIVERY] Error recording attempt:', dbError.message);
     }
+  }
 
-    // All attempts failed
-    throw lastError;
+  /**
+   * Classify a failed attempt for the attempt history
+   * @param {Error} error - Axios error
+   * @returns {string} - timeout, connection, rate_limited, client_error, server_error or unknown
+   */
+  classifyError(error) {
+    const status = error.response?.status;
+
+    if (status === 429) return 'rate_limited';
+    if (status >= 500) return 'server_error';
+    if (status >= 300) return 'client_error';
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'timeout';
+    if (['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'].includes(error.code)) {
+      return 'connection';
+    }
+
+    return 'unknown';
   }
 
   /**
@@ -486,7 +718,7 @@ class EventProcessor {
 
       await database.query(`
         UPDATE deliveries
-        SET status = ?, last_error = ?, sent_at = ${sentAt}
+        SET status = ?, last_error = ?, sent_at = ${sentAt}, next_attempt_at = NULL, locked_by = NULL, locked_at = NULL
         WHERE id = ?
       `, [status, error, deliveryId]);
 
@@ -512,11 +744,109 @@ class EventProcessor {
 
   /**
    * Handle delivery failure
+   * Schedules another attempt (status 'retry') while the error is transient and the
+   * delivery is younger than the target's max age, otherwise marks it failed
    * @param {number} deliveryId - Delivery ID
    * @param {string} errorMessage - Error message
+   * @param {Error} error - Original error (axios error with response, if any)
+   * @returns {string} - New delivery status ('retry' or 'failed')
    */
-  async handleDeliveryFailure(deliveryId, errorMessage) {
-    await this.updateDeliveryStatus(deliveryId, 'failed', errorMessage);
+  async handleDeliveryFailure(deliveryId, errorMessage, error = null) {
+    try {
+      const rows = await database.query(`
+        SELECT d.attempts, TIMESTAMPDIFF(SECOND, d.created_at, NOW()) as age_seconds, t.retry_max_age
+        FROM deliveries d
+        INNER JOIN targets t ON d.target_id = t.id
+        WHERE d.id = ?
+      `, [deliveryId]);
+
+      if (rows.length === 0) {
+        return 'failed';
+      }
+
+      const { attempts, age_seconds, retry_max_age } = rows[0];
+      const maxAge = retry_max_age !== null && retry_max_age !== undefined ? retry_max_age : this.retryMaxAge;
+      const delay = this.getRetryDelay(attempts, error);
+
+      if (!this.isRetryableError(error)) {
+        console.log(`[DELIVERY] Delivery ${deliveryId} failed with a permanent error, not retrying`);
+        await this.updateDeliveryStatus(deliveryId, 'failed', errorMessage);
+        return 'failed';
+      }
+
+      if (age_seconds + delay > maxAge) {
+        console.log(`[DELIVERY] Delivery ${deliveryId} exceeded max age (${maxAge}s) after ${attempts} attempts`);
+        await this.updateDeliveryStatus(deliveryId, 'failed', errorMessage);
+        return 'failed';
+      }
+
+      await this.scheduleRetry(deliveryId, delay, errorMessage);
+      console.log(`[DELIVERY] Delivery ${deliveryId} scheduled for retry in ${delay}s (attempt ${attempts})`);
+      return 'retry';
+    } catch (dbError) {
+      console.error('[DELIVERY] Error scheduling retry:', dbError);
+      await this.updateDeliveryStatus(deliveryId, 'failed', errorMessage);
+      return 'failed';
+    }
+  }
+
+  /**
+   * Put a delivery back into the queue with a next-attempt timestamp
+   * @param {number} deliveryId - Delivery ID
+   * @param {number} delaySeconds - Seconds until the next attempt
+   * @param {string} errorMessage - Error message of the failed attempt
+   */
+  async scheduleRetry(deliveryId, delaySeconds, errorMessage) {
+    await database.query(`
+      UPDATE deliveries
+      SET status = 'retry', last_error = ?, next_attempt_at = DATE_ADD(NOW(), INTERVAL ? SECOND),
+          locked_by = NULL, locked_at = NULL
+      WHERE id = ?
+    `, [errorMessage, delaySeconds, deliveryId]);
+  }
+
+  /**
+   * Calculate the backoff delay before the next attempt
+   * Exponential (base * 2^(attempts-1)) capped at the max delay, with +/- jitter.
+   * A Retry-After header from the target is honoured when it asks for a longer wait.
+   * @param {number} attempts - Attempts made so far
+   * @param {Error} error - Error of the last attempt
+   * @returns {number} - Delay in seconds
+   */
+  getRetryDelay(attempts, error = null) {
+    const exponent = Math.max(0, (attempts || 1) - 1);
+    let delay = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, exponent));
+
+    if (this.retryJitter > 0) {
+      delay = delay * (1 - this.retryJitter + Math.random() * this.retryJitter * 2);
+    }
+
+    const retryAfter = error?.response?.headers?.['retry-after'];
+    if (retryAfter) {
+      const seconds = /^\d+$/.test(retryAfter)
+        ? parseInt(retryAfter)
+        : Math.ceil((new Date(retryAfter).getTime() - Date.now()) / 1000);
+      if (seconds > delay) {
+        delay = seconds;
+      }
+    }
+
+    return Math.max(1, Math.round(Math.min(this.retryMaxDelay, delay)));
+  }
+
+  /**
+   * Decide whether a failed attempt is worth retrying
+   * Network errors, timeouts, 5xx, 408 and 429 are transient; other 4xx responses are not
+   * @param {Error} error - Error of the last attempt
+   * @returns {boolean}
+   */
+  isRetryableError(error) {
+    if (!error || !error.response) {
+      return true;
+    }
+
+    const status = error.response.status;
+    return status >= 500 || status === 408 || status === 429;
   }
 
   /**
@@ -689,14 +1019,6 @@ class EventProcessor {
       console.error('[EVENT] Error marking event as processed:', error);
     }
   }
-
-  /**
-   * Sleep utility
-   * @param {number} ms - Milliseconds to sleep
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
 }
 
 module.exports = EventProcessor;
\ No newline at end of file
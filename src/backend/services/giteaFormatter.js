@@ -0,0 +1,277 @@
+/**
+ * Gitea / Forgejo Webhook Event Formatter
+ * Handles push, pull_request, release, issues and Actions run events
+ * (the event name comes from the X-Gitea-Event / X-Forgejo-Event header, stored as the event type)
+ */
+
+class GiteaFormatter {
+  /**
+   * Main Gitea/Forgejo message formatter
+   * @param {Object} eventData - Gitea/Forgejo webhook payload
+   * @param {string} eventType - Event name (X-Gitea-Event / X-Forgejo-Event)
+   * @returns {Object} Formatted message
+   */
+  createGiteaMessage(eventData, eventType) {
+    switch (eventType) {
+      case 'push':
+        return this._formatPushEvent(eventData);
+      case 'pull_request':
+        return this._formatPullRequestEvent(eventData);
+      case 'release':
+        return this._formatReleaseEvent(eventData);
+      case 'issues':
+        return this._formatIssueEvent(eventData);
+      case 'workflow_run':
+      case 'action_run':
+      case 'action_run_failure':
+      case 'action_run_recover':
+      case 'action_run_success':
+        return this._formatActionRunEvent(eventData);
+      default:
+        return this._formatGenericEvent(eventData, eventType);
+    }
+  }
+
+  /**
+   * Format push event
+   */
+  _formatPushEvent(eventData) {
+    const repository = eventData.repository || {};
+    const ref = eventData.ref || '';
+    const isTag = ref.startsWith('refs/tags/');
+    const refName = ref.replace(/^refs\/(heads|tags)\//, '');
+    const commits = eventData.commits || [];
+    const headCommit = eventData.head_commit || commits[0];
+    const pusher = eventData.pusher?.login || eventData.pusher?.username || eventData.sender?.login;
+
+    let message = `⬆️ **Push esemény**\n\n`;
+    message += `**Repository:** ${repository.full_name || 'Ismeretlen'}\n`;
+    if (refName) message += `**${isTag ? 'Tag' : 'Branch'}:** \`${refName}\`\n`;
+    if (eventData.after) message += `**Commit:** ${eventData.after.substring(0, 8)}\n`;
+    if (headCommit?.message) message += `**Commit üzenet:** ${headCommit.message.trim().split('\n')[0]}\n`;
+    if (headCommit?.author?.name) message += `**Commit szerző:** ${headCommit.author.name}\n`;
+    if (pusher) message += `**Indította:** ${pusher}\n`;
+    if (eventData.total_commits || commits.length) message += `**Commit-ok száma:** ${eventData.total_commits || commits.length}\n`;
+
+    if (commits.length > 1) {
+      message += `**Commit-ok:**\n`;
+      commits.slice(0, 5).forEach(commit => {
+        message += `• \`${(commit.id || '').substring(0, 8)}\` ${(commit.message || '').trim().split('\n')[0]}\n`;
+      });
+      if (commits.length > 5) {
+        message += `• ... és még ${commits.length - 5} commit\n`;
+      }
+    }
+
+    if (eventData.compare_url) message += `**URL:** ${eventData.compare_url}\n`;
+
+    return {
+      title: 'Push esemény',
+      message: message,
+      severity: 'info',
+      status: 'pushed',
+      repository: repository.full_name,
+      branch: isTag ? null : refName,
+      tag: isTag ? refName : null,
+      commit: eventData.after,
+      commits_count: eventData.total_commits || commits.length
+    };
+  }
+
+  /**
+   * Format pull request event
+   */
+  _formatPullRequestEvent(eventData) {
+    const repository = eventData.repository || {};
+    const pr = eventData.pull_request || {};
+    const sender = eventData.sender || {};
+
+    // "closed" with merged=true is a merge
+    const action = eventData.action === 'closed' && pr.merged ? 'merged' : eventData.action;
+    const icons = { opened: '🆕', reopened: '🔁', closed: '🚫', merged: '✅', reviewed: '👀', review_requested: '👀' };
+    const icon = icons[action] || '🔀';
+    const number = eventData.number || pr.number;
+
+    let message = `${icon} **Pull Request esemény**\n\n`;
+    message += `**Repository:** ${repository.full_name || 'Ismeretlen'}\n`;
+    if (number) message += `**PR:** #${number}\n`;
+    if (pr.title) message += `**Cím:** ${pr.title}\n`;
+    if (action) message += `**Művelet:** ${action}\n`;
+    if (pr.head?.ref && pr.base?.ref) {
+      message += `**Branch:** \`${pr.head.ref}\` → \`${pr.base.ref}\`\n`;
+    }
+    if (pr.user?.login) message += `**Szerző:** ${pr.user.login}\n`;
+    if (sender.login && sender.login !== pr.user?.login) message += `**Indította:** ${sender.login}\n`;
+    if (action === 'merged' && pr.merged_by?.login) message += `**Merge-elte:** ${pr.merged_by.login}\n`;
+    if (pr.html_url) message += `**URL:** ${pr.html_url}\n`;
+
+    return {
+      title: `Pull Request #${number}`,
+      message: message,
+      severity: 'info',
+      status: action,
+      repository: repository.full_name,
+      pr_id: number,
+      source_branch: pr.head?.ref,
+      target_branch: pr.base?.ref,
+      url: pr.html_url
+    };
+  }
+
+  /**
+   * Format release event
+   */
+  _formatReleaseEvent(eventData) {
+    const repository = eventData.repository || {};
+    const release = eventData.release || {};
+
+    let message = `🏷️ **Release esemény**\n\n`;
+    message += `**Repository:** ${repository.full_name || 'Ismeretlen'}\n`;
+    if (release.tag_name) message += `**Tag:** \`${release.tag_name}\`\n`;
+    if (release.name && release.name !== release.tag_name) message += `**Név:** ${release.name}\n`;
+    if (eventData.action) {
+      const flags = [release.prerelease && 'pre-release', release.draft && 'draft'].filter(Boolean);
+      message += `**Művelet:** ${eventData.action}${flags.length ? ` (${flags.join(', ')})` : ''}\n`;
+    }
+    if (release.author?.login) message += `**Szerző:** ${release.author.login}\n`;
+    if (release.body) message += `**Leírás:** ${release.body.trim().substring(0, 200)}...\n`;
+    if (release.html_url) message += `**URL:** ${release.html_url}\n`;
+
+    return {
+      title: `Release ${release.tag_name || ''}`.trim(),
+      message: message,
+      severity: 'info',
+      status: eventData.action,
+      repository: repository.full_name,
+      tag: release.tag_name,
+      url: release.html_url
+    };
+  }
+
+  /**
+   * Format issues event
+   */
+  _formatIssueEvent(eventData) {
+    const repository = eventData.repository || {};
+    const issue = eventData.issue || {};
+    const sender = eventData.sender || {};
+    const labels = (issue.labels || []).map(label => label.name).filter(Boolean);
+
+    let message = `❗ **Issue esemény**\n\n`;
+    message += `**Repository:** ${repository.full_name || 'Ismeretlen'}\n`;
+    if (issue.number) message += `**Issue:** #${issue.number}\n`;
+    if (issue.title) message += `**Cím:** ${issue.title}\n`;
+    if (eventData.action) message += `**Művelet:** ${eventData.action}\n`;
+    if (labels.length) message += `**Címkék:** ${labels.join(', ')}\n`;
+    if (sender.login) message += `**Indította:** ${sender.login}\n`;
+    if (eventData.action === 'opened' && issue.body) message += `**Leírás:** ${issue.body.trim().substring(0, 200)}...\n`;
+    if (issue.html_url) message += `**URL:** ${issue.html_url}\n`;
+
+    return {
+      title: `Issue #${issue.number}`,
+      message: message,
+      severity: 'info',
+      status: eventData.action,
+      repository: repository.full_name,
+      issue_id: issue.number,
+      url: issue.html_url
+    };
+  }
+
+  /**
+   * Format Actions run event
+   * Gitea sends workflow_run (GitHub-compatible), Forgejo sends action_run with a "run" object
+   */
+  _formatActionRunEvent(eventData) {
+    const repository = eventData.repository || eventData.repo || {};
+    const workflowRun = eventData.workflow_run;
+    const run = workflowRun || eventData.run || {};
+
+    const result = workflowRun
+      ? (run.status === 'completed' ? run.conclusion : run.status)
+      : (run.status || eventData.action);
+    const { icon, text } = this._describeResult(result);
+
+    const name = run.name || run.title || run.workflow_id;
+    const runNumber = run.run_number || run.index;
+    const branch = run.head_branch || run.prettyref;
+    const commit = run.head_sha || run.commit_sha;
+    const actor = run.actor?.login || run.trigger_user?.login || eventData.sender?.login;
+
+    let message = `${icon} **Actions esemény**\n\n`;
+    message += `**Státusz:** ${text}\n`;
+    if (eventData.action === 'recover' && eventData.prior_status) {
+      message += `**Előző státusz:** ${eventData.prior_status}\n`;
+    }
+    message += `**Repository:** ${repository.full_name || 'Ismeretlen'}\n`;
+    if (name) message += `**Workflow:** ${name}${runNumber ? ` #${runNumber}` : ''}\n`;
+    if (branch) message += `**Branch:** \`${branch}\`\n`;
+    if (commit) message += `**Commit:** ${commit.substring(0, 8)}\n`;
+    if (run.event) message += `**Trigger:** ${run.event}\n`;
+    if (actor) message += `**Indította:** ${actor}\n`;
+    if (run.html_url) message += `**URL:** ${run.html_url}\n`;
+
+    return {
+      title: `Actions ${text}`,
+      message: message,
+      severity: result === 'failure' ? 'error' : result === 'success' ? 'info' : 'warning',
+      status: result,
+      repository: repository.full_name,
+      branch: branch,
+      commit: commit,
+      workflow: name,
+      run_id: run.id,
+      url: run.html_url
+    };
+  }
+
+  /**
+   * Format generic/unknown event
+   */
+  _formatGenericEvent(eventData, eventType) {
+    const repository = eventData.repository || {};
+
+    let message = `ℹ️ **Gitea/Forgejo esemény**\n\n`;
+    message += `**Típus:** ${eventType || 'unknown'}${eventData.action ? ` (${eventData.action})` : ''}\n`;
+    message += `**Repository:** ${repository.full_name || 'Ismeretlen'}\n`;
+    if (eventData.sender?.login) message += `**Indította:** ${eventData.sender.login}\n`;
+    message += `**Raw data:** ${JSON.stringify(eventData, null, 2).substring(0, 500)}...\n`;
+
+    return {
+      title: `Gitea ${eventType || 'unknown'}`,
+      message: message,
+      severity: 'info',
+      status: 'generic',
+      repository: repository.full_name
+    };
+  }
+
+  /**
+   * Icon and text for an Actions run result (conclusion or status)
+   */
+  _describeResult(result) {
+    switch (result) {
+      case 'success':
+        return { icon: '✅', text: 'Sikeres' };
+      case 'recover':
+        return { icon: '✅', text: 'Helyreállt' };
+      case 'failure':
+        return { icon: '❌', text: 'Sikertelen' };
+      case 'cancelled':
+        return { icon: '🚫', text: 'Megszakítva' };
+      case 'skipped':
+        return { icon: '⚪', text: 'Kihagyva' };
+      case 'running':
+      case 'in_progress':
+        return { icon: '🏃', text: 'Fut' };
+      case 'waiting':
+      case 'queued':
+      case 'blocked':
+        return { icon: '⏳', text: 'Várakozik' };
+      default:
+        return { icon: '❓', text: result || 'Ismeretlen' };
+    }
+  }
+}
+
+module.exports = GiteaFormatter;
@@ -0,0 +1,336 @@
+/**
+ * GitHub Webhook Event Formatter
+ * Handles push, pull_request, workflow_run, release, issues, check_suite and ping events
+ * (the event name comes from the X-GitHub-Event header, stored as the event type)
+ */
+
+class GitHubFormatter {
+  /**
+   * Main GitHub message formatter
+   * @param {Object} eventData - GitHub webhook payload
+   * @param {string} eventType - GitHub event name (X-GitHub-Event)
+   * @returns {Object} Formatted message
+   */
+  createGitHubMessage(eventData, eventType) {
+    switch (eventType) {
+      case 'ping':
+        return this._formatPingEvent(eventData);
+      case 'push':
+        return this._formatPushEvent(eventData);
+      case 'pull_request':
+        return this._formatPullRequestEvent(eventData);
+      case 'workflow_run':
+        return this._formatWorkflowRunEvent(eventData);
+      case 'release':
+        return this._formatReleaseEvent(eventData);
+      case 'issues':
+        return this._formatIssueEvent(eventData);
+      case 'check_suite':
+        return this._formatCheckSuiteEvent(eventData);
+      default:
+        return this._formatGenericEvent(eventData, eventType);
+    }
+  }
+
+  /**
+   * Format ping event (sent once when the webhook is created)
+   */
+  _formatPingEvent(eventData) {
+    const repository = eventData.repository || {};
+    const hook = eventData.hook || {};
+    const events = hook.events || [];
+
+    let message = `🏓 **GitHub webhook kapcsolódott**\n\n`;
+    if (repository.full_name) message += `**Repository:** ${repository.full_name}\n`;
+    if (eventData.hook_id) message += `**Hook ID:** ${eventData.hook_id}\n`;
+    if (events.length) message += `**Események:** ${events.join(', ')}\n`;
+    if (eventData.zen) message += `**Zen:** _${eventData.zen}_\n`;
+
+    return {
+      title: 'GitHub ping',
+      message: message,
+      severity: 'info',
+      status: 'ping',
+      repository: repository.full_name,
+      hook_id: eventData.hook_id
+    };
+  }
+
+  /**
+   * Format push event
+   */
+  _formatPushEvent(eventData) {
+    const repository = eventData.repository || {};
+    const ref = eventData.ref || '';
+    const isTag = ref.startsWith('refs/tags/');
+    const refName = ref.replace(/^refs\/(heads|tags)\//, '');
+    const commits = eventData.commits || [];
+    const headCommit = eventData.head_commit || commits[commits.length - 1];
+    const pusher = eventData.pusher?.name || eventData.sender?.login;
+
+    let action = 'Push esemény';
+    if (eventData.deleted) {
+      action = isTag ? 'Tag törölve' : 'Branch törölve';
+    } else if (eventData.created && isTag) {
+      action = 'Új tag';
+    } else if (eventData.created) {
+      action = 'Új branch';
+    } else if (eventData.forced) {
+      action = 'Force push';
+    }
+
+    let message = `⬆️ **${action}**\n\n`;
+    message += `**Repository:** ${repository.full_name || 'Ismeretlen'}\n`;
+    if (refName) message += `**${isTag ? 'Tag' : 'Branch'}:** \`${refName}\`\n`;
+    if (eventData.after && !eventData.deleted) message += `**Commit:** ${eventData.after.substring(0, 8)}\n`;
+    if (headCommit?.message) message += `**Commit üzenet:** ${headCommit.message.trim().split('\n')[0]}\n`;
+    if (headCommit?.author?.name) message += `**Commit szerző:** ${headCommit.author.name}\n`;
+    if (pusher) message += `**Indította:** ${pusher}\n`;
+    if (commits.length) message += `**Commit-ok száma:** ${commits.length}\n`;
+
+    if (commits.length > 1) {
+      message += `**Commit-ok:**\n`;
+      commits.slice(0, 5).forEach(commit => {
+        message += `• \`${(commit.id || '').substring(0, 8)}\` ${(commit.message || '').trim().split('\n')[0]}\n`;
+      });
+      if (commits.length > 5) {
+        message += `• ... és még ${commits.length - 5} commit\n`;
+      }
+    }
+
+    if (eventData.compare) message += `**URL:** ${eventData.compare}\n`;
+
+    return {
+      title: action,
+      message: message,
+      severity: eventData.forced ? 'warning' : 'info',
+      status: eventData.deleted ? 'deleted' : 'pushed',
+      repository: repository.full_name,
+      branch: isTag ? null : refName,
+      tag: isTag ? refName : null,
+      commit: eventData.after,
+      commits_count: commits.length
+    };
+  }
+
+  /**
+   * Format pull request event
+   */
+  _formatPullRequestEvent(eventData) {
+    const repository = eventData.repository || {};
+    const pr = eventData.pull_request || {};
+    const sender = eventData.sender || {};
+
+    // "closed" with merged=true is a merge
+    const action = eventData.action === 'closed' && pr.merged ? 'merged' : eventData.action;
+    const icons = { opened: '🆕', reopened: '🔁', closed: '🚫', merged: '✅', ready_for_review: '👀', review_requested: '👀' };
+    const icon = icons[action] || '🔀';
+
+    let message = `${icon} **Pull Request esemény**\n\n`;
+    message += `**Repository:** ${repository.full_name || 'Ismeretlen'}\n`;
+    if (eventData.number) message += `**PR:** #${eventData.number}\n`;
+    if (pr.title) message += `**Cím:** ${pr.title}\n`;
+    if (action) message += `**Művelet:** ${action}${pr.draft ? ' (draft)' : ''}\n`;
+    if (pr.head?.ref && pr.base?.ref) {
+      message += `**Branch:** \`${pr.head.ref}\` → \`${pr.base.ref}\`\n`;
+    }
+    if (pr.user?.login) message += `**Szerző:** ${pr.user.login}\n`;
+    if (sender.login && sender.login !== pr.user?.login) message += `**Indította:** ${sender.login}\n`;
+    if (action === 'merged' && pr.merged_by?.login) message += `**Merge-elte:** ${pr.merged_by.login}\n`;
+    if (pr.html_url) message += `**URL:** ${pr.html_url}\n`;
+
+    return {
+      title: `Pull Request #${eventData.number}`,
+      message: message,
+      severity: 'info',
+      status: action,
+      repository: repository.full_name,
+      pr_id: eventData.number,
+      source_branch: pr.head?.ref,
+      target_branch: pr.base?.ref,
+      url: pr.html_url
+    };
+  }
+
+  /**
+   * Format workflow run event (GitHub Actions)
+   */
+  _formatWorkflowRunEvent(eventData) {
+    const repository = eventData.repository || {};
+    const run = eventData.workflow_run || {};
+    const { icon, text } = this._describeRun(run.status, run.conclusion);
+
+    let message = `${icon} **Workflow esemény**\n\n`;
+    message += `**Státusz:** ${text}\n`;
+    message += `**Repository:** ${repository.full_name || 'Ismeretlen'}\n`;
+    if (run.name) message += `**Workflow:** ${run.name}${run.run_number ? ` #${run.run_number}` : ''}\n`;
+    if (run.head_branch) message += `**Branch:** \`${run.head_branch}\`\n`;
+    if (run.head_sha) message += `**Commit:** ${run.head_sha.substring(0, 8)}\n`;
+    if (run.head_commit?.message) message += `**Commit üzenet:** ${run.head_commit.message.trim().split('\n')[0]}\n`;
+    if (run.event) message += `**Trigger:** ${run.event}\n`;
+    if (run.actor?.login) message += `**Indította:** ${run.actor.login}\n`;
+    if (run.html_url) message += `**URL:** ${run.html_url}\n`;
+
+    return {
+      title: `Workflow ${text}`,
+      message: message,
+      severity: this._severityFor(run.conclusion),
+      status: run.conclusion || run.status,
+      repository: repository.full_name,
+      branch: run.head_branch,
+      commit: run.head_sha,
+      workflow: run.name,
+      run_id: run.id,
+      url: run.html_url
+    };
+  }
+
+  /**
+   * Format release event
+   */
+  _formatReleaseEvent(eventData) {
+    const repository = eventData.repository || {};
+    const release = eventData.release || {};
+
+    let message = `🏷️ **Release esemény**\n\n`;
+    message += `**Repository:** ${repository.full_name || 'Ismeretlen'}\n`;
+    if (release.tag_name) message += `**Tag:** \`${release.tag_name}\`\n`;
+    if (release.name && release.name !== release.tag_name) message += `**Név:** ${release.name}\n`;
+    if (eventData.action) {
+      const flags = [release.prerelease && 'pre-release', release.draft && 'draft'].filter(Boolean);
+      message += `**Művelet:** ${eventData.action}${flags.length ? ` (${flags.join(', ')})` : ''}\n`;
+    }
+    if (release.author?.login) message += `**Szerző:** ${release.author.login}\n`;
+    if (release.body) message += `**Leírás:** ${release.body.trim().substring(0, 200)}...\n`;
+    if (release.html_url) message += `**URL:** ${release.html_url}\n`;
+
+    return {
+      title: `Release ${release.tag_name || ''}`.trim(),
+      message: message,
+      severity: 'info',
+      status: eventData.action,
+      repository: repository.full_name,
+      tag: release.tag_name,
+      url: release.html_url
+    };
+  }
+
+  /**
+   * Format issues event
+   */
+  _formatIssueEvent(eventData) {
+    const repository = eventData.repository || {};
+    const issue = eventData.issue || {};
+    const sender = eventData.sender || {};
+    const labels = (issue.labels || []).map(label => label.name).filter(Boolean);
+
+    let message = `❗ **Issue esemény**\n\n`;
+    message += `**Repository:** ${repository.full_name || 'Ismeretlen'}\n`;
+    if (issue.number) message += `**Issue:** #${issue.number}\n`;
+    if (issue.title) message += `**Cím:** ${issue.title}\n`;
+    if (eventData.action) message += `**Művelet:** ${eventData.action}\n`;
+    if (labels.length) message += `**Címkék:** ${labels.join(', ')}\n`;
+    if (sender.login) message += `**Indította:** ${sender.login}\n`;
+    if (eventData.action === 'opened' && issue.body) message += `**Leírás:** ${issue.body.trim().substring(0, 200)}...\n`;
+    if (issue.html_url) message += `**URL:** ${issue.html_url}\n`;
+
+    return {
+      title: `Issue #${issue.number}`,
+      message: message,
+      severity: 'info',
+      status: eventData.action,
+      repository: repository.full_name,
+      issue_id: issue.number,
+      url: issue.html_url
+    };
+  }
+
+  /**
+   * Format check suite event
+   */
+  _formatCheckSuiteEvent(eventData) {
+    const repository = eventData.repository || {};
+    const suite = eventData.check_suite || {};
+    const { icon, text } = this._describeRun(suite.status, suite.conclusion);
+
+    let message = `${icon} **Check suite esemény**\n\n`;
+    message += `**Státusz:** ${text}\n`;
+    message += `**Repository:** ${repository.full_name || 'Ismeretlen'}\n`;
+    if (suite.app?.name) message += `**Alkalmazás:** ${suite.app.name}\n`;
+    if (suite.head_branch) message += `**Branch:** \`${suite.head_branch}\`\n`;
+    if (suite.head_sha) message += `**Commit:** ${suite.head_sha.substring(0, 8)}\n`;
+    if (suite.latest_check_runs_count) message += `**Check-ek:** ${suite.latest_check_runs_count}\n`;
+    if (eventData.sender?.login) message += `**Indította:** ${eventData.sender.login}\n`;
+
+    return {
+      title: `Check suite ${text}`,
+      message: message,
+      severity: this._severityFor(suite.conclusion),
+      status: suite.conclusion || suite.status,
+      repository: repository.full_name,
+      branch: suite.head_branch,
+      commit: suite.head_sha
+    };
+  }
+
+  /**
+   * Format generic/unknown event
+   */
+  _formatGenericEvent(eventData, eventType) {
+    const repository = eventData.repository || {};
+
+    let message = `ℹ️ **GitHub esemény**\n\n`;
+    message += `**Típus:** ${eventType || 'unknown'}${eventData.action ? ` (${eventData.action})` : ''}\n`;
+    message += `**Repository:** ${repository.full_name || 'Ismeretlen'}\n`;
+    if (eventData.sender?.login) message += `**Indította:** ${eventData.sender.login}\n`;
+    message += `**Raw data:** ${JSON.stringify(eventData, null, 2).substring(0, 500)}...\n`;
+
+    return {
+      title: `GitHub ${eventType || 'unknown'}`,
+      message: message,
+      severity: 'info',
+      status: 'generic',
+      repository: repository.full_name
+    };
+  }
+
+  /**
+   * Icon and text for a workflow run / check suite status and conclusion
+   */
+  _describeRun(status, conclusion) {
+    if (status !== 'completed') {
+      return status === 'queued' || status === 'requested' || status === 'waiting' || status === 'pending'
+        ? { icon: '⏳', text: 'Várakozik' }
+        : { icon: '🏃', text: 'Fut' };
+    }
+
+    switch (conclusion) {
+      case 'success':
+        return { icon: '✅', text: 'Sikeres' };
+      case 'failure':
+        return { icon: '❌', text: 'Sikertelen' };
+      case 'cancelled':
+        return { icon: '🚫', text: 'Megszakítva' };
+      case 'timed_out':
+        return { icon: '⏱️', text: 'Időtúllépés' };
+      case 'action_required':
+        return { icon: '⚠️', text: 'Beavatkozás szükséges' };
+      case 'skipped':
+      case 'neutral':
+        return { icon: '⚪', text: 'Kihagyva' };
+      default:
+        return { icon: '❓', text: conclusion || 'Ismeretlen' };
+    }
+  }
+
+  /**
+   * Severity for a workflow run / check suite conclusion
+   */
+  _severityFor(conclusion) {
+    if (conclusion === 'failure' || conclusion === 'timed_out') return 'error';
+    if (conclusion === 'success' || !conclusion) return 'info';
+    return 'warning';
+  }
+}
+
+module.exports = GitHubFormatter;
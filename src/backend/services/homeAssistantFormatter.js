@@ -0,0 +1,180 @@
+/**
+ * Home Assistant Webhook Formatter
+ * Formats state-change payloads (entity_id, old/new state, attributes, friendly_name)
+ * and notification payloads (title/message/data) sent by rest_command or notify.rest
+ *
+ * State changes are understood flat ({ entity_id, old_state, new_state }), as a state
+ * object ({ entity_id, state, attributes }) and as a state_changed event
+ * ({ event_type, data: { entity_id, old_state: {...}, new_state: {...} } }).
+ */
+
+class HomeAssistantFormatter {
+  constructor() {
+    this.maxAttributes = 8;
+    // Attributes that are presentation only
+    this.hiddenAttributes = ['friendly_name', 'icon', 'entity_picture', 'supported_features', 'supported_color_modes', 'attribution'];
+
+    this.domainIcons = {
+      light: '💡',
+      switch: '🔌',
+      sensor: '📟',
+      binary_sensor: '📟',
+      person: '📍',
+      device_tracker: '📍',
+      alarm_control_panel: '🚨',
+      lock: '🔒',
+      climate: '🌡️',
+      cover: '🪟',
+      automation: '⚙️',
+      update: '⬆️'
+    };
+  }
+
+  /**
+   * Create formatted message from a Home Assistant webhook payload
+   * @param {Object} payload - Home Assistant webhook payload
+   * @returns {Object} - Formatted message for chat platforms
+   */
+  createHomeAssistantMessage(payload) {
+    const change = this._stateChange(payload);
+    if (change) {
+      return this._formatStateChange(change);
+    }
+    return this._formatNotification(payload);
+  }
+
+  /**
+   * Normalize the supported state-change shapes, null when the payload is not a state change
+   * @private
+   */
+  _stateChange(payload) {
+    const data = payload.event_type === 'state_changed' && payload.data && typeof payload.data === 'object'
+      ? payload.data
+      : payload;
+    if (!data.entity_id) return null;
+
+    const oldState = data.old_state && typeof data.old_state === 'object' ? data.old_state : { state: data.old_state };
+    const newState = data.new_state && typeof data.new_state === 'object'
+      ? data.new_state
+      : { state: data.new_state !== undefined ? data.new_state : data.state, attributes: data.attributes };
+    const attributes = newState.attributes || data.attributes || {};
+
+    return {
+      entityId: String(data.entity_id),
+      friendlyName: data.friendly_name || attributes.friendly_name || null,
+      oldState: oldState.state,
+      newState: newState.state,
+      attributes: attributes,
+      changedAt: newState.last_changed || data.last_changed || null
+    };
+  }
+
+  /**
+   * Format a state change
+   * @private
+   */
+  _formatStateChange(change) {
+    const domain = change.entityId.split('.')[0];
+    const icon = this.domainIcons[domain] || '🏠';
+    const unit = change.attributes.unit_of_measurement ? ` ${change.attributes.unit_of_measurement}` : '';
+    const name = change.friendlyName || change.entityId;
+
+    const newState = change.newState !== undefined && change.newState !== null ? `${change.newState}${unit}` : 'unknown';
+    const stateText = change.oldState !== undefined && change.oldState !== null && change.oldState !== ''
+      ? `${change.oldState}${unit} → ${newState}`
+      : newState;
+
+    const messageLines = [
+      `${icon} **Home Assistant: ${name}**`,
+      '',
+      `**Entitás:** \`${change.entityId}\``,
+      `**Állapot:** ${stateText}`
+    ];
+
+    const attributes = Object.entries(change.attributes)
+      .filter(([key, value]) => !this.hiddenAttributes.includes(key) && key !== 'unit_of_measurement' &&
+        value !== null && typeof value !== 'object');
+    if (attributes.length > 0) {
+      messageLines.push('**Attribútumok:**');
+      attributes.slice(0, this.maxAttributes).forEach(([key, value]) => {
+        messageLines.push(`• ${key}: ${value}`);
+      });
+      if (attributes.length > this.maxAttributes) {
+        messageLines.push(`• ... és még ${attributes.length - this.maxAttributes}`);
+      }
+    }
+
+    if (change.changedAt) {
+      const date = new Date(change.changedAt);
+      if (!isNaN(date.getTime())) messageLines.push(`**Időpont:** ${date.toLocaleString('hu-HU')}`);
+    }
+
+    return {
+      text: messageLines.join('\n'),
+      title: `Home Assistant - ${name}`,
+      severity: this._stateSeverity(domain, change.newState),
+      entity_id: change.entityId,
+      old_state: change.oldState,
+      new_state: change.newState,
+      eventType: 'state_changed',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Format a notification (notify.rest / rest_command with title and message)
+   * @private
+   */
+  _formatNotification(payload) {
+    const title = payload.title || 'Home Assistant értesítés';
+    const message = payload.message || payload.text || '';
+    const data = payload.data && typeof payload.data === 'object' ? payload.data : {};
+
+    const messageLines = [`🔔 **${title}**`];
+    if (message) {
+      messageLines.push('', String(message));
+    }
+
+    const url = data.url || data.clickAction;
+    const links = [
+      url && `[Megnyitás](${url})`,
+      data.image && `[Kép](${data.image})`
+    ].filter(Boolean);
+
+    const fields = Object.entries(data)
+      .filter(([key, value]) => !['url', 'clickAction', 'image', 'priority'].includes(key) &&
+        value !== null && typeof value !== 'object');
+    if (fields.length > 0) {
+      messageLines.push('');
+      fields.slice(0, this.maxAttributes).forEach(([key, value]) => {
+        messageLines.push(`**${key}:** ${value}`);
+      });
+    }
+    if (links.length > 0) {
+      messageLines.push('', links.join(' · '));
+    }
+
+    const priority = String(data.priority || '').toLowerCase();
+
+    return {
+      text: messageLines.join('\n'),
+      title: title,
+      message: String(message),
+      severity: ['high', 'critical'].includes(priority) ? 'warning' : 'info',
+      eventType: 'notification',
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Severity of a state (alarms and problem sensors are raised)
+   * @private
+   */
+  _stateSeverity(domain, state) {
+    if (domain === 'alarm_control_panel' && state === 'triggered') return 'error';
+    if (['problem', 'unavailable'].includes(state)) return 'warning';
+    return 'info';
+  }
+}
+
+module.exports = HomeAssistantFormatter;
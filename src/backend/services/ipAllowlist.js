@@ -0,0 +1,132 @@
+const net = require('net');
+
+/**
+ * IP Allowlist Service
+ * Checks the client IP of a webhook request against the source's allowed_ips:
+ * one IPv4/IPv6 address or CIDR range per line (commas also separate entries).
+ * An empty list allows every client.
+ */
+class IpAllowlist {
+  constructor() {
+    this.maxEntries = 100;
+  }
+
+  /**
+   * Split stored or submitted entries
+   * @param {string|Array|null} raw - allowed_ips value
+   * @returns {Array<string>} - Trimmed, non-empty entries
+   */
+  parse(raw) {
+    if (!raw) {
+      return [];
+    }
+
+    const list = Array.isArray(raw) ? raw : String(raw).split(/[\n,]/);
+    return list.map(entry => String(entry).trim()).filter(Boolean);
+  }
+
+  /**
+   * Normalize entries for storage
+   * @param {string|Array|null} raw - Submitted value
+   * @returns {string|null} - One entry per line, null when empty
+   */
+  normalize(raw) {
+    const entries = this.parse(raw);
+    return entries.length > 0 ? entries.join('\n') : null;
+  }
+
+  /**
+   * Validate submitted entries
+   * @param {string|Array|null} raw - Submitted value
+   * @returns {string|null} - Error message or null when valid
+   */
+  validate(raw) {
+    const entries = this.parse(raw);
+
+    if (entries.length > this.maxEntries) {
+      return `At most ${this.maxEntries} allowed IP entries are supported`;
+    }
+
+    for (const entry of entries) {
+      if (!this.parseEntry(entry)) {
+        return `Invalid IP address or CIDR range: ${entry}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a single address or CIDR range
+   * @param {string} entry - e.g. "192.168.1.10", "10.0.0.0/8", "fd00::/8"
+   * @returns {Object|null} - { address, prefix, family } or null when invalid
+   */
+  parseEntry(entry) {
+    const [address, prefixText, extra] = entry.split('/');
+    if (extra !== undefined) {
+      return null;
+    }
+
+    const version = net.isIP(address);
+    if (version === 0) {
+      return null;
+    }
+
+    const family = version === 4 ? 'ipv4' : 'ipv6';
+    const maxPrefix = version === 4 ? 32 : 128;
+
+    if (prefixText === undefined) {
+      return { address, prefix: maxPrefix, family };
+    }
+
+    if (!/^\d+$/.test(prefixText) || parseInt(prefixText) > maxPrefix) {
+      return null;
+    }
+
+    return { address, prefix: parseInt(prefixText), family };
+  }
+
+  /**
+   * Strip the IPv4-mapped IPv6 prefix Node reports for IPv4 clients on dual-stack sockets
+   * @param {string} ip - Client IP
+   * @returns {string}
+   */
+  normalizeIp(ip) {
+    const match = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip || '');
+    return match ? match[1] : ip;
+  }
+
+  /**
+   * Check whether a client may post to the source
+   * @param {string|null} rawList - Stored allowed_ips
+   * @param {string} clientIp - Trusted-proxy-aware client IP (req.ip)
+   * @returns {boolean}
+   */
+  isAllowed(rawList, clientIp) {
+    const entries = this.parse(rawList);
+    if (entries.length === 0) {
+      return true;
+    }
+
+    const ip = this.normalizeIp(clientIp);
+    const version = net.isIP(ip);
+    if (version === 0) {
+      return false;
+    }
+
+    const blockList = new net.BlockList();
+    for (const entry of entries) {
+      const parsed = this.parseEntry(entry);
+      if (parsed) {
+        blockList.addSubnet(parsed.address, parsed.prefix, parsed.family);
+      }
+    }
+
+    return blockList.check(ip, version === 4 ? 'ipv4' : 'ipv6');
+  }
+}
+
+// Singleton instance
+const ipAllowlist = new IpAllowlist();
+
+module.exports = ipAllowlist;
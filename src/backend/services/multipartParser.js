@@ -0,0 +1,200 @@
+const requestBody = require('./requestBody');
+
+/**
+ * Multipart Parser
+ * Splits a buffered multipart/form-data body into text fields and file parts.
+ * The body is already size-limited by the webhook route, so parts are sliced
+ * from the buffer instead of streamed.
+ *
+ * Senders like Plex post their JSON in a "payload" field next to a thumbnail:
+ * such a field becomes the payload itself, the other text fields are kept next
+ * to it, file parts are returned separately to be stored as attachments.
+ */
+class MultipartParser {
+  constructor() {
+    this.maxParts = 100;
+    // Text fields holding the actual JSON payload
+    this.payloadFields = ['payload', 'json'];
+  }
+
+  /**
+   * Check whether a Content-Type is multipart/form-data
+   * @param {string} contentType - Content-Type header value
+   * @returns {boolean}
+   */
+  isMultipart(contentType) {
+    return /^\s*multipart\/form-data\b/i.test(contentType || '');
+  }
+
+  /**
+   * Parse a multipart body into a payload and its files
+   * @param {Buffer} buffer - Raw body
+   * @param {string} contentType - Content-Type header value (with the boundary)
+   * @returns {Object} - { payload, files: [{ fieldName, filename, contentType, data }] }
+   * @throws {Error} - When the body is not valid multipart
+   */
+  parse(buffer, contentType) {
+    // Null-prototype maps, so fields like "constructor" or "__proto__" are ordinary names
+    const fields = Object.create(null);
+    const files = [];
+
+    for (const part of this.splitParts(buffer, contentType)) {
+      const disposition = this.parseHeaderParams(part.headers['content-disposition'] || '');
+      const name = disposition.name || `part${files.length + Object.keys(fields).length + 1}`;
+      const partType = part.headers['content-type'] || null;
+
+      if (disposition.filename !== undefined) {
+        files.push({ fieldName: name, filename: disposition.filename || name, contentType: partType, data: part.data });
+        continue;
+      }
+
+      const value = requestBody.decode(part.data, partType || 'text/plain');
+      if (!Object.hasOwn(fields, name)) {
+        fields[name] = value;
+      } else {
+        fields[name] = [].concat(fields[name], value);
+      }
+    }
+
+    return { payload: this.buildPayload(fields), files };
+  }
+
+  /**
+   * Turn the text fields into the event payload
+   * @param {Object} fields - Field name -> value
+   * @returns {Object}
+   */
+  buildPayload(fields) {
+    for (const name of this.payloadFields) {
+      if (typeof fields[name] !== 'string') continue;
+
+      const parsed = this.parseJson(fields[name]);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        const rest = { ...fields };
+        delete rest[name];
+        return { ...rest, ...parsed };
+      }
+    }
+
+    // Other JSON looking fields are parsed in place
+    return Object.fromEntries(Object.entries(fields).map(([name, value]) => {
+      const parsed = typeof value === 'string' ? this.parseJson(value) : null;
+      return [name, parsed !== null ? parsed : value];
+    }));
+  }
+
+  /**
+   * Parse a JSON object or array, null for anything else
+   * @param {string} value - Field value
+   * @returns {Object|Array|null}
+   */
+  parseJson(value) {
+    const trimmed = value.trim();
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(trimmed);
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  /**
+   * Split the body at the boundary
+   * @param {Buffer} buffer - Raw body
+   * @param {string} contentType - Content-Type header value
+   * @returns {Array} - [{ headers, data }]
+   */
+  splitParts(buffer, contentType) {
+    const boundary = this.parseHeaderParams(contentType).boundary;
+    if (!boundary) {
+      throw new Error('Multipart body without boundary');
+    }
+
+    const delimiter = Buffer.from(`--${boundary}`);
+    const partDelimiter = Buffer.from(`\r\n--${boundary}`);
+    const parts = [];
+
+    let position = buffer.indexOf(delimiter);
+    if (position === -1) {
+      throw new Error('Multipart boundary not found in body');
+    }
+    position += delimiter.length;
+
+    // "--" after a delimiter closes the body
+    while (!(buffer[position] === 0x2d && buffer[position + 1] === 0x2d)) {
+      if (parts.length >= this.maxParts) {
+        throw new Error(`Multipart body with more than ${this.maxParts} parts`);
+      }
+
+      const headerStart = buffer.indexOf('\r\n', position);
+      const headerEnd = buffer.indexOf('\r\n\r\n', position);
+      const dataEnd = buffer.indexOf(partDelimiter, headerEnd);
+      if (headerStart === -1 || headerEnd === -1 || dataEnd === -1) {
+        throw new Error('Truncated multipart body');
+      }
+
+      parts.push({
+        headers: this.parseHeaders(buffer.toString('utf8', headerStart + 2, headerEnd)),
+        data: buffer.subarray(headerEnd + 4, dataEnd)
+      });
+
+      position = dataEnd + partDelimiter.length;
+    }
+
+    return parts;
+  }
+
+  /**
+   * Parse part headers
+   * @param {string} text - Header block
+   * @returns {Object} - Lower-case name -> value
+   */
+  parseHeaders(text) {
+    const headers = Object.create(null);
+    for (const line of text.split('\r\n')) {
+      const colon = line.indexOf(':');
+      if (colon > 0) {
+        headers[line.substring(0, colon).trim().toLowerCase()] = line.substring(colon + 1).trim();
+      }
+    }
+    return headers;
+  }
+
+  /**
+   * Parse the parameters of a header value (name="x"; filename="y", boundary=z)
+   * RFC 5987 extended values (filename*=UTF-8''...) take precedence
+   * @param {string} value - Header value
+   * @returns {Object} - Lower-case parameter -> value
+   */
+  parseHeaderParams(value) {
+    const params = Object.create(null);
+    const pattern = /;\s*([\w*-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+    let match;
+
+    while ((match = pattern.exec(`;${value}`)) !== null) {
+      const name = match[1].toLowerCase();
+      const raw = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+
+      if (name.endsWith('*')) {
+        const extended = /^[\w-]*'[\w-]*'(.*)$/.exec(raw);
+        try {
+          params[name.slice(0, -1)] = decodeURIComponent(extended ? extended[1] : raw);
+        } catch (_error) {
+          params[name.slice(0, -1)] = raw;
+        }
+      } else if (!Object.hasOwn(params, name)) {
+        params[name] = raw;
+      }
+    }
+
+    return params;
+  }
+}
+
+// Singleton instance
+const multipartParser = new MultipartParser();
+
+module.exports = multipartParser;
@@ -0,0 +1,223 @@
+/**
+ * Proxmox VE Notification Formatter
+ * Formats PVE 8 notification-webhook payloads (vzdump, replication, fencing,
+ * package updates, HA events, certificate expiry) with severity, node and VM/CT IDs
+ *
+ * Expected body (Datacenter > Notifications > Webhook, body template):
+ *   { "title": "{{ escape title }}", "message": "{{ escape message }}",
+ *     "severity": "{{ severity }}", "timestamp": {{ timestamp }}, "fields": {{ json fields }} }
+ * Flat payloads (type/hostname/vmid at the top level) are understood as well.
+ */
+
+class ProxmoxFormatter {
+  constructor() {
+    this.maxDetailLines = 15;
+    this.maxDetailLength = 1000;
+
+    this.kinds = {
+      vzdump: '💾 Backup (vzdump)',
+      replication: '🔁 Replikáció',
+      fencing: '🛑 Fencing',
+      'package-updates': '📦 Csomagfrissítések',
+      ha: '🛡️ HA esemény',
+      certificate: '🔐 Tanúsítvány lejárat',
+      'system-mail': '✉️ Rendszer levél',
+      other: '🖧 Proxmox VE értesítés'
+    };
+
+    this.severityIcons = {
+      error: '❌',
+      warning: '⚠️',
+      notice: '🔔',
+      info: 'ℹ️'
+    };
+  }
+
+  /**
+   * Create formatted message from a Proxmox VE notification
+   * @param {Object} payload - Proxmox VE webhook payload
+   * @returns {Object} - Formatted message for chat platforms
+   */
+  createProxmoxMessage(payload) {
+    const fields = (payload.fields && typeof payload.fields === 'object') ? payload.fields : {};
+    const title = String(payload.title || '');
+    const details = String(payload.message || '');
+
+    const kind = this._detectKind(payload, fields, title);
+    const severity = this._detectSeverity(payload, title);
+    const node = fields.hostname || payload.hostname || payload.node || this._nodeFromTitle(title);
+    const jobId = fields['job-id'] || payload['job-id'] || null;
+    const guests = this._extractGuests(kind, payload, fields, title, details, jobId);
+    const timestamp = payload.timestamp && !isNaN(parseInt(payload.timestamp))
+      ? new Date(parseInt(payload.timestamp) * 1000).toLocaleString('hu-HU')
+      : null;
+
+    const messageLines = [
+      `## ${this.severityIcons[severity] || '❓'} ${this.kinds[kind]}`
+    ];
+
+    if (title) {
+      messageLines.push(`**${title}**`);
+    }
+    messageLines.push('');
+
+    if (kind === 'other' && (fields.type || payload.type || payload.event_type)) {
+      messageLines.push(`**Esemény:** ${fields.type || payload.type || payload.event_type}`);
+    }
+    if (node) messageLines.push(`**Node:** ${node}`);
+    messageLines.push(`**Súlyosság:** ${severity}`);
+
+    if (guests.length > 0) {
+      const failed = guests.filter(guest => guest.failed).map(guest => guest.vmid);
+      const failedInfo = failed.length > 0 ? ` (hibás: ${failed.join(', ')})` : '';
+      messageLines.push(`**VM/CT:** ${guests.map(guest => this._formatGuest(guest)).join(', ')}${failedInfo}`);
+    }
+
+    if (jobId) messageLines.push(`**Job:** ${jobId}`);
+
+    if (kind === 'fencing') {
+      const fenced = title.match(/node '([^']+)'/) || details.match(/node '([^']+)'/);
+      if (fenced) messageLines.push(`**Fencelt node:** ${fenced[1]}`);
+    }
+
+    if (kind === 'certificate') {
+      const expiry = (title + '\n' + details).match(/expire[sd]?\s+((?:in|on|at)\s+[^\n.,]+)/i);
+      if (expiry) messageLines.push(`**Lejárat:** ${expiry[1].trim()}`);
+    }
+
+    if (timestamp) messageLines.push(`**Időpont:** ${timestamp}`);
+
+    const excerpt = this._excerpt(details);
+    if (excerpt) {
+      messageLines.push('', '**Részletek:**', '```', excerpt, '```');
+    }
+
+    return {
+      text: messageLines.join('\n'),
+      title: `Proxmox VE - ${node || 'PVE'}`,
+      message: title || details,
+      severity: severity,
+      node: node || null,
+      vmids: guests.map(guest => guest.vmid),
+      eventType: kind,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Detect the notification kind from the metadata fields, falling back to the title
+   * @private
+   */
+  _detectKind(payload, fields, title) {
+    const type = String(fields.type || payload.type || payload.event_type || '').toLowerCase();
+    const text = `${type} ${title}`.toLowerCase();
+
+    if (type === 'vzdump' || text.includes('vzdump') || text.includes('backup')) return 'vzdump';
+    if (type === 'replication' || text.includes('replication')) return 'replication';
+    if (type === 'fencing' || text.includes('fenc')) return 'fencing';
+    if (type === 'package-updates' || text.includes('package')) return 'package-updates';
+    if (type.startsWith('ha') || /\bha\b|ha-manager|\b(vm|ct):\d+/.test(text)) return 'ha';
+    if (text.includes('certificate') || text.includes('acme')) return 'certificate';
+    if (type === 'system-mail') return 'system-mail';
+    return 'other';
+  }
+
+  /**
+   * Normalize the PVE severity (info, notice, warning, error, unknown)
+   * @private
+   */
+  _detectSeverity(payload, title) {
+    const severity = String(payload.severity || '').toLowerCase();
+    if (['info', 'notice', 'warning', 'error'].includes(severity)) return severity;
+    if (severity === 'critical' || severity === 'err') return 'error';
+
+    const lowerTitle = title.toLowerCase();
+    if (lowerTitle.includes('failed') || lowerTitle.includes('error')) return 'error';
+    return severity || 'unknown';
+  }
+
+  /**
+   * PVE titles usually carry the node in parentheses, e.g. "vzdump backup status (pve1): ..."
+   * @private
+   */
+  _nodeFromTitle(title) {
+    const match = title.match(/\(([^)\s]+)\)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Collect the affected guests as [{ vmid, name, failed }]
+   * @private
+   */
+  _extractGuests(kind, payload, fields, title, details, jobId) {
+    const guests = [];
+    const add = (vmid, name = null, failed = false) => {
+      vmid = String(vmid).trim();
+      if (!/^\d+$/.test(vmid) || guests.some(guest => guest.vmid === vmid)) return;
+      guests.push({ vmid, name, failed });
+    };
+
+    // Explicit IDs (custom body templates and hook scripts)
+    const explicit = fields.vmid || payload.vmid || payload.vm_id;
+    if (explicit) {
+      String(explicit).split(/[\s,]+/).forEach(vmid => add(vmid, payload.vm_name || null));
+    }
+
+    if (kind === 'vzdump') {
+      // Details table: "VMID  Name  Status  Time  Size  Filename"
+      const lines = details.split('\n');
+      const headerIndex = lines.findIndex(line => /^\s*VMID\s+Name\s+Status/i.test(line));
+      if (headerIndex !== -1) {
+        for (const line of lines.slice(headerIndex + 1)) {
+          if (!line.trim()) break;
+          const match = line.match(/^\s*(\d+)\s+(\S+)\s+(\S+)/);
+          if (match) add(match[1], match[2], match[3] !== 'ok');
+        }
+      }
+    }
+
+    // Replication job IDs are "<vmid>-<n>"
+    if (kind === 'replication' && jobId) {
+      const match = String(jobId).match(/^(\d+)-\d+$/);
+      if (match) add(match[1]);
+    }
+
+    // HA resources are "vm:<id>" / "ct:<id>"
+    for (const match of `${title}\n${details}`.matchAll(/\b(?:vm|ct):(\d+)\b/g)) {
+      add(match[1]);
+    }
+
+    return guests;
+  }
+
+  /**
+   * Format a guest for the summary line
+   * @private
+   */
+  _formatGuest(guest) {
+    return guest.name ? `${guest.vmid} (${guest.name})` : guest.vmid;
+  }
+
+  /**
+   * Shorten the notification body for chat
+   * @private
+   */
+  _excerpt(details) {
+    const text = details.trim();
+    if (!text) return '';
+
+    const lines = text.split('\n');
+    let excerpt = lines.slice(0, this.maxDetailLines).join('\n');
+    if (excerpt.length > this.maxDetailLength) {
+      excerpt = excerpt.substring(0, this.maxDetailLength);
+    }
+    if (excerpt.length < text.length) {
+      excerpt += '\n…';
+    }
+
+    // Keep the code block intact
+    return excerpt.replace(/```/g, "'''");
+  }
+}
+
+module.exports = ProxmoxFormatter;
@@ -0,0 +1,59 @@
+const { TextDecoder } = require('util');
+
+/**
+ * Request Body Service
+ * Size limits and charset decoding of inbound webhook bodies. The raw body is kept
+ * as a Buffer (signatures are computed over the exact bytes), the decoded text is
+ * only used for parsing and display.
+ */
+class RequestBody {
+  constructor() {
+    this.defaultMaxSize = parseInt(process.env.WEBHOOK_MAX_BODY_SIZE) || 5242880; // bytes
+    this.defaultCharset = 'utf-8';
+  }
+
+  /**
+   * Body size limit of a source
+   * @param {Object|null} source - Source record (max_body_size overrides the global limit)
+   * @returns {number} - Maximum body size in bytes
+   */
+  getLimit(source) {
+    return (source && parseInt(source.max_body_size)) || this.defaultMaxSize;
+  }
+
+  /**
+   * Charset declared in a Content-Type header
+   * @param {string} contentType - Content-Type header value
+   * @returns {string} - Lower-case charset label, UTF-8 when not declared
+   */
+  getCharset(contentType) {
+    const match = /;\s*charset\s*=\s*"?([^";\s]+)"?/i.exec(contentType || '');
+    return match ? match[1].toLowerCase() : this.defaultCharset;
+  }
+
+  /**
+   * Decode a raw body with the charset of its Content-Type
+   * Unknown charsets fall back to UTF-8, a byte order mark is removed
+   * @param {Buffer} buffer - Raw body
+   * @param {string} contentType - Content-Type header value
+   * @returns {string}
+   */
+  decode(buffer, contentType) {
+    const charset = this.getCharset(contentType);
+
+    let decoder;
+    try {
+      decoder = new TextDecoder(charset);
+    } catch (_error) {
+      console.log(`[WEBHOOK] Unsupported charset "${charset}", decoding body as UTF-8`);
+      decoder = new TextDecoder(this.defaultCharset);
+    }
+
+    return decoder.decode(buffer);
+  }
+}
+
+// Singleton instance
+const requestBody = new RequestBody();
+
+module.exports = requestBody;
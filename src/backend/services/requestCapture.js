@@ -0,0 +1,118 @@
+const database = require('../config/database');
+const requestBody = require('./requestBody');
+
+/**
+ * Request Capture Service
+ * Stores the full inbound request (method, headers, query, client IP, raw body) of
+ * events received by sources that have capture_requests enabled, so a misbehaving
+ * integration can be inspected like a request bin.
+ *
+ * Header and query values whose name looks like a credential are redacted before storing.
+ */
+class RequestCapture {
+  constructor() {
+    this.maxBodySize = parseInt(process.env.REQUEST_CAPTURE_MAX_BODY) || 65536; // bytes
+    this.sensitiveName = /auth|cookie|secret|token|signature|hmac|password|passwd|session|api[-_]?key/i;
+    this.redacted = '[REDACTED]';
+  }
+
+  /**
+   * Replace values of credential-like keys
+   * @param {Object} values - Header or query object
+   * @returns {Object} - Copy with sensitive values redacted
+   */
+  redact(values) {
+    const result = {};
+    for (const [name, value] of Object.entries(values || {})) {
+      result[name] = this.sensitiveName.test(name) ? this.redacted : value;
+    }
+    return result;
+  }
+
+  /**
+   * Build the stored representation of a request
+   * @param {Object} req - Express request object
+   * @returns {Object} - Capture row values
+   */
+  build(req) {
+    const raw = req.rawBody === undefined || req.rawBody === null ? '' : req.rawBody;
+    const buffer = Buffer.isBuffer(raw) ? raw : Buffer.from(String(raw), 'utf8');
+
+    let body = requestBody.decode(buffer.subarray(0, this.maxBodySize), req.get('Content-Type'));
+    if (buffer.length > this.maxBodySize) {
+      body += `\n… [truncated, ${buffer.length} bytes total]`;
+    }
+
+    return {
+      method: req.method,
+      contentType: req.get('Content-Type') || null,
+      clientIp: req.ip || null,
+      query: this.redact(req.query),
+      headers: this.redact(req.headers),
+      body,
+      bodySize: buffer.length
+    };
+  }
+
+  /**
+   * Store the request of an event
+   * Capture failures are logged and never fail the webhook itself
+   * @param {number} eventId - Event ID
+   * @param {Object} req - Express request object
+   */
+  async save(eventId, req) {
+    try {
+      const capture = this.build(req);
+
+      await database.query(
+        `INSERT INTO event_requests (event_id, method, content_type, client_ip, query_json, headers_json, raw_body, body_size)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          eventId,
+          capture.method,
+          capture.contentType,
+          capture.clientIp,
+          JSON.stringify(capture.query),
+          JSON.stringify(capture.headers),
+          capture.body,
+          capture.bodySize
+        ]
+      );
+
+      console.log(`[CAPTURE] Stored request of event ${eventId} (${capture.bodySize} bytes)`);
+    } catch (error) {
+      console.error(`[CAPTURE] Error storing request of event ${eventId}:`, error.message);
+    }
+  }
+
+  /**
+   * Load the captured request of an event
+   * @param {number} eventId - Event ID
+   * @returns {Object|null} - Captured request or null when the event has none
+   */
+  async load(eventId) {
+    const rows = await database.query(
+      `SELECT method, content_type, client_ip, query_json, headers_json, raw_body, body_size, created_at
+       FROM event_requests WHERE event_id = ?`,
+      [eventId]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const capture = rows[0];
+    for (const field of ['query_json', 'headers_json']) {
+      if (typeof capture[field] === 'string') {
+        try { capture[field] = JSON.parse(capture[field]); } catch (_e) { /* keep as string */ }
+      }
+    }
+
+    return capture;
+  }
+}
+
+// Singleton instance
+const requestCapture = new RequestCapture();
+
+module.exports = requestCapture;
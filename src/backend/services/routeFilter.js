@@ -0,0 +1,272 @@
+const vm = require('vm');
+
+/**
+ * Route Filter Service
+ * Evaluates the conditional routing rules stored in routes.filter_rules
+ *
+ * Rule format:
+ * {
+ *   "event_types": { "include": ["pipeline"], "exclude": [] },
+ *   "match": "all" | "any",
+ *   "conditions": [
+ *     { "path": "object_attributes.status", "op": "equals", "value": "failed" },
+ *     { "path": "object_attributes.ref", "op": "regex", "value": "^(main|master)$" }
+ *   ]
+ * }
+ *
+ * A route without rules (NULL) matches every event of its source.
+ *
+ * Regex conditions run in a separate V8 context with a time limit, so a pattern that
+ * backtracks catastrophically ("(a|a)*$") can't block the event loop: it counts as
+ * no match and is skipped from then on. Only the first maxMatchLength characters
+ * of a value are tested.
+ */
+class RouteFilter {
+  constructor() {
+    this.operators = ['equals', 'not_equals', 'regex', 'exists', 'not_exists', 'gt', 'gte', 'lt', 'lte'];
+    this.maxConditions = 20;
+    this.maxPatternLength = 200;
+    this.maxMatchLength = 4096;
+    this.regexTimeout = parseInt(process.env.ROUTE_FILTER_REGEX_TIMEOUT) || 50; // milliseconds
+
+    // The script only passes strings to RegExp, the timeout interrupts a runaway match
+    this.regexContext = vm.createContext(Object.create(null));
+    this.regexScript = new vm.Script('new RegExp(pattern).test(value)');
+    // Patterns that hit the timeout, not run again until restart
+    this.slowPatterns = new Set();
+  }
+
+  /**
+   * Parse stored rules (JSON column may come back as string or object)
+   * @param {string|Object|null} raw - Stored rules
+   * @returns {Object|null} - Rules object or null when the route has no rules
+   */
+  parseRules(raw) {
+    if (raw === null || raw === undefined || raw === '') {
+      return null;
+    }
+
+    if (typeof raw === 'string') {
+      try {
+        return JSON.parse(raw);
+      } catch (_e) {
+        console.error('[ROUTE FILTER] Invalid stored rules, ignoring:', raw);
+        return null;
+      }
+    }
+
+    return raw;
+  }
+
+  /**
+   * Validate rules submitted by the API
+   * @param {string|Object|null} raw - Rules from the request body
+   * @returns {string|null} - Error message or null when valid
+   */
+  validateRules(raw) {
+    let rules = raw;
+    if (typeof raw === 'string') {
+      try {
+        rules = JSON.parse(raw);
+      } catch (_e) {
+        return 'Filter rules must be valid JSON';
+      }
+    }
+
+    if (rules === null) {
+      return null;
+    }
+
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+      return 'Filter rules must be an object';
+    }
+
+    if (rules.match !== undefined && !['all', 'any'].includes(rules.match)) {
+      return 'Filter rules match must be "all" or "any"';
+    }
+
+    if (rules.event_types !== undefined) {
+      if (typeof rules.event_types !== 'object' || rules.event_types === null) {
+        return 'Filter rules event_types must be an object';
+      }
+      for (const key of ['include', 'exclude']) {
+        const list = rules.event_types[key];
+        if (list !== undefined && (!Array.isArray(list) || list.some(item => typeof item !== 'string'))) {
+          return `Filter rules event_types.${key} must be a list of strings`;
+        }
+      }
+    }
+
+    if (rules.conditions !== undefined) {
+      if (!Array.isArray(rules.conditions)) {
+        return 'Filter rules conditions must be a list';
+      }
+      if (rules.conditions.length > this.maxConditions) {
+        return `Filter rules can have at most ${this.maxConditions} conditions`;
+      }
+
+      for (const condition of rules.conditions) {
+        if (!condition || typeof condition.path !== 'string' || condition.path.trim() === '') {
+          return 'Every condition needs a payload path';
+        }
+        if (!this.operators.includes(condition.op)) {
+          return `Unknown condition operator: ${condition.op}`;
+        }
+        if (condition.op === 'regex') {
+          if (typeof condition.value !== 'string' || condition.value.length > this.maxPatternLength) {
+            return `Regex must be a string of at most ${this.maxPatternLength} characters`;
+          }
+          try {
+            new RegExp(condition.value);
+          } catch (_e) {
+            return `Invalid regex: ${condition.value}`;
+          }
+        }
+        if (['gt', 'gte', 'lt', 'lte'].includes(condition.op) && isNaN(parseFloat(condition.value))) {
+          return `Condition ${condition.path} needs a numeric value`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether an event passes the route's rules
+   * @param {string|Object|null} rawRules - Stored rules
+   * @param {string} eventType - Event type
+   * @param {Object} payload - Event payload
+   * @returns {boolean}
+   */
+  matches(rawRules, eventType, payload) {
+    const rules = this.parseRules(rawRules);
+    if (!rules) {
+      return true;
+    }
+
+    const include = rules.event_types?.include || [];
+    const exclude = rules.event_types?.exclude || [];
+
+    if (include.length > 0 && !include.includes(eventType)) {
+      return false;
+    }
+    if (exclude.includes(eventType)) {
+      return false;
+    }
+
+    const conditions = rules.conditions || [];
+    if (conditions.length === 0) {
+      return true;
+    }
+
+    const results = conditions.map(condition => this.evaluateCondition(condition, payload));
+    return rules.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+  }
+
+  /**
+   * Evaluate a single field matcher against the payload
+   * @param {Object} condition - { path, op, value }
+   * @param {Object} payload - Event payload
+   * @returns {boolean}
+   */
+  evaluateCondition(condition, payload) {
+    const actual = this.getValueByPath(payload, condition.path);
+    const exists = actual !== undefined && actual !== null;
+
+    switch (condition.op) {
+      case 'exists':
+        return exists;
+      case 'not_exists':
+        return !exists;
+      case 'equals':
+        return exists && String(actual) === String(condition.value);
+      case 'not_equals':
+        return !exists || String(actual) !== String(condition.value);
+      case 'regex':
+        return exists && this.testRegex(condition.value, String(actual).substring(0, this.maxMatchLength));
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte':
+        return exists && this.compareNumbers(actual, condition.op, condition.value);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Test a regex with the time limit
+   * @param {string} pattern - Regex source
+   * @param {string} value - Text to test
+   * @returns {boolean} - false for invalid patterns and ones that timed out
+   */
+  testRegex(pattern, value) {
+    if (this.slowPatterns.has(pattern)) {
+      return false;
+    }
+
+    this.regexContext.pattern = pattern;
+    this.regexContext.value = value;
+    try {
+      return this.regexScript.runInContext(this.regexContext, { timeout: this.regexTimeout }) === true;
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        this.slowPatterns.add(pattern);
+        console.error(`[ROUTE FILTER] Regex ${pattern} exceeded ${this.regexTimeout}ms, treating it as no match`);
+      }
+      return false;
+    } finally {
+      this.regexContext.pattern = null;
+      this.regexContext.value = null;
+    }
+  }
+
+  /**
+   * Numeric comparison, non-numeric values never match
+   * @param {*} actual - Payload value
+   * @param {string} op - gt, gte, lt, lte
+   * @param {*} expected - Condition value
+   * @returns {boolean}
+   */
+  compareNumbers(actual, op, expected) {
+    const a = parseFloat(actual);
+    const b = parseFloat(expected);
+    if (isNaN(a) || isNaN(b)) {
+      return false;
+    }
+
+    switch (op) {
+      case 'gt': return a > b;
+      case 'gte': return a >= b;
+      case 'lt': return a < b;
+      case 'lte': return a <= b;
+      default: return false;
+    }
+  }
+
+  /**
+   * Resolve a dotted payload path, array indexes as "commits.0.id" or "commits[0].id"
+   * Only own properties are followed, "constructor" or "__proto__" resolve to undefined
+   * @param {Object} obj - Payload
+   * @param {string} path - Field path
+   * @returns {*} - Value or undefined
+   */
+  getValueByPath(obj, path) {
+    const parts = String(path).replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+    let current = obj;
+
+    for (const part of parts) {
+      if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, part)) {
+        return undefined;
+      }
+      current = current[part];
+    }
+
+    return current;
+  }
+}
+
+// Singleton instance
+const routeFilter = new RouteFilter();
+
+module.exports = routeFilter;
@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+
+/**
+ * Signature Verifier
+ * Pluggable webhook signature schemes, selected per source (sources.signature_scheme)
+ * and verified against the source's webhook_secret.
+ *
+ * A scheme is an object with:
+ *   label       - Human readable name
+ *   timestamped - Whether the signature covers a timestamp (replay window is enforced)
+ *   verify(req, secret, context) - Returns null when valid, otherwise the rejection reason
+ *
+ * Schemes without a signed timestamp (GitHub, Gitea, base64 HMAC) have no replay
+ * protection: a captured request verifies again at any time. The event deduplicator
+ * only suppresses sender retries, a replay with a new delivery ID header is accepted.
+ * signature_tolerance is therefore only accepted for timestamped schemes.
+ */
+class SignatureVerifier {
+  constructor() {
+    this.defaultTolerance = parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE) || 300; // seconds
+    this.schemes = {};
+
+    this.register('github', {
+      label: 'GitHub (X-Hub-Signature-256)',
+      timestamped: false,
+      verify: (req, secret) => {
+        const signature = req.get('X-Hub-Signature-256');
+        if (!signature) return 'Missing X-Hub-Signature-256 header';
+        if (!signature.startsWith('sha256=')) return 'Malformed X-Hub-Signature-256 header';
+
+        const expected = this.hmac('sha256', secret, [this.body(req)], 'hex');
+        return this.safeEqual(signature.substring(7), expected) ? null : 'Invalid X-Hub-Signature-256 signature';
+      }
+    });
+
+    this.register('gitea', {
+      label: 'Gitea / Forgejo (X-Gitea-Signature)',
+      timestamped: false,
+      verify: (req, secret) => {
+        const signature = req.get('X-Gitea-Signature') || req.get('X-Forgejo-Signature');
+        if (!signature) return 'Missing X-Gitea-Signature header';
+
+        const expected = this.hmac('sha256', secret, [this.body(req)], 'hex');
+        return this.safeEqual(signature, expected) ? null : 'Invalid X-Gitea-Signature signature';
+      }
+    });
+
+    this.register('slack', {
+      label: 'Slack signing secret (v0:timestamp:body)',
+      timestamped: true,
+      verify: (req, secret, context) => {
+        const timestamp = req.get('X-Slack-Request-Timestamp');
+        const signature = req.get('X-Slack-Signature');
+        if (!timestamp || !signature) return 'Missing X-Slack-Request-Timestamp or X-Slack-Signature header';
+
+        const windowError = this.checkTimestamp(timestamp, context.tolerance);
+        if (windowError) return windowError;
+
+        if (!signature.startsWith('v0=')) return 'Malformed X-Slack-Signature header';
+
+        const expected = this.hmac('sha256', secret, [`v0:${timestamp}:`, this.body(req)], 'hex');
+        return this.safeEqual(signature.substring(3), expected) ? null : 'Invalid X-Slack-Signature signature';
+      }
+    });
+
+    this.register('stripe', {
+      label: 'Stripe-style (t=timestamp,v1=signature)',
+      timestamped: true,
+      verify: (req, secret, context) => {
+        const header = req.get('Stripe-Signature');
+        if (!header) return 'Missing Stripe-Signature header';
+
+        let timestamp = null;
+        const signatures = [];
+        for (const part of header.split(',')) {
+          const [key, value] = part.trim().split('=', 2);
+          if (key === 't') timestamp = value;
+          if (key === 'v1' && value) signatures.push(value);
+        }
+        if (!timestamp || signatures.length === 0) return 'Malformed Stripe-Signature header';
+
+        const windowError = this.checkTimestamp(timestamp, context.tolerance);
+        if (windowError) return windowError;
+
+        // Several v1 signatures are sent while the sender rotates its secret
+        const expected = this.hmac('sha256', secret, [`${timestamp}.`, this.body(req)], 'hex');
+        return signatures.some(signature => this.safeEqual(signature, expected)) ? null : 'Invalid Stripe-Signature signature';
+      }
+    });
+
+    this.register('hmac_sha1_base64', {
+      label: 'HMAC-SHA1, base64 (X-Signature)',
+      timestamped: false,
+      verify: (req, secret) => this.verifyBase64(req, secret, 'sha1')
+    });
+
+    this.register('hmac_sha512_base64', {
+      label: 'HMAC-SHA512, base64 (X-Signature)',
+      timestamped: false,
+      verify: (req, secret) => this.verifyBase64(req, secret, 'sha512')
+    });
+  }
+
+  /**
+   * Register a signature scheme
+   * @param {string} name - Scheme name stored in sources.signature_scheme
+   * @param {Object} scheme - { label, timestamped, verify }
+   */
+  register(name, scheme) {
+    this.schemes[name] = scheme;
+  }
+
+  /**
+   * Names accepted for sources.signature_scheme ('default' keeps the X-Webhook-Secret behaviour)
+   * @returns {Array<string>}
+   */
+  getSchemeNames() {
+    return ['default', ...Object.keys(this.schemes)];
+  }
+
+  /**
+   * Whether a scheme signs a timestamp, so signature_tolerance applies to it
+   * @param {string} name - Scheme name
+   * @returns {boolean}
+   */
+  isTimestamped(name) {
+    return Object.hasOwn(this.schemes, name) && this.schemes[name].timestamped === true;
+  }
+
+  /**
+   * Names of the schemes with a replay window
+   * @returns {Array<string>}
+   */
+  getTimestampedSchemeNames() {
+    return Object.keys(this.schemes).filter(name => this.schemes[name].timestamped);
+  }
+
+  /**
+   * Verify a request with the source's scheme
+   * @param {Object} source - Source record (signature_scheme, signature_tolerance, webhook_secret)
+   * @param {Object} req - Express request object
+   * @param {string} secret - Secret to verify with (the rotated previous secret during its grace period)
+   * @returns {string|null} - Rejection reason or null when the signature is valid
+   */
+  verify(source, req, secret = source.webhook_secret) {
+    const scheme = this.schemes[source.signature_scheme];
+    if (!scheme) {
+      return `Unknown signature scheme: ${source.signature_scheme}`;
+    }
+
+    if (!secret) {
+      return `Signature scheme ${source.signature_scheme} requires a webhook secret`;
+    }
+
+    const tolerance = source.signature_tolerance ?? this.defaultTolerance;
+    return scheme.verify(req, secret, { tolerance });
+  }
+
+  /**
+   * Base64 encoded body HMAC in X-Signature, optionally prefixed with the algorithm ("sha1=")
+   * @param {Object} req - Express request object
+   * @param {string} secret - Shared secret
+   * @param {string} algorithm - sha1 or sha512
+   * @returns {string|null} - Rejection reason or null
+   */
+  verifyBase64(req, secret, algorithm) {
+    let signature = req.get('X-Signature');
+    if (!signature) return 'Missing X-Signature header';
+
+    if (signature.startsWith(`${algorithm}=`)) {
+      signature = signature.substring(algorithm.length + 1);
+    }
+
+    const expected = this.hmac(algorithm, secret, [this.body(req)], 'base64');
+    return this.safeEqual(signature, expected) ? null : `Invalid X-Signature (${algorithm.toUpperCase()}, base64) signature`;
+  }
+
+  /**
+   * Enforce the replay window on a signed timestamp (seconds since epoch)
+   * @param {string} timestamp - Timestamp from the request
+   * @param {number} tolerance - Allowed clock difference in seconds (0 disables the check)
+   * @returns {string|null} - Rejection reason or null
+   */
+  checkTimestamp(timestamp, tolerance) {
+    const seconds = parseInt(timestamp);
+    if (isNaN(seconds) || String(seconds) !== String(timestamp).trim()) {
+      return 'Malformed signature timestamp';
+    }
+
+    if (tolerance > 0 && Math.abs(Math.floor(Date.now() / 1000) - seconds) > tolerance) {
+      return `Signature timestamp outside the replay window (${tolerance}s)`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Raw request body as received (the parsed body would not match the signature)
+   * @param {Object} req - Express request object
+   * @returns {string|Buffer}
+   */
+  body(req) {
+    return req.rawBody || '';
+  }
+
+  /**
+   * Compute an HMAC over several parts
+   * @param {string} algorithm - Hash algorithm
+   * @param {string} secret - Shared secret
+   * @param {Array<string|Buffer>} parts - Signed content
+   * @param {string} encoding - hex or base64
+   * @returns {string}
+   */
+  hmac(algorithm, secret, parts, encoding) {
+    const hmac = crypto.createHmac(algorithm, secret);
+    for (const part of parts) {
+      hmac.update(part);
+    }
+    return hmac.digest(encoding);
+  }
+
+  /**
+   * Constant-time string comparison
+   * @param {string} received - Signature from the request
+   * @param {string} expected - Computed signature
+   * @returns {boolean}
+   */
+  safeEqual(received, expected) {
+    const receivedBuf = Buffer.from(String(received).trim());
+    const expectedBuf = Buffer.from(expected);
+
+    if (receivedBuf.length !== expectedBuf.length) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(receivedBuf, expectedBuf);
+  }
+}
+
+// Singleton instance
+const signatureVerifier = new SignatureVerifier();
+
+module.exports = signatureVerifier;
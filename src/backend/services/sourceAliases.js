@@ -0,0 +1,132 @@
+const database = require('../config/database');
+
+/**
+ * Source Aliases Service
+ * Readable webhook paths of a source, e.g. /webhook/nas-main/synology. An alias
+ * is resolved in the same lookup as the secret key, so it goes through the same
+ * secret, signature, IP and rate limit checks.
+ *
+ * Aliases are lower-case path segments (a-z, 0-9, '-', '_') separated by '/'.
+ * They are unique across all sources and can't shadow a secret key.
+ */
+class SourceAliases {
+  constructor() {
+    this.maxLength = 255;
+    this.maxSegments = 4;
+    this.segmentPattern = /^[a-z0-9][a-z0-9_-]*$/;
+    // Paths served by the webhook router itself
+    this.reserved = ['health', 'test'];
+  }
+
+  /**
+   * Normalize an alias (lower-case, no leading/trailing or repeated slashes)
+   * @param {string} value - Alias as entered
+   * @returns {string}
+   */
+  normalize(value) {
+    return String(value || '')
+      .trim()
+      .toLowerCase()
+      .split('/')
+      .filter(segment => segment !== '')
+      .join('/');
+  }
+
+  /**
+   * Validate a normalized alias
+   * @param {string} alias - Normalized alias
+   * @returns {string|null} - Error message or null when valid
+   */
+  validate(alias) {
+    if (!alias) {
+      return 'Alias is required';
+    }
+    if (alias.length > this.maxLength) {
+      return `Alias can be maximum ${this.maxLength} characters`;
+    }
+
+    const segments = alias.split('/');
+    if (segments.length > this.maxSegments) {
+      return `Alias can have maximum ${this.maxSegments} path segments`;
+    }
+    if (!segments.every(segment => this.segmentPattern.test(segment))) {
+      return 'Alias segments may only contain a-z, 0-9, - and _ and must start with a letter or digit';
+    }
+    if (this.reserved.includes(segments[0])) {
+      return `Alias can't start with a reserved path (${this.reserved.join(', ')})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a webhook path is taken by an alias or a secret key
+   * Also used for new secret keys, so a key can't be shadowed by or shadow an alias
+   * @param {string} alias - Normalized alias or secret key
+   * @param {number|null} exceptSourceId - Source whose own keys don't count (the one being updated)
+   * @returns {boolean}
+   */
+  async isTaken(alias, exceptSourceId = null) {
+    const rows = await database.query(
+      `SELECT 1 FROM source_aliases WHERE alias = ?
+       UNION ALL
+       SELECT 1 FROM sources WHERE (secret_key = ? OR previous_secret_key = ?) AND NOT (id <=> ?)
+       LIMIT 1`,
+      [alias, alias, alias, exceptSourceId]
+    );
+
+    return rows.length > 0;
+  }
+
+  /**
+   * Aliases of a source
+   * @param {number} sourceId - Source ID
+   * @returns {Array}
+   */
+  async list(sourceId) {
+    return database.query(
+      'SELECT id, alias, created_at FROM source_aliases WHERE source_id = ? ORDER BY alias',
+      [sourceId]
+    );
+  }
+
+  /**
+   * Add an alias to a source
+   * @param {number} sourceId - Source ID
+   * @param {string} alias - Normalized, validated alias
+   * @returns {number} - Alias ID
+   */
+  async add(sourceId, alias) {
+    const result = await database.query(
+      'INSERT INTO source_aliases (source_id, alias) VALUES (?, ?)',
+      [sourceId, alias]
+    );
+
+    console.log(`[ALIAS] Added /webhook/${alias} to source ${sourceId}`);
+    return result.insertId;
+  }
+
+  /**
+   * Remove an alias of a source
+   * @param {number} sourceId - Source ID
+   * @param {number} aliasId - Alias ID
+   * @returns {boolean} - False when the alias does not belong to the source
+   */
+  async remove(sourceId, aliasId) {
+    const result = await database.query(
+      'DELETE FROM source_aliases WHERE id = ? AND source_id = ?',
+      [aliasId, sourceId]
+    );
+
+    if (result.affectedRows > 0) {
+      console.log(`[ALIAS] Removed alias ${aliasId} of source ${sourceId}`);
+      return true;
+    }
+    return false;
+  }
+}
+
+// Singleton instance
+const sourceAliases = new SourceAliases();
+
+module.exports = sourceAliases;
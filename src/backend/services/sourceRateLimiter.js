@@ -0,0 +1,87 @@
+/**
+ * Source Rate Limiter
+ * Per-source token bucket for inbound webhooks. A source accepts rate_limit_burst
+ * requests at once (rate_limit_max when not set), refilled at rate_limit_max per
+ * rate_limit_window seconds. Sources without rate_limit_max are not limited.
+ *
+ * A flood starts with the first request over the limit and ends once the bucket
+ * has refilled completely, so callers can notify the route targets once per flood.
+ *
+ * Buckets live in memory, a restart starts every source with a full bucket.
+ */
+class SourceRateLimiter {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  /**
+   * Effective limits of a source
+   * @param {Object} source - Source record (rate_limit_max, rate_limit_window, rate_limit_burst)
+   * @returns {Object|null} - { max, window, capacity } or null when the source is not limited
+   */
+  getLimits(source) {
+    const max = parseInt(source.rate_limit_max);
+    if (!max || max < 1) {
+      return null;
+    }
+
+    const window = parseInt(source.rate_limit_window) || 60;
+    const capacity = parseInt(source.rate_limit_burst) || max;
+
+    return { max, window, capacity };
+  }
+
+  /**
+   * Take one request from the source's bucket
+   * @param {Object} source - Source record
+   * @returns {Object} - { allowed, retryAfter, floodStarted, limits }
+   */
+  consume(source) {
+    const limits = this.getLimits(source);
+    if (!limits) {
+      this.buckets.delete(source.id);
+      return { allowed: true, retryAfter: 0, floodStarted: false, limits: null };
+    }
+
+    const now = Date.now();
+    const ratePerMs = limits.max / (limits.window * 1000);
+    const configKey = `${limits.max}/${limits.window}/${limits.capacity}`;
+
+    let bucket = this.buckets.get(source.id);
+    if (!bucket || bucket.configKey !== configKey) {
+      // New source or changed limits start with a full bucket
+      bucket = { configKey, tokens: limits.capacity, updatedAt: now, flooding: false, suppressed: 0 };
+      this.buckets.set(source.id, bucket);
+    }
+
+    bucket.tokens = Math.min(limits.capacity, bucket.tokens + (now - bucket.updatedAt) * ratePerMs);
+    bucket.updatedAt = now;
+
+    if (bucket.flooding && bucket.tokens >= limits.capacity) {
+      console.log(`[RATE LIMIT] Source "${source.name}" (ID: ${source.id}) calmed down, ${bucket.suppressed} requests were over the limit`);
+      bucket.flooding = false;
+      bucket.suppressed = 0;
+    }
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return { allowed: true, retryAfter: 0, floodStarted: false, limits };
+    }
+
+    const floodStarted = !bucket.flooding;
+    bucket.flooding = true;
+    bucket.suppressed += 1;
+
+    return {
+      allowed: false,
+      retryAfter: Math.max(1, Math.ceil((1 - bucket.tokens) / ratePerMs / 1000)),
+      floodStarted,
+      limits
+    };
+  }
+}
+
+// Singleton instance
+const sourceRateLimiter = new SourceRateLimiter();
+
+module.exports = sourceRateLimiter;
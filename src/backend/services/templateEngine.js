@@ -0,0 +1,454 @@
+/**
+ * Template Engine
+ * Small, sandboxed Handlebars-like renderer for route message templates.
+ * Templates can only read own properties of the render context: there is no
+ * code evaluation, prototype access is blocked and output/loop sizes are capped.
+ *
+ * Supported syntax:
+ *   {{field}}  {{a.b.c}}  {{commits.0.id}}  {{commits[0].id}}
+ *   {{field | upper}}  {{field | lower}}  {{field | truncate:80}}
+ *   {{field | date:"YYYY-MM-DD HH:mm"}}  {{field | date:"HH:mm":"Europe/Budapest"}}
+ *   {{field | json}}  {{list | join:", "}}
+ *   {{field | default:"n/a"}}
+ *   {{#if field}}...{{else}}...{{/if}}  {{#if status == "failed"}}  {{#if status equals "error"}}
+ *   {{#unless field}}...{{/unless}}
+ *   {{#each list}}{{@index}} {{this.name}} {{name}}{{else}}empty{{/each}}
+ *
+ * Backward compatibility: a plain {{field}} (no filters) outside of blocks renders
+ * like the previous regex substitution did: String(value || ''), so arrays join
+ * with "," and 0/false render empty, while unresolved names and objects are left
+ * as written. {{#...}}, {{/...}} and {{else}} tags that don't form a valid block
+ * are literal text. Inside blocks unresolved names render empty. Prototype names
+ * ({{constructor}}) never resolve. Dates are formatted in UTC unless a time zone
+ * is given.
+ */
+class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+const BLOCKED_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+const EACH_FRAME = Symbol('eachFrame');
+
+class TemplateEngine {
+  constructor() {
+    this.maxOutputLength = 20000;
+    this.maxIterations = 1000;
+    this.maxDepth = 10;
+
+    this.filters = {
+      upper: (value) => this.toText(value).toUpperCase(),
+      lower: (value) => this.toText(value).toLowerCase(),
+      truncate: (value, length = 100, suffix = '...') => {
+        const text = this.toText(value);
+        const max = parseInt(length) || 100;
+        return text.length > max ? text.substring(0, max) + suffix : text;
+      },
+      date: (value, format = 'YYYY-MM-DD HH:mm:ss', timeZone = 'UTC') => this.formatDate(value, format, timeZone),
+      json: (value, indent = 0) => JSON.stringify(value === undefined ? null : value, null, parseInt(indent) || 0),
+      join: (value, separator = ', ') => Array.isArray(value) ? value.map(item => this.toText(item)).join(separator) : this.toText(value),
+      default: (value, fallback = '') => (value === undefined || value === null || value === '') ? fallback : value,
+      length: (value) => (Array.isArray(value) || typeof value === 'string') ? value.length : 0
+    };
+  }
+
+  /**
+   * Render a template against a context object
+   * @param {string} template - Template source
+   * @param {Object} context - Values available to the template
+   * @returns {string} - Rendered text
+   * @throws {TemplateError} - On syntax errors or when limits are exceeded
+   */
+  render(template, context) {
+    const ast = this.parse(String(template));
+    const state = { iterations: 0, length: 0 };
+    return this.renderNodes(ast, [context || {}], state);
+  }
+
+  /**
+   * Parse a template into a node tree
+   * @param {string} template - Template source
+   * @returns {Array} - Nodes
+   */
+  parse(template) {
+    const root = { children: [] };
+    const stack = [root];
+    const tagPattern = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+    let lastIndex = 0;
+    let match;
+
+    const current = () => stack[stack.length - 1];
+    // Nodes after {{else}} go to the inverse branch of the open block
+    const append = (node) => {
+      const open = current();
+      (open.inverse || open.children).push(node);
+    };
+
+    while ((match = tagPattern.exec(template)) !== null) {
+      if (match.index > lastIndex) {
+        append({ type: 'text', value: template.substring(lastIndex, match.index) });
+      }
+      lastIndex = tagPattern.lastIndex;
+
+      const raw = match[0];
+      const tag = match[1];
+
+      // Block tags that don't open, close or split a block are literal text,
+      // as they were in templates written before blocks existed
+      const [, blockName, args] = tag.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+      const open = current();
+
+      if (tag.startsWith('#') && ['if', 'unless', 'each'].includes(blockName) && args) {
+        if (stack.length > this.maxDepth) {
+          throw new TemplateError('Template blocks are nested too deeply');
+        }
+        const node = { type: blockName, args, raw, children: [], inverse: null, elseRaw: null };
+        append(node);
+        stack.push(node);
+      } else if (tag.startsWith('/') && stack.length > 1 && open.type === tag.substring(1).trim()) {
+        stack.pop();
+      } else if (tag === 'else' && stack.length > 1 && !open.inverse) {
+        open.inverse = [];
+        open.elseRaw = raw;
+      } else if (tag.startsWith('#') || tag.startsWith('/') || tag === 'else') {
+        append({ type: 'text', value: raw });
+      } else if (tag.startsWith('!')) {
+        // Comment
+      } else {
+        append({ type: 'var', expression: tag, raw });
+      }
+    }
+
+    if (lastIndex < template.length) {
+      append({ type: 'text', value: template.substring(lastIndex) });
+    }
+
+    // An unclosed block was literal text after all: its tags become text, its content moves up
+    while (stack.length > 1) {
+      const node = stack.pop();
+      const parent = current();
+      const siblings = parent.inverse && parent.inverse.includes(node) ? parent.inverse : parent.children;
+      siblings.splice(siblings.indexOf(node), 1,
+        { type: 'text', value: node.raw },
+        ...node.children,
+        ...(node.inverse ? [{ type: 'text', value: node.elseRaw }, ...node.inverse] : []));
+    }
+
+    return root.children;
+  }
+
+  /**
+   * Render nodes with a scope chain (innermost scope last)
+   * topLevel is false for the content of blocks
+   */
+  renderNodes(nodes, scopes, state, topLevel = true) {
+    let output = '';
+
+    for (const node of nodes) {
+      let chunk = '';
+
+      switch (node.type) {
+        case 'text':
+          chunk = node.value;
+          break;
+        case 'var':
+          chunk = this.renderVariable(node, scopes, topLevel);
+          break;
+        case 'if':
+        case 'unless': {
+          let truthy = this.isTruthy(this.evaluateCondition(node.args, scopes));
+          if (node.type === 'unless') truthy = !truthy;
+          const branch = truthy ? node.children : (node.inverse || []);
+          chunk = this.renderNodes(branch, scopes, state, false);
+          break;
+        }
+        case 'each':
+          chunk = this.renderEach(node, scopes, state);
+          break;
+      }
+
+      // Block output is already counted by the nested renderNodes call
+      if (node.type === 'text' || node.type === 'var') {
+        state.length += chunk.length;
+      }
+      if (state.length > this.maxOutputLength) {
+        throw new TemplateError(`Rendered message exceeds ${this.maxOutputLength} characters`);
+      }
+      output += chunk;
+    }
+
+    return output;
+  }
+
+  /**
+   * Render an {{#each}} block over an array or object
+   */
+  renderEach(node, scopes, state) {
+    const collection = this.evaluateExpression(node.args, scopes);
+    let entries = [];
+
+    if (Array.isArray(collection)) {
+      entries = collection.map((item, index) => [index, item]);
+    } else if (collection && typeof collection === 'object') {
+      entries = Object.keys(collection).filter(key => !BLOCKED_KEYS.has(key)).map(key => [key, collection[key]]);
+    }
+
+    if (entries.length === 0) {
+      return this.renderNodes(node.inverse || [], scopes, state, false);
+    }
+
+    let output = '';
+    entries.forEach(([key, item], position) => {
+      state.iterations++;
+      if (state.iterations > this.maxIterations) {
+        throw new TemplateError(`Template loops exceed ${this.maxIterations} iterations`);
+      }
+
+      const frame = {
+        [EACH_FRAME]: true,
+        this: item,
+        '@index': position,
+        '@key': key,
+        '@first': position === 0,
+        '@last': position === entries.length - 1
+      };
+      output += this.renderNodes(node.children, [...scopes, frame], state, false);
+    });
+
+    return output;
+  }
+
+  /**
+   * Render a {{variable | filter}} tag
+   */
+  renderVariable(node, scopes, topLevel) {
+    const { path, filters } = this.splitExpression(node.expression);
+    const value = this.resolvePath(path, scopes);
+
+    // Plain placeholders outside of blocks render like the previous regex substitution:
+    // unresolved names and objects stay as written, other values as String(value || '')
+    if (topLevel && filters.length === 0) {
+      if (value === undefined || (value !== null && typeof value === 'object' && !Array.isArray(value))) {
+        return node.raw;
+      }
+      return String(value || '');
+    }
+
+    return this.toText(this.applyFilters(value, filters));
+  }
+
+  /**
+   * Evaluate an {{#if}} argument: "path", "path | filter" or a comparison
+   * ("path == literal", "path != literal", "path equals literal", "path not_equals literal")
+   */
+  evaluateCondition(args, scopes) {
+    const comparison = args.match(/^([\s\S]+?)\s*(==|!=|\sequals\s|\snot_equals\s)\s*([\s\S]+)$/);
+    if (!comparison) {
+      return this.evaluateExpression(args, scopes);
+    }
+
+    const left = this.evaluateExpression(comparison[1], scopes);
+    const right = this.parseLiteral(comparison[3].trim(), scopes);
+    const equal = String(left) === String(right);
+    return ['==', 'equals'].includes(comparison[2].trim()) ? equal : !equal;
+  }
+
+  /**
+   * Evaluate "path | filter:arg" to a value
+   */
+  evaluateExpression(expression, scopes) {
+    const { path, filters } = this.splitExpression(expression);
+    return this.applyFilters(this.resolvePath(path, scopes), filters);
+  }
+
+  /**
+   * Split an expression into its path and filter calls, respecting quoted arguments
+   * @returns {{path: string, filters: Array<{name: string, args: Array}>}}
+   */
+  splitExpression(expression) {
+    const parts = [];
+    let currentPart = '';
+    let quote = null;
+
+    for (const char of expression) {
+      if (quote) {
+        if (char === quote) quote = null;
+        currentPart += char;
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+        currentPart += char;
+      } else if (char === '|') {
+        parts.push(currentPart.trim());
+        currentPart = '';
+      } else {
+        currentPart += char;
+      }
+    }
+    parts.push(currentPart.trim());
+
+    const path = parts.shift();
+    const filters = parts.map(part => {
+      const [, name, argString] = part.match(/^(\w+)\s*(?::([\s\S]*))?$/) || [];
+      if (!name || !Object.prototype.hasOwnProperty.call(this.filters, name)) {
+        throw new TemplateError(`Unknown filter: ${part}`);
+      }
+      return { name, args: argString !== undefined ? this.splitArguments(argString) : [] };
+    });
+
+    return { path, filters };
+  }
+
+  /**
+   * Split "80" or "\", \"" or "80:\"…\"" filter arguments into literals
+   */
+  splitArguments(argString) {
+    const args = [];
+    const pattern = /\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^:]+)\s*(?::|$)/g;
+    let match;
+    while ((match = pattern.exec(argString)) !== null && match[0] !== '') {
+      args.push(this.parseLiteral(match[1].trim()));
+    }
+    return args;
+  }
+
+  /**
+   * Parse a quoted string, number, boolean or (with scopes) a path
+   */
+  parseLiteral(token, scopes = null) {
+    if (/^"([\s\S]*)"$/.test(token) || /^'([\s\S]*)'$/.test(token)) {
+      return token.slice(1, -1).replace(/\\(["'\\])/g, '$1');
+    }
+    if (/^-?\d+(\.\d+)?$/.test(token)) {
+      return parseFloat(token);
+    }
+    if (token === 'true' || token === 'false') {
+      return token === 'true';
+    }
+    if (token === 'null') {
+      return null;
+    }
+    return scopes ? this.resolvePath(token, scopes) : token;
+  }
+
+  applyFilters(value, filters) {
+    return filters.reduce((current, filter) => this.filters[filter.name](current, ...filter.args), value);
+  }
+
+  /**
+   * Resolve a dotted path against the scope chain (innermost first)
+   * "this" and "@index"-style names refer to the current {{#each}} item,
+   * paths through blocked prototype names resolve to undefined
+   */
+  resolvePath(path, scopes) {
+    if (!path) {
+      return undefined;
+    }
+
+    const parts = path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+    if (parts.some(part => BLOCKED_KEYS.has(part))) {
+      return undefined;
+    }
+
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const scope = scopes[i];
+      const [first, ...rest] = parts;
+
+      const isFrame = scope[EACH_FRAME] === true;
+
+      let base;
+      if (isFrame && (first === 'this' || first.startsWith('@'))) {
+        base = scope[first];
+      } else {
+        const owner = isFrame ? scope.this : scope;
+        if (!this.hasOwn(owner, first)) continue;
+        base = owner[first];
+      }
+
+      return this.walk(base, rest);
+    }
+
+    return undefined;
+  }
+
+  walk(value, parts) {
+    let current = value;
+    for (const part of parts) {
+      if (!this.hasOwn(current, part)) {
+        return undefined;
+      }
+      current = current[part];
+    }
+    return current;
+  }
+
+  hasOwn(obj, key) {
+    return obj !== null && typeof obj === 'object' && Object.prototype.hasOwnProperty.call(obj, key);
+  }
+
+  isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return Boolean(value);
+  }
+
+  /**
+   * Convert a value to output text (arrays joined, objects as JSON)
+   */
+  toText(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.map(item => this.toText(item)).join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  /**
+   * Format a date with YYYY, MM, DD, HH, mm, ss tokens in a time zone (UTC by default)
+   * Accepts ISO strings and unix timestamps in seconds or milliseconds
+   */
+  formatDate(value, format, timeZone = 'UTC') {
+    if (value === undefined || value === null || value === '') return '';
+
+    let date;
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+      const number = Number(value);
+      date = new Date(number < 1e12 ? number * 1000 : number);
+    } else {
+      date = new Date(value);
+    }
+
+    if (isNaN(date.getTime())) {
+      return this.toText(value);
+    }
+
+    let parts;
+    try {
+      parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: String(timeZone),
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+      }).formatToParts(date);
+    } catch (_e) {
+      throw new TemplateError(`Unknown time zone: ${timeZone}`);
+    }
+
+    const part = (type) => parts.find(item => item.type === type).value;
+    const tokens = {
+      YYYY: part('year'),
+      MM: part('month'),
+      DD: part('day'),
+      HH: part('hour'),
+      mm: part('minute'),
+      ss: part('second')
+    };
+
+    return String(format).replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+  }
+}
+
+// Singleton instance
+const templateEngine = new TemplateEngine();
+
+module.exports = templateEngine;
+module.exports.TemplateError = TemplateError;
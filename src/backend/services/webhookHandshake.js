@@ -0,0 +1,95 @@
+/**
+ * Webhook Handshake Service
+ * Answers the verification challenge some platforms send before delivering events,
+ * selected per source (sources.handshake). A challenge is answered with the exact
+ * response the sender expects and never becomes an event.
+ *
+ * A handshake is an object with:
+ *   label         - Human readable name
+ *   answer(req)   - Returns { body, contentType } when the request is a challenge, otherwise null
+ *
+ * Challenges are answered before the secret and signature checks (Microsoft Graph
+ * and WebSub verifiers can't authenticate), they only ever echo the challenge value.
+ */
+class WebhookHandshake {
+  constructor() {
+    this.maxChallengeLength = 4096;
+    this.handshakes = {};
+
+    this.register('slack', {
+      label: 'Slack Events API (url_verification)',
+      answer: (req) => {
+        const body = req.body || {};
+        if (req.method !== 'POST' || body.type !== 'url_verification') return null;
+        return this.echo(body.challenge);
+      }
+    });
+
+    this.register('ms_graph', {
+      label: 'Microsoft Graph (validationToken)',
+      answer: (req) => this.echo(req.query.validationToken)
+    });
+
+    this.register('websub', {
+      label: 'WebSub / Twitch (hub.challenge)',
+      answer: (req) => {
+        if (req.method !== 'GET' || !['subscribe', 'unsubscribe'].includes(req.query['hub.mode'])) return null;
+        return this.echo(req.query['hub.challenge']);
+      }
+    });
+
+    this.register('dropbox', {
+      label: 'Dropbox-style GET challenge (?challenge=)',
+      answer: (req) => {
+        if (req.method !== 'GET') return null;
+        return this.echo(req.query.challenge);
+      }
+    });
+  }
+
+  /**
+   * Register a handshake
+   * @param {string} name - Handshake name stored in sources.handshake
+   * @param {Object} handshake - { label, answer }
+   */
+  register(name, handshake) {
+    this.handshakes[name] = handshake;
+  }
+
+  /**
+   * Names accepted for sources.handshake ('none' answers no challenges)
+   * @returns {Array<string>}
+   */
+  getNames() {
+    return ['none', ...Object.keys(this.handshakes)];
+  }
+
+  /**
+   * Answer a challenge with the source's handshake
+   * @param {Object} source - Source record (handshake)
+   * @param {Object} req - Express request object (body already parsed)
+   * @returns {Object|null} - { body, contentType } or null when the request is not a challenge
+   */
+  answer(source, req) {
+    const handshake = this.handshakes[source.handshake];
+    return handshake ? handshake.answer(req) : null;
+  }
+
+  /**
+   * Plain text response echoing a challenge value
+   * @param {*} challenge - Challenge from the request
+   * @returns {Object|null} - null when the value is missing, not a string or too long
+   */
+  echo(challenge) {
+    if (typeof challenge !== 'string' || challenge === '' || challenge.length > this.maxChallengeLength) {
+      return null;
+    }
+
+    return { body: challenge, contentType: 'text/plain; charset=utf-8' };
+  }
+}
+
+// Singleton instance
+const webhookHandshake = new WebhookHandshake();
+
+module.exports = webhookHandshake;
@@ -0,0 +1,78 @@
+const database = require('../config/database');
+
+/**
+ * Webhook Rejections Service
+ * Records why an inbound request for a known source was refused, so a sender
+ * with a wrong secret or signature can be diagnosed from the UI.
+ *
+ * The log is bounded per source: every new rejection prunes the source's rows
+ * older than the retention period and beyond the newest maxPerSource.
+ */
+class WebhookRejections {
+  constructor() {
+    this.maxReasonLength = 255;
+    this.maxPerSource = parseInt(process.env.WEBHOOK_REJECTION_LIMIT) || 1000;
+    this.retentionDays = parseInt(process.env.WEBHOOK_REJECTION_RETENTION_DAYS) || 30;
+  }
+
+  /**
+   * Record a rejected request
+   * Failures are logged and never change the response sent to the caller
+   * @param {Object} source - Source record
+   * @param {Object} req - Express request object
+   * @param {string} reason - Why the request was rejected
+   * @param {number} statusCode - HTTP status returned to the sender
+   */
+  async record(source, req, reason, statusCode) {
+    console.log(`[REJECT] Source "${source.name}" (ID: ${source.id}) rejected request with ${statusCode}: ${reason}`);
+
+    try {
+      await database.query(
+        'INSERT INTO webhook_rejections (source_id, reason, status_code, client_ip) VALUES (?, ?, ?, ?)',
+        [source.id, String(reason).substring(0, this.maxReasonLength), statusCode, req.ip || null]
+      );
+      await this.prune(source.id);
+    } catch (error) {
+      console.error('[REJECT] Error recording rejection:', error.message);
+    }
+  }
+
+  /**
+   * Delete a source's rejections past the retention period or beyond the newest maxPerSource
+   * @param {number} sourceId - Source ID
+   */
+  async prune(sourceId) {
+    // The derived table lets MySQL read the table it deletes from
+    await database.query(
+      `DELETE FROM webhook_rejections
+       WHERE source_id = ?
+         AND (created_at < DATE_SUB(NOW(), INTERVAL ${parseInt(this.retentionDays)} DAY)
+           OR id < (SELECT id FROM (
+                SELECT id FROM webhook_rejections WHERE source_id = ? ORDER BY id DESC LIMIT 1 OFFSET ${parseInt(this.maxPerSource) - 1}
+              ) AS oldest_kept))`,
+      [sourceId, sourceId]
+    );
+  }
+
+  /**
+   * Most recent rejections of a source
+   * @param {number} sourceId - Source ID
+   * @param {number} limit - Maximum rows
+   * @returns {Array}
+   */
+  async list(sourceId, limit = 20) {
+    return database.query(
+      `SELECT id, reason, status_code, client_ip, created_at
+       FROM webhook_rejections
+       WHERE source_id = ?
+       ORDER BY id DESC
+       LIMIT ${parseInt(limit)}`,
+      [sourceId]
+    );
+  }
+}
+
+// Singleton instance
+const webhookRejections = new WebhookRejections();
+
+module.exports = webhookRejections;
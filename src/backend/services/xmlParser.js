@@ -0,0 +1,246 @@
+/**
+ * XML Parser
+ * Converts XML webhook bodies into plain objects so formatters, filters and
+ * templates can read them like JSON payloads:
+ *
+ *   <event id="7"><state>down</state><tag>a</tag><tag>b</tag></event>
+ *   => { event: { '@id': '7', state: 'down', tag: ['a', 'b'] } }
+ *
+ * Attributes are prefixed with '@', text next to child elements or attributes is
+ * stored as '#text', repeated elements become arrays. DOCTYPE declarations are
+ * skipped and only the predefined and numeric entities are expanded, so no
+ * external entities are ever loaded.
+ */
+class XmlParser {
+  constructor() {
+    this.maxDepth = 100;
+    this.entities = Object.assign(Object.create(null), { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' });
+  }
+
+  /**
+   * Check whether a Content-Type is XML
+   * @param {string} contentType - Content-Type header value
+   * @returns {boolean}
+   */
+  isXml(contentType) {
+    return /^\s*(application|text)\/([\w.-]+\+)?xml\s*(;|$)/i.test(contentType || '');
+  }
+
+  /**
+   * Encoding named in the XML declaration (<?xml version="1.0" encoding="ISO-8859-1"?>)
+   * @param {Buffer} buffer - Raw body
+   * @returns {string|null}
+   */
+  getDeclaredEncoding(buffer) {
+    const match = /^\s*<\?xml[^>]*\sencoding\s*=\s*["']([\w.:-]+)["']/.exec(buffer.subarray(0, 200).toString('latin1'));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Parse an XML document
+   * @param {string} text - XML document
+   * @returns {Object} - { rootName: value }
+   * @throws {Error} - When the document is not well-formed
+   */
+  parse(text) {
+    const document = { name: null, attributes: Object.create(null), children: Object.create(null), text: '' };
+    const stack = [document];
+    let position = 0;
+
+    while (position < text.length) {
+      const current = stack[stack.length - 1];
+      const tagStart = text.indexOf('<', position);
+
+      if (tagStart === -1) {
+        current.text += this.decodeEntities(text.substring(position));
+        break;
+      }
+
+      if (tagStart > position) {
+        current.text += this.decodeEntities(text.substring(position, tagStart));
+      }
+
+      if (text.startsWith('<!--', tagStart)) {
+        position = this.skipPast(text, '-->', tagStart, 'comment');
+      } else if (text.startsWith('<![CDATA[', tagStart)) {
+        const end = text.indexOf(']]>', tagStart);
+        if (end === -1) throw new Error('Unterminated CDATA section');
+        current.text += text.substring(tagStart + 9, end);
+        position = end + 3;
+      } else if (text.startsWith('<?', tagStart)) {
+        position = this.skipPast(text, '?>', tagStart, 'processing instruction');
+      } else if (text.startsWith('<!', tagStart)) {
+        position = this.skipDeclaration(text, tagStart);
+      } else if (text[tagStart + 1] === '/') {
+        const end = text.indexOf('>', tagStart);
+        if (end === -1) throw new Error('Unterminated closing tag');
+
+        const name = text.substring(tagStart + 2, end).trim();
+        const element = stack.pop();
+        if (stack.length === 0 || element.name !== name) {
+          throw new Error(`Unexpected closing tag </${name}>`);
+        }
+
+        this.appendChild(stack[stack.length - 1], element);
+        position = end + 1;
+      } else {
+        const end = this.findTagEnd(text, tagStart);
+        const selfClosing = text[end - 1] === '/';
+        const element = this.parseStartTag(text.substring(tagStart + 1, selfClosing ? end - 1 : end));
+
+        if (selfClosing) {
+          this.appendChild(current, element);
+        } else {
+          if (stack.length > this.maxDepth) throw new Error(`XML nesting deeper than ${this.maxDepth} levels`);
+          stack.push(element);
+        }
+        position = end + 1;
+      }
+    }
+
+    if (stack.length !== 1) {
+      throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+    }
+
+    const roots = Object.keys(document.children);
+    if (roots.length !== 1 || Array.isArray(document.children[roots[0]])) {
+      throw new Error('XML document must have exactly one root element');
+    }
+    if (document.text.trim()) {
+      throw new Error('Text outside the root element');
+    }
+
+    return Object.fromEntries(Object.entries(document.children));
+  }
+
+  /**
+   * Parse the inside of a start tag
+   * @param {string} content - Tag content without the angle brackets
+   * @returns {Object} - Element being built
+   */
+  parseStartTag(content) {
+    const nameMatch = /^\s*([^\s/>]+)/.exec(content);
+    if (!nameMatch) throw new Error('Element without a name');
+
+    const attributes = Object.create(null);
+    const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    const rest = content.substring(nameMatch[0].length);
+    let match;
+    while ((match = attributePattern.exec(rest)) !== null) {
+      attributes[match[1]] = this.decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+
+    return { name: nameMatch[1], attributes, children: Object.create(null), text: '' };
+  }
+
+  /**
+   * Add a finished element to its parent, repeated names become arrays
+   * @param {Object} parent - Parent element
+   * @param {Object} element - Finished element
+   */
+  appendChild(parent, element) {
+    const value = this.toValue(element);
+    const existing = parent.children[element.name];
+
+    if (existing === undefined) {
+      parent.children[element.name] = value;
+    } else if (Array.isArray(existing)) {
+      existing.push(value);
+    } else {
+      parent.children[element.name] = [existing, value];
+    }
+  }
+
+  /**
+   * Plain value of an element (built with defined properties, so a '__proto__'
+   * element or attribute stays an ordinary key)
+   * @param {Object} element - Finished element
+   * @returns {string|Object}
+   */
+  toValue(element) {
+    const text = element.text.trim();
+    const attributeNames = Object.keys(element.attributes);
+
+    if (attributeNames.length === 0 && Object.keys(element.children).length === 0) {
+      return text;
+    }
+
+    const entries = attributeNames.map(name => [`@${name}`, element.attributes[name]]);
+    entries.push(...Object.entries(element.children));
+    if (text) {
+      entries.push(['#text', text]);
+    }
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Position of the '>' closing a start tag (quoted attribute values may contain '>')
+   * @param {string} text - Document
+   * @param {number} start - Position of '<'
+   * @returns {number}
+   */
+  findTagEnd(text, start) {
+    let quote = null;
+    for (let i = start + 1; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+      } else if (char === '>') {
+        return i;
+      }
+    }
+    throw new Error('Unterminated start tag');
+  }
+
+  /**
+   * Skip a DOCTYPE (or other) declaration, including an internal subset in brackets
+   * @param {string} text - Document
+   * @param {number} start - Position of '<!'
+   * @returns {number} - Position after the declaration
+   */
+  skipDeclaration(text, start) {
+    let depth = 0;
+    for (let i = start + 2; i < text.length; i++) {
+      if (text[i] === '[') depth++;
+      else if (text[i] === ']') depth--;
+      else if (text[i] === '>' && depth <= 0) return i + 1;
+    }
+    throw new Error('Unterminated declaration');
+  }
+
+  /**
+   * Position after the next occurrence of a terminator
+   * @param {string} text - Document
+   * @param {string} terminator - e.g. '-->'
+   * @param {number} start - Search start
+   * @param {string} what - Construct name for the error message
+   * @returns {number}
+   */
+  skipPast(text, terminator, start, what) {
+    const end = text.indexOf(terminator, start);
+    if (end === -1) throw new Error(`Unterminated ${what}`);
+    return end + terminator.length;
+  }
+
+  /**
+   * Expand predefined and numeric character entities
+   * @param {string} value - Raw text
+   * @returns {string}
+   */
+  decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      }
+      return Object.hasOwn(this.entities, name) ? this.entities[name] : entity;
+    });
+  }
+}
+
+// Singleton instance
+const xmlParser = new XmlParser();
+
+module.exports = xmlParser;
@@ -148,6 +148,13 @@ class API {
     async createSource(sourceData) { return this._scopedCreate('sources', sourceData); }
     async updateSource(id, sourceData) { return this._scopedUpdate('sources', id, sourceData); }
     async checkSourceDeletion(id) { return this._scopedGet('sources', id, null, null, '/delete-check'); }
+    async getSourceRejections(id) { return this._scopedGet('sources', id, null, null, '/rejections'); }
+    async rotateSourceSecret(id, field, gracePeriod) {
+        return this.post(`${this._buildScopeEndpoint('sources')}/${id}/rotate`, { field, grace_period: gracePeriod });
+    }
+    async getSourceAliases(id) { return this._scopedGet('sources', id, null, null, '/aliases'); }
+    async addSourceAlias(id, alias) { return this.post(`${this._buildScopeEndpoint('sources')}/${id}/aliases`, { alias }); }
+    async deleteSourceAlias(id, aliasId) { return this.delete(`${this._buildScopeEndpoint('sources')}/${id}/aliases/${aliasId}`); }
     async deleteSource(id) { return this._scopedDelete('sources', id); }
 
     // Targets
@@ -162,14 +169,47 @@ class API {
     async createRoute(routeData) { return this._scopedCreate('routes', routeData); }
     async updateRoute(id, routeData) { return this._scopedUpdate('routes', id, routeData); }
     async deleteRoute(id) { return this._scopedDelete('routes', id); }
+    async previewRoute(previewData) { return this.post(`${this._buildScopeEndpoint('routes')}/preview`, previewData); }
 
     // Events
     async getEvent(id) { return this._scopedGet('events', id); }
     async deleteEvent(id) { return this._scopedDelete('events', id); }
-    async reprocessEvent(id) { return this.post(`/events/${id}/reprocess`); }
+    async reprocessEvent(id) { return this._scopedAction('events', id, 'reprocess'); }
+
+    /**
+     * Download a stored attachment of an event
+     * Binary responses can't go through request(), the file is saved via a blob URL
+     */
+    async downloadEventAttachment(eventId, attachmentId, filename) {
+        if (window.auth && window.auth.isAuthenticated()) {
+            await window.auth.ensureValidToken();
+        }
+
+        const response = await fetch(`${this.baseUrl}${this._buildScopeEndpoint('events')}/${eventId}/attachments/${attachmentId}`, {
+            headers: this.getHeaders(),
+            credentials: 'include'
+        });
+
+        if (window.auth && window.auth.handleAuthError(response)) {
+            throw new Error('Authentication required');
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
 
     // Deliveries
     async getDelivery(id) { return this._scopedGet('deliveries', id); }
+    async getDeliveryAttempts(id) { return this._scopedGet('deliveries', id, null, null, '/attempts'); }
     async retryDelivery(id) { return this._scopedAction('deliveries', id, 'retry'); }
     async deleteDelivery(id) { return this._scopedDelete('deliveries', id); }
 
@@ -590,13 +630,15 @@ class API {
         const statusClasses = {
             'success': 'status-success', 'completed': 'status-success', 'delivered': 'status-success',
             'error': 'status-error', 'failed': 'status-error',
-            'pending': 'status-pending', 'processing': 'status-processing', 'sent': 'status-processing'
+            'pending': 'status-pending', 'processing': 'status-processing', 'sent': 'status-processing',
+            'retry': 'status-pending'
         };
 
         const statusIcons = {
             'success': 'fas fa-check', 'completed': 'fas fa-check', 'delivered': 'fas fa-check',
             'error': 'fas fa-exclamation-triangle', 'failed': 'fas fa-times',
-            'pending': 'fas fa-clock', 'processing': 'fas fa-spinner fa-spin', 'sent': 'fas fa-paper-plane'
+            'pending': 'fas fa-clock', 'processing': 'fas fa-spinner fa-spin', 'sent': 'fas fa-paper-plane',
+            'retry': 'fas fa-redo'
         };
 
         const cssClass = statusClasses[status] || 'status-pending';
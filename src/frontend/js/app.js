@@ -793,7 +793,17 @@ class WebhookApp {
 
             return `
                 <tr>
-                    <td>${window.api.escapeHtml(source.name)}</td>
+                    <td>
+                        ${window.api.escapeHtml(source.name)}
+                        ${source.allowed_ips ? `<i class="fas fa-shield-alt text-muted" title="${i18n.t('sources.ip_restricted')}"></i>` : ''}
+                        ${source.allowed_methods && source.allowed_methods !== 'POST' ? `<i class="fas fa-exchange-alt text-muted" title="${i18n.t('sources.accepted_methods', { methods: source.allowed_methods.replace(/,/g, ', ') })}"></i>` : ''}
+                        ${source.rate_limit_max ? `<i class="fas fa-tachometer-alt text-muted" title="${i18n.t('sources.rate_limited', { max: source.rate_limit_max, window: source.rate_limit_window })}"></i>` : ''}
+                        ${source.rejections_24h > 0 ? `
+                            <span class="status-badge status-error" title="${i18n.t('sources.rejections.count_24h', { count: source.rejections_24h })}">
+                                <i class="fas fa-ban"></i> ${source.rejections_24h}
+                            </span>
+                        ` : ''}
+                    </td>
                     <td><span class="badge badge-secondary">${window.api.escapeHtml(source.type)}</span></td>
                     <td>
                         <div class="webhook-url-container">
@@ -802,6 +812,17 @@ class WebhookApp {
                                 <i class="fas fa-copy"></i>
                             </button>
                         </div>
+                        ${source.aliases ? source.aliases.split(' ').map(alias => {
+                            const aliasUrl = `${window.location.protocol}//${window.location.host}/webhook/${alias}`;
+                            return `
+                                <div class="webhook-url-container webhook-alias">
+                                    <code class="webhook-url" title="${window.api.escapeHtml(aliasUrl)}">${window.api.truncate(aliasUrl, 50)}</code>
+                                    <button class="btn btn-sm btn-outline-secondary copy-btn" onclick="app.copyToClipboard('${window.api.escapeHtml(aliasUrl)}')" title="${i18n.t('sources.copy_url')}">
+                                        <i class="fas fa-copy"></i>
+                                    </button>
+                                </div>
+                            `;
+                        }).join('') : ''}
                     </td>
                     <td>${window.api.formatDate(source.created_at)}</td>
                     <td>${window.api.generateActionButtons(source, 'Source')}</td>
@@ -884,9 +905,13 @@ class WebhookApp {
                             <option value="proxmox" ${source && source.type === 'proxmox' ? 'selected' : ''}>${i18n.t('sources.types.proxmox')}</option>
                             <option value="proxmox_backup" ${source && source.type === 'proxmox_backup' ? 'selected' : ''}>${i18n.t('sources.types.proxmox_backup')}</option>
                             <option value="gitlab" ${source && source.type === 'gitlab' ? 'selected' : ''}>${i18n.t('sources.types.gitlab')}</option>
+                            <option value="github" ${source && source.type === 'github' ? 'selected' : ''}>${i18n.t('sources.types.github')}</option>
+                            <option value="gitea" ${source && source.type === 'gitea' ? 'selected' : ''}>${i18n.t('sources.types.gitea')}</option>
                             <option value="docker_updater" ${source && source.type === 'docker_updater' ? 'selected' : ''}>${i18n.t('sources.types.docker_updater')}</option>
                             <option value="media-webhook" ${source && source.type === 'media-webhook' ? 'selected' : ''}>${i18n.t('sources.types.media_webhook')}</option>
                             <option value="uptime-kuma" ${source && source.type === 'uptime-kuma' ? 'selected' : ''}>${i18n.t('sources.types.uptime_kuma')}</option>
+                            <option value="alertmanager" ${source && source.type === 'alertmanager' ? 'selected' : ''}>${i18n.t('sources.types.alertmanager')}</option>
+                            <option value="home-assistant" ${source && source.type === 'home-assistant' ? 'selected' : ''}>${i18n.t('sources.types.home_assistant')}</option>
                             <option value="generic" ${source && source.type === 'generic' ? 'selected' : ''}>${i18n.t('sources.types.generic')}</option>
                         </select>
                     </div>
@@ -907,7 +932,149 @@ class WebhookApp {
                             ${i18n.t('sources.form_webhook_secret_help')}
                         </small>
                     </div>
+                    <div class="form-group">
+                        <label for="sourceSignatureScheme">${i18n.t('sources.form_signature_scheme')}</label>
+                        <select id="sourceSignatureScheme" name="signature_scheme" class="form-control">
+                            ${['default', 'github', 'gitea', 'slack', 'stripe', 'hmac_sha1_base64', 'hmac_sha512_base64'].map(scheme => `
+                                <option value="${scheme}" ${(source && source.signature_scheme ? source.signature_scheme : 'default') === scheme ? 'selected' : ''}>
+                                    ${i18n.t(`sources.signature_schemes.${scheme}`)}
+                                </option>
+                            `).join('')}
+                        </select>
+                        <small class="form-text text-muted">${i18n.t('sources.form_signature_scheme_help')}</small>
+                    </div>
+                    <div class="form-group">
+                        <label for="sourceSignatureTolerance">${i18n.t('sources.form_signature_tolerance')}</label>
+                        <input type="number" id="sourceSignatureTolerance" name="signature_tolerance" class="form-control" min="0" max="86400"
+                               value="${source && source.signature_tolerance !== null && source.signature_tolerance !== undefined ? source.signature_tolerance : ''}"
+                               placeholder="300">
+                        <small class="form-text text-muted">${i18n.t('sources.form_signature_tolerance_help')}</small>
+                    </div>
+                    <div class="form-group">
+                        <label for="sourceAllowedIps">${i18n.t('sources.form_allowed_ips')}</label>
+                        <textarea id="sourceAllowedIps" name="allowed_ips" class="form-control" rows="3"
+                                  placeholder="192.168.1.0/24&#10;10.0.0.5&#10;fd00::/8">${source && source.allowed_ips ? window.api.escapeHtml(source.allowed_ips) : ''}</textarea>
+                        <small class="form-text text-muted">${i18n.t('sources.form_allowed_ips_help')}</small>
+                    </div>
+                    <div class="form-group">
+                        <label>${i18n.t('sources.form_allowed_methods')}</label>
+                        <div class="allowed-methods">
+                            ${['POST', 'GET', 'PUT'].map(method => `
+                                <label>
+                                    <input type="checkbox" name="allowed_methods" value="${method}"
+                                           ${(source && source.allowed_methods ? source.allowed_methods : 'POST').split(',').includes(method) ? 'checked' : ''}>
+                                    ${method}
+                                </label>
+                            `).join('')}
+                        </div>
+                        <small class="form-text text-muted">${i18n.t('sources.form_allowed_methods_help')}</small>
+                    </div>
+                    <div class="form-group">
+                        <label for="sourceHandshake">${i18n.t('sources.form_handshake')}</label>
+                        <select id="sourceHandshake" name="handshake" class="form-control">
+                            ${['none', 'slack', 'ms_graph', 'websub', 'dropbox'].map(handshake => `
+                                <option value="${handshake}" ${(source && source.handshake ? source.handshake : 'none') === handshake ? 'selected' : ''}>
+                                    ${i18n.t(`sources.handshakes.${handshake}`)}
+                                </option>
+                            `).join('')}
+                        </select>
+                        <small class="form-text text-muted">${i18n.t('sources.form_handshake_help')}</small>
+                    </div>
+                    <div class="form-group">
+                        <label>${i18n.t('sources.form_rate_limit')}</label>
+                        <div class="rate-limit-inputs">
+                            <input type="number" id="sourceRateLimitMax" name="rate_limit_max" class="form-control" min="1" max="100000"
+                                   value="${source && source.rate_limit_max ? source.rate_limit_max : ''}"
+                                   placeholder="${i18n.t('sources.form_rate_limit_max')}" title="${i18n.t('sources.form_rate_limit_max')}">
+                            <span>/</span>
+                            <input type="number" id="sourceRateLimitWindow" name="rate_limit_window" class="form-control" min="1" max="86400"
+                                   value="${source && source.rate_limit_window ? source.rate_limit_window : 60}"
+                                   title="${i18n.t('sources.form_rate_limit_window')}">
+                            <span>${i18n.t('sources.form_rate_limit_seconds')}</span>
+                            <input type="number" id="sourceRateLimitBurst" name="rate_limit_burst" class="form-control" min="1" max="100000"
+                                   value="${source && source.rate_limit_burst ? source.rate_limit_burst : ''}"
+                                   placeholder="${i18n.t('sources.form_rate_limit_burst')}" title="${i18n.t('sources.form_rate_limit_burst')}">
+                        </div>
+                        <select id="sourceRateLimitAction" name="rate_limit_action" class="form-control">
+                            ${['reject', 'suppress'].map(action => `
+                                <option value="${action}" ${(source && source.rate_limit_action ? source.rate_limit_action : 'reject') === action ? 'selected' : ''}>
+                                    ${i18n.t(`sources.rate_limit_actions.${action}`)}
+                                </option>
+                            `).join('')}
+                        </select>
+                        <small class="form-text text-muted">${i18n.t('sources.form_rate_limit_help')}</small>
+                    </div>
+                    <div class="form-group">
+                        <label for="sourceMaxBodySize">${i18n.t('sources.form_max_body_size')}</label>
+                        <input type="number" id="sourceMaxBodySize" name="max_body_size" class="form-control" min="1" max="51200"
+                               value="${source && source.max_body_size ? Math.round(source.max_body_size / 1024) : ''}"
+                               placeholder="5120">
+                        <small class="form-text text-muted">${i18n.t('sources.form_max_body_size_help')}</small>
+                    </div>
+                    <div class="form-group">
+                        <label>${i18n.t('sources.form_response')}</label>
+                        <div class="rate-limit-inputs">
+                            <input type="number" id="sourceResponseStatus" name="response_status" class="form-control" min="200" max="299"
+                                   value="${source && source.response_status ? source.response_status : ''}"
+                                   placeholder="200" title="${i18n.t('sources.form_response_status')}">
+                            <input type="text" id="sourceResponseContentType" name="response_content_type" class="form-control" maxlength="100"
+                                   value="${source && source.response_content_type ? window.api.escapeHtml(source.response_content_type) : ''}"
+                                   placeholder="text/plain" title="${i18n.t('sources.form_response_content_type')}">
+                        </div>
+                        <textarea id="sourceResponseBody" name="response_body" class="form-control" rows="2" maxlength="2000"
+                                  placeholder="OK {{eventId}}">${source && source.response_body ? window.api.escapeHtml(source.response_body) : ''}</textarea>
+                        <small class="form-text text-muted">${i18n.t('sources.form_response_help')}</small>
+                        <label for="sourceWaitForDeliveries">
+                            <input type="checkbox" id="sourceWaitForDeliveries" name="wait_for_deliveries"
+                                   ${source && source.wait_for_deliveries ? 'checked' : ''}>
+                            ${i18n.t('sources.form_wait_for_deliveries')}
+                        </label>
+                        <small class="form-text text-muted">${i18n.t('sources.form_wait_for_deliveries_help')}</small>
+                    </div>
+                    <div class="form-group">
+                        <label for="sourceCaptureRequests">
+                            <input type="checkbox" id="sourceCaptureRequests" name="capture_requests"
+                                   ${source && source.capture_requests ? 'checked' : ''}>
+                            ${i18n.t('sources.form_capture_requests')}
+                        </label>
+                        <small class="form-text text-muted">${i18n.t('sources.form_capture_requests_help')}</small>
+                    </div>
                 </form>
+                ${isEdit ? `
+                    <div class="source-rotation">
+                        <h4><i class="fas fa-sync-alt"></i> ${i18n.t('sources.rotation.title')}</h4>
+                        <div id="sourceRotationStatus">${this.renderSourceRotationStatus(source)}</div>
+                        <div class="source-rotation-actions">
+                            <label for="sourceRotationGrace">${i18n.t('sources.rotation.grace_period')}</label>
+                            <input type="number" id="sourceRotationGrace" class="form-control" min="0" max="720" value="24">
+                            <button type="button" class="btn btn-sm btn-warning" onclick="app.rotateSourceSecret(${sourceId}, 'secret_key')">
+                                <i class="fas fa-sync-alt"></i> ${i18n.t('sources.rotation.rotate_url')}
+                            </button>
+                            ${source && source.webhook_secret ? `
+                                <button type="button" class="btn btn-sm btn-warning" onclick="app.rotateSourceSecret(${sourceId}, 'webhook_secret')">
+                                    <i class="fas fa-sync-alt"></i> ${i18n.t('sources.rotation.rotate_secret')}
+                                </button>
+                            ` : ''}
+                        </div>
+                        <small class="form-text text-muted">${i18n.t('sources.rotation.help')}</small>
+                    </div>
+                    <div class="source-aliases">
+                        <h4><i class="fas fa-link"></i> ${i18n.t('sources.aliases.title')}</h4>
+                        <div id="sourceAliases" class="text-muted">${i18n.t('common.loading')}</div>
+                        <div class="source-aliases-add">
+                            <span>/webhook/</span>
+                            <input type="text" id="sourceAliasInput" class="form-control" maxlength="255" placeholder="nas-main/synology">
+                            <button type="button" class="btn btn-sm btn-primary" onclick="app.addSourceAlias(${sourceId})">
+                                <i class="fas fa-plus"></i> ${i18n.t('sources.aliases.add')}
+                            </button>
+                        </div>
+                        <small class="form-text text-muted">${i18n.t('sources.aliases.help')}</small>
+                    </div>
+                    <div class="source-rejections">
+                        <h4><i class="fas fa-ban"></i> ${i18n.t('sources.rejections.title')}</h4>
+                        <div id="sourceRejections" class="text-muted">${i18n.t('common.loading')}</div>
+                    </div>
+                ` : ''}
             `,
             `
                 <button type="button" class="btn btn-secondary" onclick="app.closeModal()">${i18n.t('common.cancel')}</button>
@@ -927,6 +1094,8 @@ class WebhookApp {
             setTimeout(() => {
                 this.setupModalFormSubmit('sourceForm', 'saveSource', sourceId);
             }, 100);
+            this.loadSourceAliases(sourceId);
+            this.loadSourceRejections(sourceId);
         }
 
         // Focus first input
@@ -1059,6 +1228,191 @@ class WebhookApp {
         console.log(`✅ Modal form submit sikeresen beállítva: ${formId}`);
     }
 
+    /**
+     * Describe the rotated URL key and webhook secret of a source that are still in their grace period
+     * @param {Object} source - Source from the scoped source list
+     * @returns {string} - HTML
+     */
+    renderSourceRotationStatus(source) {
+        const lines = [];
+
+        if (source && source.previous_secret_key_expires_at) {
+            lines.push(i18n.t('sources.rotation.previous_url_valid', { date: window.api.formatDate(source.previous_secret_key_expires_at) }) + ' ' +
+                (source.previous_key_last_used
+                    ? i18n.t('sources.rotation.last_used', { date: window.api.formatDate(source.previous_key_last_used) })
+                    : i18n.t('sources.rotation.not_used')));
+        }
+
+        if (source && source.previous_webhook_secret_expires_at) {
+            lines.push(i18n.t('sources.rotation.previous_secret_valid', { date: window.api.formatDate(source.previous_webhook_secret_expires_at) }) + ' ' +
+                (source.previous_secret_last_used
+                    ? i18n.t('sources.rotation.last_used', { date: window.api.formatDate(source.previous_secret_last_used) })
+                    : i18n.t('sources.rotation.not_used')));
+        }
+
+        if (lines.length === 0) {
+            return `<p class="text-muted">${i18n.t('sources.rotation.none_pending')}</p>`;
+        }
+
+        return lines.map(line => `<p><i class="fas fa-hourglass-half"></i> ${line}</p>`).join('');
+    }
+
+    /**
+     * Issue a new URL key or webhook secret, the replaced one keeps working during the grace period
+     * @param {number} sourceId - Source ID
+     * @param {string} field - secret_key or webhook_secret
+     */
+    async rotateSourceSecret(sourceId, field) {
+        const message = field === 'secret_key' ? i18n.t('sources.rotation.confirm_url') : i18n.t('sources.rotation.confirm_secret');
+        if (!confirm(message)) {
+            return;
+        }
+
+        const graceInput = document.getElementById('sourceRotationGrace');
+        const graceHours = graceInput && graceInput.value !== '' ? parseInt(graceInput.value) : 24;
+
+        try {
+            const response = await window.api.rotateSourceSecret(sourceId, field, Math.max(0, graceHours) * 3600);
+            if (response.success) {
+                // Keep the open form in sync, saving it must not restore the old value
+                const input = document.getElementById(field === 'secret_key' ? 'sourceSecret' : 'sourceWebhookSecret');
+                if (input) {
+                    input.value = response.data.value;
+                }
+
+                await this.loadSources();
+                const status = document.getElementById('sourceRotationStatus');
+                if (status) {
+                    status.innerHTML = this.renderSourceRotationStatus(this.data.sources.find(s => s.id === sourceId));
+                }
+
+                this.showToast('success', i18n.t('common.success'), i18n.t('sources.rotation.rotated'));
+            }
+        } catch (error) {
+            console.error('Error rotating source secret:', error);
+            this.showToast('error', i18n.t('common.error'), `${i18n.t('sources.rotation.error')}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load the aliases (readable webhook paths) of a source into the edit modal
+     * @param {number} sourceId - Source ID
+     */
+    async loadSourceAliases(sourceId) {
+        const container = document.getElementById('sourceAliases');
+        if (!container) return;
+
+        const response = await window.api.getSourceAliases(sourceId);
+        if (!response.success) {
+            container.textContent = i18n.t('sources.aliases.load_error');
+            return;
+        }
+
+        if (response.data.length === 0) {
+            container.className = 'text-muted';
+            container.textContent = i18n.t('sources.aliases.none');
+            return;
+        }
+
+        container.className = '';
+        container.innerHTML = `
+            <table class="request-capture-table">
+                ${response.data.map(alias => `
+                    <tr>
+                        <td><code>/webhook/${window.api.escapeHtml(alias.alias)}</code></td>
+                        <td class="text-right">
+                            <button type="button" class="btn btn-sm btn-danger" onclick="app.deleteSourceAlias(${sourceId}, ${alias.id})" title="${i18n.t('common.delete')}">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    }
+
+    /**
+     * Add an alias to a source from the edit modal
+     * @param {number} sourceId - Source ID
+     */
+    async addSourceAlias(sourceId) {
+        const input = document.getElementById('sourceAliasInput');
+        const alias = input ? input.value.trim() : '';
+        if (!alias) {
+            return;
+        }
+
+        const response = await window.api.addSourceAlias(sourceId, alias);
+        if (!response.success) {
+            this.showToast('error', i18n.t('common.error'), `${i18n.t('sources.aliases.add_error')}: ${response.error}`);
+            return;
+        }
+
+        input.value = '';
+        await this.loadSourceAliases(sourceId);
+        await this.loadSources();
+        this.showToast('success', i18n.t('common.success'), i18n.t('sources.aliases.added', { alias: response.data.alias }));
+    }
+
+    /**
+     * Remove an alias of a source, its URL stops working immediately
+     * @param {number} sourceId - Source ID
+     * @param {number} aliasId - Alias ID
+     */
+    async deleteSourceAlias(sourceId, aliasId) {
+        if (!confirm(i18n.t('sources.aliases.confirm_delete'))) {
+            return;
+        }
+
+        const response = await window.api.deleteSourceAlias(sourceId, aliasId);
+        if (!response.success) {
+            this.showToast('error', i18n.t('common.error'), `${i18n.t('sources.aliases.delete_error')}: ${response.error}`);
+            return;
+        }
+
+        await this.loadSourceAliases(sourceId);
+        await this.loadSources();
+        this.showToast('success', i18n.t('common.success'), i18n.t('sources.aliases.deleted'));
+    }
+
+    /**
+     * Load the recent rejected requests of a source into the edit modal
+     * @param {number} sourceId - Source ID
+     */
+    async loadSourceRejections(sourceId) {
+        const container = document.getElementById('sourceRejections');
+        if (!container) return;
+
+        try {
+            const response = await window.api.getSourceRejections(sourceId);
+            const rejections = response.success ? response.data : [];
+
+            if (rejections.length === 0) {
+                container.textContent = i18n.t('sources.rejections.none');
+                return;
+            }
+
+            container.classList.remove('text-muted');
+            container.innerHTML = `
+                <table class="request-capture-table">
+                    ${rejections.map(rejection => `
+                        <tr>
+                            <th>${window.api.formatDate(rejection.created_at)}</th>
+                            <td>
+                                <strong>${rejection.status_code}</strong>
+                                ${window.api.escapeHtml(rejection.reason)}
+                                ${rejection.client_ip ? `<span class="text-muted">(${window.api.escapeHtml(rejection.client_ip)})</span>` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </table>
+            `;
+        } catch (error) {
+            console.error('Error loading source rejections:', error);
+            container.textContent = i18n.t('sources.rejections.load_error');
+        }
+    }
+
     /**
      * Save source (create or update)
      */
@@ -1097,7 +1451,22 @@ class WebhookApp {
                 name: formData.get('name'),
                 type: formData.get('type'),
                 secret_key: formData.get('secret_key'),
-                webhook_secret: formData.get('webhook_secret')
+                webhook_secret: formData.get('webhook_secret'),
+                signature_scheme: formData.get('signature_scheme') || 'default',
+                signature_tolerance: formData.get('signature_tolerance') !== '' ? parseInt(formData.get('signature_tolerance')) : null,
+                allowed_ips: formData.get('allowed_ips') || null,
+                allowed_methods: formData.getAll('allowed_methods').join(','),
+                handshake: formData.get('handshake') || 'none',
+                rate_limit_max: formData.get('rate_limit_max') !== '' ? parseInt(formData.get('rate_limit_max')) : null,
+                rate_limit_window: formData.get('rate_limit_window') !== '' ? parseInt(formData.get('rate_limit_window')) : 60,
+                rate_limit_burst: formData.get('rate_limit_burst') !== '' ? parseInt(formData.get('rate_limit_burst')) : null,
+                rate_limit_action: formData.get('rate_limit_action') || 'reject',
+                max_body_size: formData.get('max_body_size') !== '' ? parseInt(formData.get('max_body_size')) * 1024 : null,
+                response_status: formData.get('response_status') !== '' ? parseInt(formData.get('response_status')) : null,
+                response_content_type: formData.get('response_content_type') || null,
+                response_body: formData.get('response_body') || null,
+                wait_for_deliveries: formData.get('wait_for_deliveries') === 'on',
+                capture_requests: formData.get('capture_requests') === 'on'
             };
 
             // Validate required fields
@@ -1107,6 +1476,11 @@ class WebhookApp {
                 return;
             }
 
+            if (!data.allowed_methods) {
+                this.showToast('error', i18n.t('common.error'), i18n.t('sources.form_allowed_methods_required'));
+                return;
+            }
+
             // Remove empty secret_key for updates
             if (sourceId && !data.secret_key) {
                 delete data.secret_key;
@@ -1391,6 +1765,13 @@ class WebhookApp {
                                value="${target ? window.api.escapeHtml(target.webhook_url) : ''}"
                                placeholder="${i18n.t('targets.url_placeholder')}">
                     </div>
+                    <div class="form-group">
+                        <label for="targetRetryMaxAge">${i18n.t('targets.form_retry_max_age')}</label>
+                        <input type="number" id="targetRetryMaxAge" name="retry_max_age" class="form-control" min="0"
+                               value="${target && target.retry_max_age !== null && target.retry_max_age !== undefined ? target.retry_max_age : ''}"
+                               placeholder="${i18n.t('targets.form_retry_max_age_placeholder')}">
+                        <small class="form-text text-muted">${i18n.t('targets.form_retry_max_age_help')}</small>
+                    </div>
                 </form>
             `,
             `
@@ -1450,10 +1831,12 @@ class WebhookApp {
                 team_id: formData.get('team_id')
             });
 
+            const retryMaxAge = formData.get('retry_max_age');
             const data = {
                 name: formData.get('name'),
                 type: formData.get('type'),
-                webhook_url: formData.get('webhook_url')
+                webhook_url: formData.get('webhook_url'),
+                retry_max_age: retryMaxAge === '' || retryMaxAge === null ? null : parseInt(retryMaxAge)
             };
 
             // Validate required fields
@@ -1614,7 +1997,10 @@ class WebhookApp {
             return `
                 <tr>
                     <td>${source ? window.api.escapeHtml(source.name) : window.api.escapeHtml(route.source_name || 'N/A')}</td>
-                    <td>${target ? window.api.escapeHtml(target.name) : window.api.escapeHtml(route.target_name || 'N/A')}</td>
+                    <td>
+                        ${target ? window.api.escapeHtml(target.name) : window.api.escapeHtml(route.target_name || 'N/A')}
+                        ${route.filter_rules ? `<i class="fas fa-filter text-muted" title="${i18n.t('routes.filter.active')}"></i>` : ''}
+                    </td>
                     <td><code>${window.api.truncate(route.message_template || i18n.t('routes.template_default'), 50)}</code></td>
                     <td>${window.api.formatDate(route.created_at)}</td>
                     <td>${window.api.generateActionButtons(route, 'Route')}</td>
@@ -1631,6 +2017,7 @@ class WebhookApp {
     showRouteModal(routeId = null) {
         const isEdit = routeId !== null;
         const route = isEdit ? this.data.routes.find(r => r.id === routeId) : null;
+        const filterRules = route ? this.parseRouteFilterRules(route.filter_rules) : null;
 
         const sourcesOptions = this.data.sources.map(source =>
             `<option value="${source.id}" ${route && route.source_id === source.id ? 'selected' : ''}>
@@ -1669,6 +2056,49 @@ class WebhookApp {
                         <small class="form-text text-muted">
                             ${i18n.t('routes.form_template_help')}
                         </small>
+                        <div id="routeTemplatePreset" class="route-template-preset" style="display: none;">
+                            <button type="button" class="btn btn-sm btn-secondary" onclick="app.applyRouteTemplatePreset()">
+                                <i class="fas fa-magic"></i> ${i18n.t('routes.template_preset.apply')}
+                            </button>
+                        </div>
+                    </div>
+                    <div class="route-filter-section">
+                        <label>${i18n.t('routes.filter.title')}</label>
+                        <small class="form-text text-muted mb-10">${i18n.t('routes.filter.help')}</small>
+                        <div class="form-group">
+                            <label for="routeEventInclude">${i18n.t('routes.filter.event_include')}</label>
+                            <input type="text" id="routeEventInclude" class="form-control"
+                                   value="${window.api.escapeHtml((filterRules?.event_types?.include || []).join(', '))}"
+                                   placeholder="${i18n.t('routes.filter.event_types_placeholder')}">
+                        </div>
+                        <div class="form-group">
+                            <label for="routeEventExclude">${i18n.t('routes.filter.event_exclude')}</label>
+                            <input type="text" id="routeEventExclude" class="form-control"
+                                   value="${window.api.escapeHtml((filterRules?.event_types?.exclude || []).join(', '))}"
+                                   placeholder="${i18n.t('routes.filter.event_types_placeholder')}">
+                        </div>
+                        <div class="form-group">
+                            <label for="routeFilterMatch">${i18n.t('routes.filter.match')}</label>
+                            <select id="routeFilterMatch" class="form-control">
+                                <option value="all" ${filterRules?.match !== 'any' ? 'selected' : ''}>${i18n.t('routes.filter.match_all')}</option>
+                                <option value="any" ${filterRules?.match === 'any' ? 'selected' : ''}>${i18n.t('routes.filter.match_any')}</option>
+                            </select>
+                        </div>
+                        <div id="routeConditions">
+                            ${(filterRules?.conditions || []).map(condition => this.renderRouteConditionRow(condition)).join('')}
+                        </div>
+                        <button type="button" class="btn btn-sm btn-secondary" onclick="app.addRouteCondition()">
+                            <i class="fas fa-plus"></i> ${i18n.t('routes.filter.add_condition')}
+                        </button>
+                    </div>
+                    <div class="route-preview-section">
+                        <label for="routePreviewEvent">${i18n.t('routes.preview.title')}</label>
+                        <select id="routePreviewEvent" class="form-control mb-10">
+                            <option value="">${i18n.t('routes.preview.sample_payload')}</option>
+                        </select>
+                        <textarea id="routePreviewPayload" class="form-control" rows="3"></textarea>
+                        <div id="routePreviewStatus" class="route-preview-status"></div>
+                        <pre id="routePreviewOutput" class="code-block route-preview-output">${i18n.t('routes.preview.empty')}</pre>
                     </div>
                 </form>
             `,
@@ -1680,8 +2110,264 @@ class WebhookApp {
             `
         );
 
-        // Focus first select
-        setTimeout(() => document.getElementById('routeSource').focus(), 100);
+        // Focus first select, wire up the live preview
+        setTimeout(() => {
+            document.getElementById('routeSource').focus();
+            this.setupRoutePreview(routeId);
+            this.updateRouteTemplatePreset();
+            document.getElementById('routeSource').addEventListener('change', () => this.updateRouteTemplatePreset());
+        }, 100);
+    }
+
+    /**
+     * Wire up the live preview of the route modal
+     * Any change of the form re-renders the preview (debounced)
+     */
+    setupRoutePreview(routeId = null) {
+        const form = document.getElementById('routeForm');
+        if (!form) return;
+
+        const schedule = () => {
+            clearTimeout(this.routePreviewTimer);
+            this.routePreviewTimer = setTimeout(() => this.updateRoutePreview(routeId), 400);
+        };
+
+        // Set as a property: the JSON sample contains quotes
+        document.getElementById('routePreviewPayload').placeholder = i18n.t('routes.preview.payload_placeholder');
+
+        form.addEventListener('input', schedule);
+        form.addEventListener('change', schedule);
+        form.addEventListener('click', (e) => {
+            // Removing a condition row does not fire input/change
+            if (e.target.closest('.btn')) schedule();
+        });
+
+        document.getElementById('routeSource').addEventListener('change', () => this.loadRoutePreviewEvents());
+        this.loadRoutePreviewEvents();
+    }
+
+    /**
+     * Message template presets per source type (inserted from the route modal)
+     * @param {string} sourceType - Source type
+     * @returns {string|null} - Template, or null when the type has no preset
+     */
+    getRouteTemplatePreset(sourceType) {
+        const presets = {
+            // Matches the rest_command / notify.rest payloads of the Home Assistant guide
+            'home-assistant': [
+                '{{#if entity_id}}🏠 **{{#if friendly_name}}{{friendly_name}}{{else}}{{entity_id}}{{/if}}**',
+                '{{#if old_state}}{{old_state}} → {{/if}}{{#if new_state}}{{new_state}}{{else}}{{state}}{{/if}}{{#if attributes.unit_of_measurement}} {{attributes.unit_of_measurement}}{{/if}}',
+                '{{else}}🔔 **{{title | default:"Home Assistant"}}**',
+                '{{message}}{{/if}}'
+            ].join('\n')
+        };
+        return presets[sourceType] || null;
+    }
+
+    /**
+     * Show the preset button when the selected source's type has a template preset
+     */
+    updateRouteTemplatePreset() {
+        const container = document.getElementById('routeTemplatePreset');
+        if (!container) return;
+
+        const sourceId = parseInt(document.getElementById('routeSource')?.value);
+        const source = this.data.sources.find(s => s.id === sourceId);
+        container.style.display = source && this.getRouteTemplatePreset(source.type) ? '' : 'none';
+    }
+
+    /**
+     * Insert the template preset of the selected source's type
+     */
+    applyRouteTemplatePreset() {
+        const sourceId = parseInt(document.getElementById('routeSource')?.value);
+        const source = this.data.sources.find(s => s.id === sourceId);
+        const preset = source ? this.getRouteTemplatePreset(source.type) : null;
+        const textarea = document.getElementById('routeTemplate');
+        if (!preset || !textarea) return;
+
+        if (textarea.value.trim() && !confirm(i18n.t('routes.template_preset.confirm_replace'))) {
+            return;
+        }
+
+        textarea.value = preset;
+        // Refresh the live preview
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Fill the preview event selector with recent events of the selected source
+     */
+    async loadRoutePreviewEvents() {
+        const select = document.getElementById('routePreviewEvent');
+        const sourceId = parseInt(document.getElementById('routeSource')?.value);
+        if (!select) return;
+
+        select.innerHTML = `<option value="">${i18n.t('routes.preview.sample_payload')}</option>`;
+        if (!sourceId) {
+            this.updateRoutePreview();
+            return;
+        }
+
+        try {
+            const scope = window.scopeManager.getCurrentScope();
+            const teamId = window.scopeManager.getActiveTeamId();
+            const response = await window.api.getScopeBasedEvents(scope, teamId, { source_id: sourceId, limit: 10 });
+            const events = response.success ? response.data : [];
+
+            select.innerHTML += events.map(event =>
+                `<option value="${event.id}">#${event.id} ${window.api.escapeHtml(event.event_type || '')} - ${window.api.formatDate(event.received_at)}</option>`
+            ).join('');
+
+            // Preview against the latest real event by default
+            if (events.length > 0) {
+                select.value = String(events[0].id);
+            }
+        } catch (error) {
+            console.error('Error loading preview events:', error);
+        }
+
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Render the route preview through the dry-run API
+     */
+    async updateRoutePreview(routeId = null) {
+        const output = document.getElementById('routePreviewOutput');
+        const status = document.getElementById('routePreviewStatus');
+        const payloadInput = document.getElementById('routePreviewPayload');
+        if (!output || !status) return;
+
+        const eventId = parseInt(document.getElementById('routePreviewEvent')?.value) || null;
+        payloadInput.style.display = eventId ? 'none' : '';
+
+        const previewData = {
+            route_id: routeId,
+            source_id: parseInt(document.getElementById('routeSource')?.value) || null,
+            target_id: parseInt(document.getElementById('routeTarget')?.value) || null,
+            message_template: document.getElementById('routeTemplate')?.value || null,
+            filter_rules: this.collectRouteFilterRules()
+        };
+
+        if (eventId) {
+            previewData.event_id = eventId;
+        } else if (payloadInput.value.trim()) {
+            previewData.payload = payloadInput.value;
+        } else {
+            status.innerHTML = '';
+            output.textContent = i18n.t('routes.preview.empty');
+            return;
+        }
+
+        try {
+            const response = await window.api.previewRoute(previewData);
+            if (!response.success) return;
+
+            const preview = response.data;
+            const notes = [
+                `<span class="text-muted">${i18n.t('routes.preview.event_type')}: <code>${window.api.escapeHtml(preview.event_type || '-')}</code></span>`,
+                preview.matches_filter
+                    ? `<span class="text-success"><i class="fas fa-check"></i> ${i18n.t('routes.preview.would_deliver')}</span>`
+                    : `<span class="text-warning"><i class="fas fa-filter"></i> ${i18n.t('routes.preview.filtered_out')}</span>`
+            ];
+            if (preview.uses_formatter) {
+                notes.push(`<span class="text-muted"><i class="fas fa-info-circle"></i> ${i18n.t('routes.preview.uses_formatter')}</span>`);
+            }
+            if (preview.filter_error) {
+                notes.push(`<span class="text-danger">${window.api.escapeHtml(preview.filter_error)}</span>`);
+            }
+            if (preview.template_error) {
+                notes.push(`<span class="text-danger"><i class="fas fa-exclamation-triangle"></i> ${window.api.escapeHtml(preview.template_error)}</span>`);
+            }
+
+            status.innerHTML = notes.join(' &bull; ');
+            output.textContent = JSON.stringify(preview.body, null, 2);
+        } catch (error) {
+            status.innerHTML = `<span class="text-danger">${window.api.escapeHtml(error.message)}</span>`;
+            output.textContent = '';
+        }
+    }
+
+    /**
+     * Parse stored route filter rules (JSON column may arrive as string or object)
+     */
+    parseRouteFilterRules(raw) {
+        if (!raw) return null;
+        if (typeof raw === 'object') return raw;
+        try {
+            return JSON.parse(raw);
+        } catch (_e) {
+            return null;
+        }
+    }
+
+    /**
+     * Render one payload field condition row of the route filter editor
+     */
+    renderRouteConditionRow(condition = {}) {
+        const operators = ['equals', 'not_equals', 'regex', 'exists', 'not_exists', 'gt', 'gte', 'lt', 'lte'];
+        const operatorOptions = operators.map(op =>
+            `<option value="${op}" ${condition.op === op ? 'selected' : ''}>${i18n.t(`routes.filter.operators.${op}`)}</option>`
+        ).join('');
+        const value = condition.value !== undefined && condition.value !== null ? String(condition.value) : '';
+
+        return `
+            <div class="route-condition-row">
+                <input type="text" class="form-control condition-path" value="${window.api.escapeHtml(condition.path || '')}"
+                       placeholder="${i18n.t('routes.filter.path_placeholder')}">
+                <select class="form-control condition-op">${operatorOptions}</select>
+                <input type="text" class="form-control condition-value" value="${window.api.escapeHtml(value)}"
+                       placeholder="${i18n.t('routes.filter.value_placeholder')}">
+                <button type="button" class="btn btn-sm btn-danger" onclick="this.closest('.route-condition-row').remove()" title="${i18n.t('common.delete')}">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Add an empty condition row to the route filter editor
+     */
+    addRouteCondition() {
+        const container = document.getElementById('routeConditions');
+        if (container) {
+            container.insertAdjacentHTML('beforeend', this.renderRouteConditionRow({ op: 'equals' }));
+        }
+    }
+
+    /**
+     * Collect route filter rules from the modal, null when no rule is set
+     */
+    collectRouteFilterRules() {
+        const splitList = (id) => (document.getElementById(id)?.value || '')
+            .split(',')
+            .map(item => item.trim())
+            .filter(Boolean);
+
+        const include = splitList('routeEventInclude');
+        const exclude = splitList('routeEventExclude');
+
+        const conditions = Array.from(document.querySelectorAll('#routeConditions .route-condition-row'))
+            .map(row => {
+                const op = row.querySelector('.condition-op').value;
+                const condition = { path: row.querySelector('.condition-path').value.trim(), op };
+                if (!['exists', 'not_exists'].includes(op)) {
+                    condition.value = row.querySelector('.condition-value').value;
+                }
+                return condition;
+            })
+            .filter(condition => condition.path);
+
+        if (include.length === 0 && exclude.length === 0 && conditions.length === 0) {
+            return null;
+        }
+
+        return {
+            event_types: { include, exclude },
+            match: document.getElementById('routeFilterMatch')?.value || 'all',
+            conditions
+        };
     }
 
     /**
@@ -1755,7 +2441,8 @@ class WebhookApp {
             const data = {
                 source_id: parseInt(formData.get('source_id')),
                 target_id: parseInt(formData.get('target_id')),
-                message_template: formData.get('message_template') || null
+                message_template: formData.get('message_template') || null,
+                filter_rules: this.collectRouteFilterRules()
             };
 
             console.log('💾 Route mentés kezdete:', { routeId, data });
@@ -1929,7 +2616,12 @@ class WebhookApp {
             return `
                 <tr>
                     <td>${source ? window.api.escapeHtml(source.name) : window.api.escapeHtml(event.source_name || 'N/A')}</td>
-                    <td>${window.api.escapeHtml(event.event_type || 'N/A')}</td>
+                    <td>
+                        ${window.api.escapeHtml(event.event_type || 'N/A')}
+                        ${event.duplicate_of ? `<span class="text-muted" title="${i18n.t('events.duplicate_of', { id: event.duplicate_of })}"><i class="fas fa-clone"></i></span>` : ''}
+                        ${event.secret_key_used === 'previous' || event.webhook_secret_used === 'previous' ? `<span class="text-warning" title="${i18n.t('events.previous_credentials_used')}"><i class="fas fa-key"></i></span>` : ''}
+                        ${event.rate_limited ? `<span class="text-warning" title="${i18n.t('events.rate_limited')}"><i class="fas fa-tachometer-alt"></i></span>` : ''}
+                    </td>
                     <td>${window.api.formatDate(event.received_at)}</td>
                     <td>${window.api.formatDate(event.processed_at)}</td>
                     <td>${window.api.generateStatusBadge(status)}</td>
@@ -1980,6 +2672,33 @@ class WebhookApp {
                             <label>${i18n.t('events.labels.type')}</label>
                             <div class="form-control">${event.event_type || i18n.t('common.not_available')}</div>
                         </div>
+                        ${event.duplicate_of ? `
+                            <div class="form-group">
+                                <label>${i18n.t('events.labels.duplicate')}</label>
+                                <div class="form-control">
+                                    <i class="fas fa-clone"></i> ${i18n.t('events.duplicate_of', { id: event.duplicate_of })}
+                                    <a href="#" onclick="app.viewEvent(${event.duplicate_of}); return false;">${i18n.t('events.view_original')}</a>
+                                </div>
+                            </div>
+                        ` : ''}
+                        ${event.rate_limited ? `
+                            <div class="form-group">
+                                <label>${i18n.t('events.labels.rate_limited')}</label>
+                                <div class="form-control">
+                                    <i class="fas fa-tachometer-alt text-warning"></i> ${i18n.t('events.rate_limited')}
+                                </div>
+                            </div>
+                        ` : ''}
+                        ${event.secret_key_used ? `
+                            <div class="form-group">
+                                <label>${i18n.t('events.labels.credentials')}</label>
+                                <div class="form-control">
+                                    <i class="fas fa-key ${event.secret_key_used === 'previous' || event.webhook_secret_used === 'previous' ? 'text-warning' : ''}"></i>
+                                    ${i18n.t('events.credentials.url_key')}: ${i18n.t(`events.credentials.${event.secret_key_used}`)},
+                                    ${i18n.t('events.credentials.webhook_secret')}: ${i18n.t(`events.credentials.${event.webhook_secret_used || 'none'}`)}
+                                </div>
+                            </div>
+                        ` : ''}
                         <div class="form-group">
                             <label>${i18n.t('events.labels.received')}</label>
                             <div class="form-control">${window.api.formatDate(event.received_at)}</div>
@@ -1992,6 +2711,8 @@ class WebhookApp {
                             <label>${i18n.t('events.labels.payload')}</label>
                             <div class="code-block">${JSON.stringify(event.payload_json, null, 2)}</div>
                         </div>
+                        ${event.attachments && event.attachments.length > 0 ? this.renderEventAttachments(event) : ''}
+                        ${event.request_capture ? this.renderRequestCapture(event.request_capture) : ''}
                     `,
                     `
                         <button type="button" class="btn btn-secondary" onclick="app.closeModal()">${i18n.t('common.close')}</button>
@@ -2005,6 +2726,79 @@ class WebhookApp {
         }
     }
 
+    /**
+     * Render the files posted with a multipart event
+     * @param {Object} event - Event with its attachments
+     * @returns {string} - HTML
+     */
+    renderEventAttachments(event) {
+        const esc = (value) => window.api.escapeHtml(String(value));
+        this.viewedEventAttachments = event.attachments;
+
+        return `
+            <div class="event-attachments">
+                <h4><i class="fas fa-paperclip"></i> ${i18n.t('events.attachments.title')}</h4>
+                ${event.attachments.map(attachment => `
+                    <div class="event-attachment">
+                        <span class="event-attachment-name">${esc(attachment.filename)}</span>
+                        <span class="text-muted">${esc(attachment.content_type || i18n.t('events.capture.no_content_type'))}</span>
+                        <span class="text-muted">${i18n.t('events.attachments.size', { size: attachment.size })}</span>
+                        <button type="button" class="btn btn-sm btn-secondary" onclick="app.downloadEventAttachment(${event.id}, ${attachment.id})" title="${i18n.t('events.attachments.download')}">
+                            <i class="fas fa-download"></i>
+                        </button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Download an event attachment
+     */
+    async downloadEventAttachment(eventId, attachmentId) {
+        const attachment = (this.viewedEventAttachments || []).find(item => item.id === attachmentId);
+
+        try {
+            await window.api.downloadEventAttachment(eventId, attachmentId, attachment ? attachment.filename : `attachment-${attachmentId}`);
+        } catch (error) {
+            console.error('Error downloading attachment:', error);
+            this.showToast('error', i18n.t('common.error'), i18n.t('events.attachments.download_error'));
+        }
+    }
+
+    /**
+     * Render a captured inbound request (request bin style)
+     * @param {Object} capture - Stored request of the event
+     * @returns {string} - HTML
+     */
+    renderRequestCapture(capture) {
+        const esc = (value) => window.api.escapeHtml(String(value));
+        const renderPairs = (values) => Object.entries(values || {})
+            .map(([name, value]) => `<tr><th>${esc(name)}</th><td>${esc(Array.isArray(value) ? value.join(', ') : value)}</td></tr>`)
+            .join('');
+        const hasQuery = capture.query_json && Object.keys(capture.query_json).length > 0;
+
+        return `
+            <div class="request-capture">
+                <h4><i class="fas fa-inbox"></i> ${i18n.t('events.capture.title')}</h4>
+                <div class="request-capture-line">
+                    <span class="request-capture-method">${esc(capture.method)}</span>
+                    <span>${esc(capture.content_type || i18n.t('events.capture.no_content_type'))}</span>
+                    <span>${i18n.t('events.capture.client_ip')}: ${esc(capture.client_ip || i18n.t('common.not_available'))}</span>
+                    <span>${i18n.t('events.capture.body_size', { size: capture.body_size })}</span>
+                </div>
+                ${hasQuery ? `
+                    <label>${i18n.t('events.capture.query')}</label>
+                    <table class="request-capture-table">${renderPairs(capture.query_json)}</table>
+                ` : ''}
+                <label>${i18n.t('events.capture.headers')}</label>
+                <table class="request-capture-table">${renderPairs(capture.headers_json)}</table>
+                <label>${i18n.t('events.capture.raw_body')}</label>
+                <div class="code-block">${capture.raw_body ? esc(capture.raw_body) : `<span class="text-muted">${i18n.t('events.capture.empty_body')}</span>`}</div>
+            </div>
+        `;
+    }
+
     /**
      * Reprocess event
      */
@@ -2013,7 +2807,8 @@ class WebhookApp {
             const response = await window.api.reprocessEvent(eventId);
             if (response.success) {
                 await this.loadEvents();
-                this.showToast('success', i18n.t('common.success'), i18n.t('events.reprocess_started'));
+                const count = response.data?.deliveries ? response.data.deliveries.length : 0;
+                this.showToast('success', i18n.t('common.success'), i18n.t('events.reprocess_started', { count }));
             }
 
         } catch (error) {
@@ -2085,7 +2880,10 @@ class WebhookApp {
 
             return `
                 <tr>
-                    <td>${delivery.event_id}</td>
+                    <td>
+                        ${delivery.event_id}
+                        ${delivery.is_replay ? `<i class="fas fa-history text-muted" title="${i18n.t('deliveries.replay')}"></i>` : ''}
+                    </td>
                     <td>${target ? window.api.escapeHtml(target.name) : window.api.escapeHtml(delivery.target_name || 'N/A')}</td>
                     <td>${window.api.generateStatusBadge(delivery.status)}</td>
                     <td>${delivery.attempts || 0}</td>
@@ -2093,7 +2891,7 @@ class WebhookApp {
                     <td>${window.api.formatDate(delivery.sent_at)}</td>
                     <td>
                         <div class="action-buttons">
-                            ${delivery.status === 'failed' ? `
+                            ${['failed', 'retry'].includes(delivery.status) ? `
                                 <button class="btn btn-sm btn-warning" onclick="app.retryDelivery(${delivery.id})" title="${i18n.t('actions.retry')}">
                                     <i class="fas fa-redo"></i>
                                 </button>
@@ -2118,10 +2916,17 @@ class WebhookApp {
      */
     async viewDelivery(deliveryId) {
         try {
-            const response = await window.api.getDelivery(deliveryId);
+            const [response, attemptsResponse] = await Promise.all([
+                window.api.getDelivery(deliveryId),
+                window.api.getDeliveryAttempts(deliveryId).catch(error => {
+                    console.error('Error loading delivery attempts:', error);
+                    return null;
+                })
+            ]);
             if (response.success) {
                 const delivery = response.data;
                 const target = this.data.targets.find(t => t.id === delivery.target_id);
+                const attempts = attemptsResponse && attemptsResponse.success ? attemptsResponse.data : [];
 
                 this.showModal(
                     i18n.t('deliveries.details_title'),
@@ -2132,7 +2937,10 @@ class WebhookApp {
                         </div>
                         <div class="form-group">
                             <label>${i18n.t('deliveries.labels.event_id')}</label>
-                            <div class="form-control">${delivery.event_id}</div>
+                            <div class="form-control">
+                                ${delivery.event_id}
+                                ${delivery.is_replay ? `<span class="text-muted"><i class="fas fa-history"></i> ${i18n.t('deliveries.replay')}</span>` : ''}
+                            </div>
                         </div>
                         <div class="form-group">
                             <label>${i18n.t('deliveries.labels.target')}</label>
@@ -2150,16 +2958,26 @@ class WebhookApp {
                             <label>${i18n.t('deliveries.labels.sent')}</label>
                             <div class="form-control">${window.api.formatDate(delivery.sent_at)}</div>
                         </div>
+                        ${delivery.status === 'retry' && delivery.next_attempt_at ? `
+                            <div class="form-group">
+                                <label>${i18n.t('deliveries.labels.next_attempt')}</label>
+                                <div class="form-control">${window.api.formatDate(delivery.next_attempt_at)}</div>
+                            </div>
+                        ` : ''}
                         ${delivery.last_error ? `
                             <div class="form-group">
                                 <label>${i18n.t('deliveries.labels.last_error')}</label>
                                 <div class="code-block">${window.api.escapeHtml(delivery.last_error)}</div>
                             </div>
                         ` : ''}
+                        <div class="form-group">
+                            <label>${i18n.t('deliveries.attempts.title')}</label>
+                            ${this.renderDeliveryAttempts(attempts)}
+                        </div>
                     `,
                     `
                         <button type="button" class="btn btn-secondary" onclick="app.closeModal()">${i18n.t('common.close')}</button>
-                        ${delivery.status === 'failed' ? `
+                        ${['failed', 'retry'].includes(delivery.status) ? `
                             <button type="button" class="btn btn-warning" onclick="app.retryDelivery(${delivery.id}); app.closeModal();">
                                 <i class="fas fa-redo"></i> ${i18n.t('deliveries.retry')}
                             </button>
@@ -2174,6 +2992,47 @@ class WebhookApp {
         }
     }
 
+    /**
+     * Render the per-attempt history of a delivery
+     * @param {Array} attempts - Rows from the attempts endpoint
+     * @returns {string} - HTML
+     */
+    renderDeliveryAttempts(attempts) {
+        if (!attempts || attempts.length === 0) {
+            return `<div class="text-muted">${i18n.t('deliveries.attempts.none')}</div>`;
+        }
+
+        return attempts.map(attempt => {
+            const ok = !attempt.error_class;
+            const status = attempt.response_status
+                ? `HTTP ${attempt.response_status}`
+                : i18n.t('deliveries.attempts.no_response');
+            const headers = attempt.response_headers
+                ? JSON.stringify(attempt.response_headers, null, 2)
+                : '';
+
+            return `
+                <div class="delivery-attempt ${ok ? 'success' : 'failed'}">
+                    <div class="delivery-attempt-header">
+                        <strong>#${attempt.attempt_number}</strong>
+                        <span>${window.api.formatDate(attempt.attempted_at)}</span>
+                        <span class="delivery-attempt-status">${window.api.escapeHtml(status)}</span>
+                        ${attempt.duration_ms !== null ? `<span>${attempt.duration_ms} ms</span>` : ''}
+                        ${attempt.error_class ? `<span class="status-badge status-error">${i18n.t(`deliveries.attempts.error_classes.${attempt.error_class}`)}</span>` : ''}
+                    </div>
+                    ${attempt.error_message ? `<div class="delivery-attempt-error">${window.api.escapeHtml(attempt.error_message)}</div>` : ''}
+                    ${attempt.response_body || headers ? `
+                        <details>
+                            <summary>${i18n.t('deliveries.attempts.response')}</summary>
+                            ${headers ? `<div class="code-block">${window.api.escapeHtml(headers)}</div>` : ''}
+                            ${attempt.response_body ? `<div class="code-block">${window.api.escapeHtml(attempt.response_body)}</div>` : ''}
+                        </details>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
     /**
      * Retry delivery
      */
@@ -2182,12 +3041,14 @@ class WebhookApp {
             const response = await window.api.retryDelivery(deliveryId);
             if (response.success) {
                 await this.loadDeliveries();
-                this.showToast('success', i18n.t('common.success'), i18n.t('deliveries.retry_started'));
+                this.showToast('success', i18n.t('common.success'), i18n.t('deliveries.retry_sent'));
             }
 
         } catch (error) {
             console.error('Error retrying delivery:', error);
-            this.showToast('error', i18n.t('common.error'), i18n.t('deliveries.retry_error'));
+            this.showToast('error', i18n.t('common.error'), `${i18n.t('deliveries.retry_error')}: ${error.message}`);
+            // A failed attempt is still recorded (attempt count, next retry)
+            await this.loadDeliveries();
         }
     }
 
@@ -3448,6 +4309,13 @@ class WebhookApp {
                 description: i18n.t('docs.proxmox.description'),
                 file: '/docs/proxmox.md'
             },
+            {
+                id: 'home_assistant',
+                title: i18n.t('docs.home_assistant.title'),
+                icon: 'fa-home',
+                description: i18n.t('docs.home_assistant.description'),
+                file: '/docs/home-assistant.md'
+            },
             {
                 id: 'proxmox_backup',
                 title: i18n.t('docs.proxmox_backup.title'),
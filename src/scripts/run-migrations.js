@@ -96,7 +96,7 @@ async function runMigrations() {
         );
 
         // Special case: if 000_initial_schema.sql was executed, mark all migrations as done
-        // The base schema includes everything from 001-013
+        // The base schema includes everything from 001-036
         if (version === '000_initial_schema') {
           console.log('📋 Marking all migrations as completed (included in base schema)...');
           const baselineMigrations = [
@@ -115,7 +115,29 @@ async function runMigrations() {
             '011_add_account_lockout',
             '012_docker_updater_source',
             '013_add_preferred_language',
-            '014_add_api_keys'
+            '014_add_api_keys',
+            '015_add_delivery_queue',
+            '016_add_delivery_retry_schedule',
+            '017_add_event_replay',
+            '018_add_route_filter_rules',
+            '019_add_delivery_attempts',
+            '020_add_request_capture',
+            '021_add_event_dedup',
+            '022_add_signature_schemes',
+            '023_add_source_ip_allowlist',
+            '024_add_secret_rotation',
+            '025_add_source_rate_limit',
+            '026_add_source_max_body_size',
+            '027_add_event_attachments',
+            '028_add_source_allowed_methods',
+            '029_add_source_aliases',
+            '030_add_source_handshake',
+            '031_add_source_response',
+            '032_add_github_source_type',
+            '033_add_gitea_source_type',
+            '034_add_alertmanager_source_type',
+            '035_add_home_assistant_source_type',
+            '036_widen_event_attachment_data'
           ];
 
           for (const baselineVersion of baselineMigrations) {
@@ -19,6 +19,7 @@ const webhookRoutes = require('./backend/routes/webhook');
 const { errorHandler } = require('./backend/middleware/errorHandler');
 const database = require('./backend/config/database');
 const settingsService = require('./backend/services/settingsService');
+const deliveryQueue = require('./backend/services/deliveryQueue');
 
 const app = express();
 const PORT = process.env.PORT || 6688;
@@ -158,9 +159,8 @@ const loginLimiter = rateLimit({
 // Webhook routes BEFORE body parsing middleware
 // This is critical for HMAC validation which needs raw body
 // Available webhook endpoints:
-// - /webhook/h7k9m2x/synology (legacy)
-// - /webhook/n4p8w6z/proxmox (legacy)
 // - /webhook/:secretKey (dynamic)
+// - /webhook/:alias (readable per-source paths, e.g. /webhook/nas-main/synology)
 app.use('/webhook', webhookRoutes);
 
 // Body parsing middleware (after webhook routes)
@@ -192,7 +192,8 @@ app.get('/health', async (req, res) => {
       endpoints: {
         api: '/api/*',
         webhooks: [
-          '/webhook/{secret_key} (dynamic)'
+          '/webhook/{secret_key} (dynamic)',
+          '/webhook/{alias} (alias)'
         ]
       }
     };
@@ -272,6 +273,7 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  await deliveryQueue.stop();
   try {
     if (database.pool) await database.pool.end();
   } catch (err) {
@@ -282,6 +284,7 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  await deliveryQueue.stop();
   try {
     if (database.pool) await database.pool.end();
   } catch (err) {
@@ -300,6 +303,9 @@ app.listen(PORT, async () => {
   } catch (error) {
     console.error(`❌ SettingsService init failed:`, error.message);
   }
+
+  // Start the persistent delivery queue (resumes pending/retry deliveries)
+  await deliveryQueue.start();
 });
 
 module.exports = app;
\ No newline at end of file